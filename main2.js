@@ -1,9 +1,9 @@
 document.addEventListener('DOMContentLoaded', () => {
     console.log('main2.js loaded');
     // Fetch images from the same server API
-    fetch('/api/images')
+    fetch('/api/images?limit=-1')
         .then(response => response.json())
-        .then(images => {
+        .then(({ images }) => {
             console.log('Fetched images:', images);
             // For index2.html, update slideshow if present
             const slide1 = document.getElementById('slide1');
@@ -1,10 +1,13 @@
 // api.js
 // Functions for interacting with the server API
 
+import { getTargetChannel } from './config.js';
+
 /**
  * Fetches images from the server API with filtering, sorting, and pagination.
  * @param {object} [options={}] - Optional parameters for filtering, sorting, and pagination.
  * @param {string} [options.search] - Search term.
+ * @param {string} [options.query] - Tag query (e.g. 'forest AND NOT (night OR "dark forest")'), parsed on the server.
  * @param {string[]} [options.tags] - Array of tag names to filter by.
  * @param {number} [options.playlistId] - Playlist ID to filter by.
  * @param {boolean} [options.includeHidden=false] - Whether to include hidden images.
@@ -12,7 +15,8 @@
  * @param {string} [options.sortDir='desc'] - Sort direction ('asc' or 'desc').
  * @param {number} [options.page=1] - Page number.
  * @param {number} [options.limit=20] - Items per page.
- * @returns {Promise<{images: Array, pagination: object}>} A promise that resolves with an object containing the images array and pagination metadata.
+ * @returns {Promise<{images: Array, pagination: object}>} A promise that resolves with an object containing the images array and pagination metadata,
+ *   plus unknownQueryTags (query tags that match no tag) and, for a malformed query, queryError ({ message, position }).
  * @throws {Error} If the fetch request fails or the response is not ok.
  */
 async function fetchImages({ 
@@ -34,6 +38,7 @@ async function fetchImages({
 
   // Add filters if they exist
   if (filters.search) queryParams.append('search', filters.search);
+  if (filters.query) queryParams.append('q', filters.query);
   if (filters.tags && filters.tags.length) queryParams.append('tags', filters.tags.join(','));
   if (filters.playlistId) {
     queryParams.append('playlistId', filters.playlistId);
@@ -54,6 +59,19 @@ async function fetchImages({
     // Make API request
     const response = await fetch(`/api/images?${queryParams.toString()}`);
     
+    // A malformed tag query is reported back to the search box rather than treated as a failure
+    if (response.status === 400 && filters.query) {
+      const errorData = await response.json().catch(() => ({}));
+      console.warn('Tag query rejected by the server:', errorData.message);
+      return {
+        images: [],
+        pagination: { currentPage: 1, totalPages: 1, totalItems: 0, itemsPerPage: limit },
+        availableFilteredTagIds: [],
+        unknownQueryTags: [],
+        queryError: { message: errorData.message || 'Invalid tag query.', position: errorData.position ?? null }
+      };
+    }
+
     if (!response.ok) {
       const errorText = await response.text();
       console.error('API Error Response:', errorText);
@@ -90,7 +108,8 @@ async function fetchImages({
         totalItems: data.images.length, 
         itemsPerPage: limit 
       },
-      availableFilteredTagIds: data.availableFilteredTagIds || []
+      availableFilteredTagIds: data.availableFilteredTagIds || [],
+      unknownQueryTags: data.unknownQueryTags || []
     };
   } catch (error) {
     console.error('Error fetching images:', error);
@@ -150,15 +169,17 @@ async function fetchPlaylists() {
 }
 
 /**
- * Updates the slideshow settings on the server.
+ * Updates the slideshow settings of the target channel on the server.
  * @param {number} transitionTime - The transition time in seconds.
  * @param {string} order - The slideshow order ('random', 'alphabetical', 'groups').
  * @param {boolean} [showTextOverlay] - Whether to show the title/subtitle overlay.
+ * @param {boolean} [kenBurns] - Whether displays slowly pan and zoom across each image.
+ * @param {object} [transition] - How displays change slides ({ type, duration, easing }).
  * @returns {Promise<object>} A promise that resolves with the server response.
  * @throws {Error} If the fetch request fails or the response is not ok.
  */
-async function updateSlideshowSettings(transitionTime, order, showTextOverlay) {
-    console.log(`API: Updating slideshow settings - Time: ${transitionTime}, Order: ${order}, ShowText: ${showTextOverlay}`);
+async function updateSlideshowSettings(transitionTime, order, showTextOverlay, kenBurns, transition) {
+    console.log(`API: Updating slideshow settings - Time: ${transitionTime}, Order: ${order}, ShowText: ${showTextOverlay}, KenBurns: ${kenBurns}, Transition: ${transition?.type}`);
     try {
         const response = await fetch('/api/updateSlideshow', {
             method: 'POST',
@@ -169,7 +190,10 @@ async function updateSlideshowSettings(transitionTime, order, showTextOverlay) {
                 action: 'updateSettings',
                 speed: transitionTime,
                 order: order,
-                showTextOverlay: showTextOverlay
+                showTextOverlay: showTextOverlay,
+                kenBurns: kenBurns,
+                transition: transition,
+                channel: getTargetChannel()
             }),
         });
         if (!response.ok) {
@@ -186,7 +210,8 @@ async function updateSlideshowSettings(transitionTime, order, showTextOverlay) {
 }
 
 /**
- * Tells the server to start playing a slideshow based on selected tags.
+ * Tells the server to start playing a slideshow based on selected tags (on the target channel).
+ * Plays images with at least one of the tags (all images if the array is empty); Hidden images are skipped.
  * @param {string[]} tags - An array of tag names.
  * @returns {Promise<object>} A promise that resolves with the server response.
  * @throws {Error} If the fetch request fails or the response is not ok.
@@ -197,7 +222,7 @@ async function playSelectedTags(tags) {
         const response = await fetch('/api/playTags', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ tags }),
+            body: JSON.stringify({ tags, channel: getTargetChannel() }),
         });
         if (!response.ok) {
             throw new Error(`HTTP error! Status: ${response.status}`);
@@ -212,7 +237,7 @@ async function playSelectedTags(tags) {
 }
 
 /**
- * Tells the server to start playing a slideshow based on a selected playlist.
+ * Tells the server to start playing a slideshow based on a selected playlist (on the target channel).
  * @param {number} playlistId - The ID of the playlist.
  * @returns {Promise<object>} A promise that resolves with the server response.
  * @throws {Error} If the fetch request fails or the response is not ok.
@@ -220,10 +245,10 @@ async function playSelectedTags(tags) {
 async function playSelectedPlaylist(playlistId) {
     console.log(`API: Requesting slideshow play for playlist ID: ${playlistId}`);
     try {
-        const response = await fetch('/api/playPlaylist', { // Endpoint needs implementation
+        const response = await fetch('/api/playPlaylist', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ playlistId }),
+            body: JSON.stringify({ playlistId, channel: getTargetChannel() }),
         });
         if (!response.ok) {
             throw new Error(`HTTP error! Status: ${response.status}`);
@@ -238,18 +263,19 @@ async function playSelectedPlaylist(playlistId) {
 }
 
 /**
- * Sends a control command to the currently running slideshow on the server.
- * @param {string} action - The control action ('prev', 'next', 'togglePause', 'reset').
- * @returns {Promise<object>} A promise that resolves with the server response.
+ * Sends a control command to the slideshow running on the target channel.
+ * @param {string} action - The control action ('prev', 'next', 'pause', 'resume', 'togglePause', or a curtain/freeze
+ *   command such as 'blackout' or 'toggleFreeze' - see POST /api/slideshowControl).
+ * @returns {Promise<object>} A promise that resolves with the server response ({ message, state } describing what is now playing).
  * @throws {Error} If the fetch request fails or the response is not ok.
  */
 async function navigateSlideshow(action) {
     console.log(`API: Sending slideshow control action: ${action}`);
     try {
-        const response = await fetch('/api/slideshowControl', { // Endpoint needs implementation
+        const response = await fetch('/api/slideshowControl', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ action }),
+            body: JSON.stringify({ action, channel: getTargetChannel() }),
         });
         if (!response.ok) {
             throw new Error(`HTTP error! Status: ${response.status}`);
@@ -263,6 +289,26 @@ async function navigateSlideshow(action) {
     }
 }
 
+/**
+ * Picks the image displays show when the curtain is lowered on a channel.
+ * @param {number|null} imageId - The image, or null for a black curtain.
+ * @param {string} [channel] - The channel (defaults to the target channel).
+ * @returns {Promise<object>} { message, state }.
+ */
+async function setCurtainImage(imageId, channel = getTargetChannel()) {
+    const response = await fetch('/api/updateSlideshow', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action: 'updateSettings', curtainImageId: imageId, channel }),
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(result.message || `HTTP error! Status: ${response.status}`);
+    }
+    console.log(`✅ API: ${result.message}`);
+    return result;
+}
+
 /**
  * Deletes a single image by its ID.
  * @param {number} id - The ID of the image to delete.
@@ -320,17 +366,20 @@ async function bulkDeleteImages(ids) {
 }
 
 /**
- * Updates an image's details (title, description).
+ * Updates an image's details. Only the properties present in `data` are changed.
  * @param {number} id - The ID of the image to update.
- * @param {object} data - The data to update (e.g., { title, description }).
- * @returns {Promise<object>} A promise that resolves with the server response.
+ * @param {object} data - The data to update (e.g., { title, description, fields, tagIds, kenBurns, transition }).
+ *   `fields` replaces the image's custom key/value fields, `tagIds` replaces its tags,
+ *   `kenBurns` sets its pan/zoom framing ({ focusX, focusY, zoomFrom, zoomTo }, null for the default),
+ *   `transition` overrides the transition into it ({ type?, duration?, easing? }, null to inherit).
+ * @returns {Promise<object>} A promise that resolves with the server response (including the updated image).
  * @throws {Error} If the fetch request fails or the response is not ok.
  */
 async function updateImage(id, data) {
     console.log(`API: Updating image ID ${id} with data:`, data);
     try {
         const response = await fetch(`/api/images/${id}`, {
-            method: 'PUT',
+            method: 'PATCH',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify(data),
         });
@@ -348,7 +397,7 @@ async function updateImage(id, data) {
 }
 
 /**
- * Plays a single image via the API, triggering a socket event.
+ * Plays a single image on the target channel via the API, triggering a socket event.
  * @param {object} image - The image object to play (must include id, url, title).
  */
 async function playImageAPI(image) {
@@ -365,7 +414,8 @@ async function playImageAPI(image) {
         id: image.id,
         imageUrl: image.url,
         title: image.title,
-        description: image.description || '' // Include description if available
+        description: image.description || '', // Include description if available
+        channel: getTargetChannel()
     };
 
     const response = await fetch('/api/updateSlideshow', {
@@ -388,7 +438,7 @@ async function playImageAPI(image) {
 }
 
 /**
- * Tells the server to play a selection of images.
+ * Tells the server to play a selection of images on the target channel.
  * @param {object[]} images - An array of image objects.
  * @param {number} speed - Slideshow speed in seconds.
  * @param {string} order - Slideshow order.
@@ -406,6 +456,7 @@ async function playSelectedImagesAPI(images, speed, order) {
                 images: images, // Send the array of image objects
                 speed: speed,
                 order: order,
+                channel: getTargetChannel()
             }),
         });
         if (!response.ok) {
@@ -424,16 +475,17 @@ async function playSelectedImagesAPI(images, speed, order) {
  * Creates a new tag.
  * @param {string} name - The name of the tag.
  * @param {string} [color] - Optional color for the tag.
+ * @param {number|null} [parentId=null] - Optional parent tag ID (the new tag is nested under it).
  * @returns {Promise<object>} A promise that resolves with the new tag object.
  * @throws {Error} If the fetch request fails or the response is not ok.
  */
-async function createTag(name, color) {
+async function createTag(name, color, parentId = null) {
     console.log(`API: Creating tag: ${name}`);
     try {
         const response = await fetch('/api/tags', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ name, color }), // Send color if provided
+            body: JSON.stringify({ name, color, parentId }), // Send color if provided
         });
         if (!response.ok) {
             const errorData = await response.json().catch(() => ({}));
@@ -449,7 +501,7 @@ async function createTag(name, color) {
 }
 
 /**
- * Updates a tag's name.
+ * Renames a tag. Names are unique regardless of case; a collision fails with status 409 (merge the tags instead).
  * @param {number} id - The ID of the tag to update.
  * @param {string} name - The new name for the tag.
  * @returns {Promise<object>} A promise that resolves with the server response.
@@ -513,7 +565,8 @@ async function updatePlaylist(playlistId, data) {
         });
 
         if (!response.ok) {
-            throw new Error(`Failed to update playlist: ${response.statusText}`);
+            const errorData = await response.json().catch(() => ({}));
+            throw new Error(`Failed to update playlist: ${errorData.message || response.statusText}`);
         }
 
         return await response.json();
@@ -582,10 +635,15 @@ async function removeImageFromPlaylist(playlistId, imageId) {
  * Uploads a file to the server
  * @param {File} file - The file to upload
  * @param {boolean} overwrite - Whether to overwrite existing file if it exists
+ * @param {object} [options]
+ * @param {string[]} [options.tags] - Tag names given to the image (missing tags are created)
+ * @param {number|null} [options.playlistId] - A static playlist the image is appended to
+ * @param {string} [options.onDuplicate] - When the image looks like one in the library: 'ask' (respond with
+ *   duplicatePrompt and the look-alikes), 'skip', 'replace' (merge them into the new image) or 'keep' (store both)
  * @returns {Promise<object>} A promise that resolves with the server response
  * @throws {Error} If the fetch request fails or the response is not ok
  */
-async function uploadFile(file, overwrite = false) {
+async function uploadFile(file, overwrite = false, { tags = [], playlistId = null, onDuplicate = 'ask' } = {}) {
     console.log(`API: Uploading file: ${file.name}, overwrite: ${overwrite}`);
     try {
         const formData = new FormData();
@@ -593,6 +651,13 @@ async function uploadFile(file, overwrite = false) {
         if (overwrite) {
             formData.append('overwrite', 'true');
         }
+        if (tags.length > 0) {
+            formData.append('tags', JSON.stringify(tags));
+        }
+        if (playlistId) {
+            formData.append('playlistId', playlistId);
+        }
+        formData.append('onDuplicate', onDuplicate);
 
         const response = await fetch('/upload', {
             method: 'POST',
@@ -618,16 +683,18 @@ async function uploadFile(file, overwrite = false) {
  * @param {string} name - The name of the playlist.
  * @param {string} [color] - Optional color for the playlist.
  * @param {boolean} [hidden] - Optional hidden status.
+ * @param {object|null} [rules] - Smart playlist rules ({ tagQuery, search, addedFrom, addedTo }); null for a static playlist.
+ * @param {object|null} [transition] - Transition override while it plays ({ type?, duration?, easing? }).
  * @returns {Promise<object>} A promise that resolves with the new playlist object.
  * @throws {Error} If the fetch request fails or the response is not ok.
  */
-async function createPlaylistAPI(name, color, hidden = false) {
-    console.log(`API: Creating playlist: ${name}`);
+async function createPlaylistAPI(name, color, hidden = false, rules = null, transition = null) {
+    console.log(`API: Creating ${rules ? 'smart ' : ''}playlist: ${name}`);
     try {
         const response = await fetch('/api/playlists', { // Use POST method
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ name, color, is_hidden: hidden }),
+            body: JSON.stringify({ name, color, is_hidden: hidden, rules, transition }),
         });
         if (!response.ok) {
             const errorData = await response.json().catch(() => ({}));
@@ -642,6 +709,52 @@ async function createPlaylistAPI(name, color, hidden = false) {
     }
 }
 
+/**
+ * Fetches an image's fog of war.
+ * @param {number} imageId - The image.
+ * @returns {Promise<object>} { imageId, enabled, operations } - the brush strokes and polygons drawn on it, in order.
+ */
+async function fetchFog(imageId) {
+    const response = await fetch(`/api/images/${imageId}/fog`);
+    if (!response.ok) {
+        throw new Error(`HTTP error! Status: ${response.status}`);
+    }
+    return response.json();
+}
+
+/**
+ * Turns fog of war on or off for an image (what was revealed is kept either way).
+ * @param {number} imageId - The image.
+ * @param {boolean} enabled - Whether displays cover it with fog.
+ * @returns {Promise<object>} { message, fog }.
+ */
+async function setFogEnabled(imageId, enabled) {
+    return sendFogRequest(`/api/images/${imageId}/fog`, 'PUT', { enabled });
+}
+
+/**
+ * Covers an image with fog again, forgetting everything that was revealed.
+ * @param {number} imageId - The image.
+ * @returns {Promise<object>} { message, fog }.
+ */
+async function resetFog(imageId) {
+    return sendFogRequest(`/api/images/${imageId}/fog/reset`, 'POST', {});
+}
+
+async function sendFogRequest(url, method, body) {
+    const response = await fetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(result.message || `HTTP error! Status: ${response.status}`);
+    }
+    console.log(`✅ API: ${result.message}`);
+    return result;
+}
+
 // Export the API functions
 export {
     fetchImages,
@@ -651,6 +764,7 @@ export {
     playSelectedTags, // <<< ONLY ONCE HERE
     playSelectedPlaylist,
     navigateSlideshow,
+    setCurtainImage,
     deleteImageById,
     bulkDeleteImages,
     updateImage,
@@ -663,6 +777,9 @@ export {
     deletePlaylist,
     addImagesToPlaylist,
     removeImageFromPlaylist,
+    fetchFog,
+    setFogEnabled,
+    resetFog,
     uploadFile,
     createPlaylistAPI
 };
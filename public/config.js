@@ -19,7 +19,8 @@ export const PROTECTED_TAGS = {
 export const STORAGE_KEYS = {
     TRANSITION_TIME: 'transitionTime',
     SLIDESHOW_ORDER: 'slideshowOrder',
-    NEXT_TAG_COLOR: 'nextTagColorIndex'
+    NEXT_TAG_COLOR: 'nextTagColorIndex',
+    TARGET_CHANNEL: 'targetChannel'
 };
 
 // Default values
@@ -27,6 +28,7 @@ export const DEFAULTS = {
     TRANSITION_TIME: 3,
     SLIDESHOW_ORDER: 'random',
     TAG_COLOR: '#FF4081',
+    CHANNEL: 'main', // Display channel used when none is chosen
     ITEMS_PER_PAGE: 20,
     MAX_FILE_SIZE: 50 * 1024 * 1024 // 50MB
 };
@@ -47,4 +49,16 @@ export const UI = {
     DEBOUNCE_DELAY: 300,
     SAVE_MESSAGE_DURATION: 2000,
     FADE_DURATION: 500
-}; 
\ No newline at end of file
+};
+
+/**
+ * The display channel the manage page sends slideshow commands to: the channel input's value, or the remembered
+ * one on pages without it, trimmed and lowercased as the server names channels (DEFAULTS.CHANNEL when empty).
+ * main.js is a classic script and can't import this; its getTargetChannel follows the same rules.
+ * @param {HTMLInputElement|null} [input] - The channel input (#channel by default).
+ * @returns {string} The channel name.
+ */
+export function getTargetChannel(input = document.getElementById('channel')) {
+    const value = input ? input.value : localStorage.getItem(STORAGE_KEYS.TARGET_CHANNEL);
+    return (value || '').trim().toLowerCase() || DEFAULTS.CHANNEL;
+} 
\ No newline at end of file
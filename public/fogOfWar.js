@@ -0,0 +1,59 @@
+/**
+ * fogOfWar.js
+ * Draws an image's fog of war on a canvas. The fog is the list of operations the GM drew on the manage
+ * page (server/fogOfWar.js): brush strokes and polygons that reveal the map or hide it again, replayed
+ * in order on top of a fully covered image. Displays and the manage page's fog editor share this code,
+ * so both show exactly the same mask.
+ */
+
+export const FOG_COLOR = '#000';
+
+/**
+ * Draws one operation.
+ * @param {CanvasRenderingContext2D} context - The fog canvas.
+ * @param {object} operation - { tool: 'brush'|'polygon', mode: 'reveal'|'hide', points: [[x, y], ...], radius? }
+ *   with points relative to the image and the brush radius relative to its width.
+ * @param {object} area - { x, y, width, height }: where the image lies on the canvas, in canvas pixels.
+ */
+export function drawFogOperation(context, operation, area) {
+    if (!operation || !Array.isArray(operation.points) || operation.points.length === 0) return;
+    const points = operation.points.map(([x, y]) => [area.x + x * area.width, area.y + y * area.height]);
+    context.save();
+    // Revealing erases fog; hiding paints it back
+    context.globalCompositeOperation = operation.mode === 'reveal' ? 'destination-out' : 'source-over';
+    context.fillStyle = FOG_COLOR;
+    context.strokeStyle = FOG_COLOR;
+    context.beginPath();
+    context.moveTo(points[0][0], points[0][1]);
+    if (operation.tool === 'polygon') {
+        points.slice(1).forEach(([x, y]) => context.lineTo(x, y));
+        context.closePath();
+        context.fill();
+    } else {
+        // A single point (a click) still leaves a dot
+        if (points.length === 1) context.lineTo(points[0][0] + 0.01, points[0][1]);
+        points.slice(1).forEach(([x, y]) => context.lineTo(x, y));
+        context.lineWidth = operation.radius * 2 * area.width;
+        context.lineCap = 'round';
+        context.lineJoin = 'round';
+        context.stroke();
+    }
+    context.restore();
+}
+
+/**
+ * Redraws the whole fog: covers the canvas, then replays every operation.
+ * @param {CanvasRenderingContext2D} context - The fog canvas.
+ * @param {object[]} operations - The image's operations, in drawing order.
+ * @param {object} area - Where the image lies on the canvas (see drawFogOperation).
+ */
+export function drawFog(context, operations, area) {
+    const { width, height } = context.canvas;
+    context.save();
+    context.globalCompositeOperation = 'source-over';
+    context.fillStyle = FOG_COLOR;
+    context.clearRect(0, 0, width, height);
+    context.fillRect(0, 0, width, height);
+    context.restore();
+    (operations || []).forEach(operation => drawFogOperation(context, operation, area));
+}
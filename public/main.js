@@ -31,10 +31,10 @@ if (document.getElementById('slide1')) {
     // ======================
     // Fetch Images and Initialize Slideshow
     // ======================
-    fetch('/api/images')
+    fetch('/api/images?limit=-1')
         .then(response => response.json())
         .then(data => {
-            images = data;
+            images = data.images;
             window.slideshowImages = images; // global fallback list
             if (images.length > 0) {
                 if (order === 'alphabetical') {
@@ -194,6 +194,129 @@ if (document.getElementById('slide1')) {
     });
 }
 
+// ======================
+// DISPLAY CHANNEL (Manage Page)
+// ======================
+// Play and settings commands go to the channel typed in #channel (remembered in localStorage);
+// displays pick their channel with index.html?channel=name.
+// The manage modules use getTargetChannel in config.js, which this script can't import: keep the rules the same.
+function getTargetChannel() {
+    const input = document.getElementById('channel');
+    const channel = (input ? input.value : localStorage.getItem('targetChannel') || '').trim().toLowerCase();
+    return channel || 'main';
+}
+
+// ======================
+// TAG QUERY SEARCH (Management Page)
+// ======================
+// Search text using (uppercase) AND, OR, NOT, parentheses or quotes is a tag query parsed on the
+// server, e.g. forest AND NOT (night OR "dark forest"); anything else searches titles.
+function isTagQuerySearch(text) {
+    return /(^|[\s()])(AND|OR|NOT)(?=$|[\s()"])|[()"]/.test(text || '');
+}
+
+// Shows a tag query problem under the search box: the server's parse error ({ message, position },
+// with a caret under the problem) or query tags that match no tag. Pass null to clear it.
+function showSearchQueryFeedback(queryError, unknownTags = []) {
+    const searchEl = document.getElementById('search');
+    if (!searchEl) return;
+    let feedback = document.getElementById('searchQueryFeedback');
+    if (!feedback) {
+        feedback = document.createElement('div');
+        feedback.id = 'searchQueryFeedback';
+        feedback.className = 'search-query-feedback';
+        const container = document.getElementById('filterContainer') || searchEl;
+        container.insertAdjacentElement('afterend', feedback);
+    }
+    feedback.innerHTML = '';
+    feedback.classList.toggle('is-error', !!queryError);
+    searchEl.classList.toggle('search-query-invalid', !!queryError);
+    if (queryError) {
+        const message = document.createElement('div');
+        message.textContent = queryError.message;
+        feedback.appendChild(message);
+        if (Number.isInteger(queryError.position)) {
+            const pointer = document.createElement('pre');
+            pointer.className = 'search-query-pointer';
+            pointer.textContent = `${searchEl.value.trim()}\n${' '.repeat(queryError.position)}^`;
+            feedback.appendChild(pointer);
+        }
+    } else if (unknownTags.length > 0) {
+        feedback.textContent = `No tag named ${unknownTags.map(name => `"${name}"`).join(', ')}.`;
+    }
+    feedback.style.display = feedback.childNodes.length > 0 ? '' : 'none';
+}
+
+// ======================
+// UNDO TOAST (Management Page)
+// ======================
+// Changes the server records in its operation journal respond with { operation: { id, description } }.
+// The toast offers to undo that change (and then to redo it); refresh reloads what the change affected.
+// Ctrl+Z undoes the newest change and Ctrl+Shift+Z or Ctrl+Y redo it (Cmd on macOS).
+const UNDO_TOAST_DURATION = 8000; // Milliseconds the toast stays up
+let undoRefresh = () => {}; // Reloads what the last change shown in the toast affected
+
+function showUndoToast(result, refresh, action = 'undo') {
+    const operation = result && result.operation;
+    if (!operation) return;
+    undoRefresh = refresh;
+    document.querySelectorAll('.undo-toast').forEach(existing => existing.remove());
+    const toast = document.createElement('div');
+    toast.className = 'undo-toast';
+    const text = document.createElement('span');
+    text.textContent = action === 'undo' ? operation.description : result.message;
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = action === 'undo' ? 'Undo' : 'Redo';
+    button.addEventListener('click', () => replayChange(action, operation.id));
+    toast.append(text, button);
+    document.body.appendChild(toast);
+    setTimeout(() => toast.remove(), UNDO_TOAST_DURATION);
+}
+
+// Undoes or redoes a change (operationId is the one shown to the user; the shortcuts leave it out)
+function replayChange(action, operationId) {
+    document.querySelectorAll('.undo-toast').forEach(existing => existing.remove());
+    fetch(`/api/journal/${action}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(operationId ? { id: operationId } : {})
+        })
+        .then(response => response.json().then(body => ({ ok: response.ok, body })))
+        .then(({ ok, body }) => {
+            if (!ok) return alert(body.message);
+            undoRefresh();
+            showUndoToast(body, undoRefresh, action === 'undo' ? 'redo' : 'undo');
+        })
+        .catch(err => console.error(err));
+}
+
+if (document.getElementById('settingsForm')) {
+    document.addEventListener('keydown', (event) => {
+        if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+        // Text fields keep their own undo
+        if (event.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+        const key = event.key.toLowerCase();
+        if (key === 'z' && !event.shiftKey) {
+            event.preventDefault();
+            replayChange('undo');
+        } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+            event.preventDefault();
+            replayChange('redo');
+        }
+    });
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const channelInput = document.getElementById('channel');
+    if (!channelInput) return;
+    channelInput.value = localStorage.getItem('targetChannel') || 'main';
+    channelInput.addEventListener('change', () => {
+        channelInput.value = getTargetChannel();
+        localStorage.setItem('targetChannel', channelInput.value);
+    });
+});
+
 // ======================
 // MANAGE PAGE FUNCTIONALITY (Settings, Upload, Pictures, and Tag Management)
 // ======================
@@ -242,37 +365,155 @@ if (document.getElementById('settingsForm')) {
 
         function handleFiles(files) {
             files = [...files];
-            files.forEach(uploadFile);
+            // Several files, or ZIP archives of images, go to the server as one batch
+            if (files.length > 1 || files.some(isZipFile)) {
+                uploadBatch(files);
+            } else {
+                files.forEach(uploadFile);
+            }
         }
 
-        function uploadFile(file) {
+        function isZipFile(file) {
+            return /\.zip$/i.test(file.name);
+        }
+
+        // Upload options: tag suggestions and static playlists are loaded when the fields are used
+        const uploadTagsInput = document.getElementById('uploadTags');
+        const uploadPlaylistSelect = document.getElementById('uploadPlaylist');
+        uploadTagsInput.addEventListener('focus', () => {
+            fetch('/api/tags')
+                .then(response => response.json())
+                .then(tags => {
+                    const suggestions = document.getElementById('uploadTagSuggestions');
+                    suggestions.innerHTML = '';
+                    tags.forEach(tag => {
+                        const option = document.createElement('option');
+                        option.value = tag.name;
+                        suggestions.appendChild(option);
+                    });
+                })
+                .catch(err => console.error(err));
+        });
+        uploadPlaylistSelect.addEventListener('focus', () => {
+            fetch('/api/playlists')
+                .then(response => response.json())
+                .then(playlists => {
+                    const selected = uploadPlaylistSelect.value;
+                    uploadPlaylistSelect.innerHTML = '<option value="">None</option>';
+                    playlists.filter(playlist => !playlist.rules).forEach(playlist => {
+                        const option = document.createElement('option');
+                        option.value = playlist.id;
+                        option.textContent = playlist.name;
+                        uploadPlaylistSelect.appendChild(option);
+                    });
+                    uploadPlaylistSelect.value = selected;
+                    if (uploadPlaylistSelect.selectedIndex < 0) uploadPlaylistSelect.value = '';
+                })
+                .catch(err => console.error(err));
+        });
+
+        function uploadBatch(files) {
             const formData = new FormData();
-            formData.append('file', file);
+            files.forEach(file => formData.append('files', file));
+            appendUploadOptions(formData);
+            if (document.getElementById('uploadFolderTags').checked) formData.append('folderTags', 'true');
+            formData.append('onConflict', document.getElementById('uploadOverwrite').checked ? 'overwrite' : 'skip');
+            formData.append('onDuplicate', document.getElementById('uploadOnDuplicate').value);
+
             const statusDiv = document.createElement('div');
-            statusDiv.innerText = `Uploading ${file.name}...`;
-            // Append status message inside the drop area
+            statusDiv.innerText = `Uploading ${files.length} file(s)...`;
             dropArea.appendChild(statusDiv);
-            fetch('/upload', {
+            // The server reports each image over the socket while it works through the batch
+            const batchId = `batch-${Date.now()}`;
+            const socket = window.socket && window.socket.connected ? window.socket : null;
+            const onProgress = (progress) => {
+                if (progress.batchId !== batchId) return;
+                statusDiv.innerText = `${progress.processed} image(s) processed: ${progress.message}`;
+            };
+            if (socket) {
+                formData.append('socketId', socket.id);
+                formData.append('batchId', batchId);
+                socket.on('uploadProgress', onProgress);
+            }
+            fetch('/api/upload/batch', {
                     method: 'POST',
                     body: formData
                 })
                 .then(response => response.json())
+                .then(result => {
+                    if (!result.results) {
+                        statusDiv.innerText = result.message;
+                        return;
+                    }
+                    // Files that were not stored stay listed
+                    const problems = result.results.filter(item => item.status !== 'imported' && item.status !== 'overwritten');
+                    statusDiv.innerText = [result.message, ...problems.map(item => `${item.file}: ${item.message}`)].join('\n');
+                    if (problems.length === 0) {
+                        setTimeout(() => {
+                            statusDiv.classList.add('fade-out');
+                            setTimeout(() => statusDiv.remove(), 500);
+                        }, 5000);
+                    }
+                    fetchImages();
+                })
+                .catch(err => {
+                    statusDiv.innerText = 'Error uploading files';
+                    console.error(err);
+                })
+                .finally(() => {
+                    if (socket) socket.off('uploadProgress', onProgress);
+                });
+        }
+
+        // Tags and playlist from the upload options, stored with every uploaded image
+        function appendUploadOptions(formData) {
+            const tags = uploadTagsInput.value.split(',').map(name => name.trim()).filter(Boolean);
+            if (tags.length > 0) formData.append('tags', JSON.stringify(tags));
+            if (uploadPlaylistSelect.value) formData.append('playlistId', uploadPlaylistSelect.value);
+        }
+
+        function uploadFile(file) {
+            // fields: extra form fields (overwrite, onDuplicate) on top of the upload options
+            const sendFile = (fields) => {
+                const formData = new FormData();
+                formData.append('file', file);
+                appendUploadOptions(formData);
+                Object.entries(fields).forEach(([name, value]) => formData.append(name, value));
+                return fetch('/upload', {
+                    method: 'POST',
+                    body: formData
+                }).then(response => response.json());
+            };
+            const fields = { onDuplicate: document.getElementById('uploadOnDuplicate').value };
+            if (document.getElementById('uploadOverwrite').checked) fields.overwrite = 'true';
+            const statusDiv = document.createElement('div');
+            statusDiv.innerText = `Uploading ${file.name}...`;
+            // Append status message inside the drop area
+            dropArea.appendChild(statusDiv);
+            sendFile(fields)
                 .then(result => {
                     if (result.overwritePrompt) {
                         if (confirm(`${file.name} already exists. Overwrite?`)) {
-                            const formDataOverwrite = new FormData();
-                            formDataOverwrite.append('file', file);
-                            formDataOverwrite.append('overwrite', 'true');
-                            return fetch('/upload', {
-                                method: 'POST',
-                                body: formDataOverwrite
-                            }).then(resp => resp.json());
+                            fields.overwrite = 'true';
+                            return sendFile(fields);
                         } else {
                             return { message: `Skipped ${file.name}` };
                         }
                     }
                     return result;
                 })
+                .then(result => {
+                    // The library has a look-alike: keep both, replace it, or skip this file
+                    if (!result.duplicatePrompt) return result;
+                    if (confirm(`${file.name}: ${result.message}\nKeep both images?`)) {
+                        return sendFile({ ...fields, onDuplicate: 'keep' });
+                    }
+                    if (confirm(`Replace ${result.duplicates.map(image => `"${image.title}"`).join(', ')} with ${file.name}? ` +
+                        'The new image gets their tags and playlists; they move to the trash.')) {
+                        return sendFile({ ...fields, onDuplicate: 'replace' });
+                    }
+                    return { message: `Skipped ${file.name}` };
+                })
                 .then(result => {
                     statusDiv.innerText = result.message;
                     setTimeout(() => {
@@ -280,6 +521,7 @@ if (document.getElementById('settingsForm')) {
                         setTimeout(() => statusDiv.remove(), 500);
                     }, 5000);
                     fetchImages();
+                    showUndoToast(result, fetchImages);
                 })
                 .catch(err => {
                     statusDiv.innerText = `Error uploading ${file.name}`;
@@ -356,21 +598,36 @@ if (document.getElementById('settingsForm')) {
     let currentLimit = 100; // entries per page
     let totalPages = 1;
 
+    // The undo shortcuts reload the images until a change names its own refresh
+    undoRefresh = fetchImages;
+
     // UPDATED fetchImages: apply pagination and then update pagination controls
     function fetchImages() {
-        fetch('/api/images')
-            .then(response => response.json())
-            .then(data => {
-                window.imagesData = data;
-                let sortedImages = sortImages(data);
-                // NEW: Filter images using the search query (by title)
-                const queryEl = document.getElementById('search');
-                const query = queryEl ? queryEl.value.trim().toLowerCase() : '';
-                if (query) {
-                    sortedImages = sortedImages.filter(image =>
-                        image.title.toLowerCase().includes(query)
-                    );
+        // The search box is applied on the server: a tag query filters by tags, plain text is a ranked full-text search
+        const queryEl = document.getElementById('search');
+        const searchText = queryEl ? queryEl.value.trim() : '';
+        const tagQuery = isTagQuerySearch(searchText) ? searchText : '';
+        let url = '/api/images?limit=-1&includeHidden=true';
+        if (tagQuery) {
+            url += `&q=${encodeURIComponent(tagQuery)}`;
+        } else if (searchText) {
+            url += `&search=${encodeURIComponent(searchText)}`;
+        }
+        fetch(url)
+            .then(response => response.json().then(body => ({ ok: response.ok, body })))
+            .then(({ ok, body }) => {
+                if (!ok) {
+                    // Malformed tag query: explain it under the search box and show no images
+                    showSearchQueryFeedback(tagQuery ? body : { message: body.message || 'Error fetching images.' });
+                    window.imagesData = [];
+                    displayImages([]);
+                    updatePagination(0);
+                    return;
                 }
+                showSearchQueryFeedback(null, body.unknownQueryTags || []);
+                const data = body.images;
+                window.imagesData = data;
+                const sortedImages = sortImages(data);
                 // Global pagination update
                 totalPages = Math.ceil(sortedImages.length / currentLimit) || 1;
                 if (currentPage > totalPages) currentPage = totalPages;
@@ -446,6 +703,18 @@ if (document.getElementById('settingsForm')) {
             const nameCell = document.createElement('td');
             nameCell.classList.add('col-name');
             nameCell.textContent = image.title;
+            if (image.searchMatches) {
+                // Server-escaped snippets with <mark> around the matched terms
+                const matches = image.searchMatches;
+                if (matches.title) nameCell.innerHTML = matches.title;
+                [['description', 'Description'], ['tags', 'Tags'], ['fields', 'Fields']].forEach(([column, label]) => {
+                    if (!matches[column]) return;
+                    const snippet = document.createElement('div');
+                    snippet.className = 'search-snippet';
+                    snippet.innerHTML = `<span class="search-snippet-label">${label}:</span> ${matches[column]}`;
+                    nameCell.appendChild(snippet);
+                });
+            }
             tr.appendChild(nameCell);
 
             // Tags cell with tag-pill spans (filter out "all")
@@ -493,7 +762,11 @@ if (document.getElementById('settingsForm')) {
                                 headers: { 'Content-Type': 'application/json' },
                                 body: JSON.stringify({ ids: [image.id], tag: tag.name })
                             })
-                            .then(() => fetchImages())
+                            .then(response => response.json())
+                            .then(result => {
+                                fetchImages();
+                                showUndoToast(result, fetchImages);
+                            })
                             .catch(err => console.error(err));
                     });
                     tagClear.appendChild(tagDeleteButton);
@@ -536,11 +809,12 @@ if (document.getElementById('settingsForm')) {
             deleteBtn.classList.add('deleteBtn');
             deleteBtn.addEventListener('click', (e) => {
                 e.stopPropagation();
-                if (confirm(`Delete ${image.title}?`)) {
+                if (confirm(`Move ${image.title} to the trash?`)) {
                     fetch(`/api/images/${image.id}`, { method: 'DELETE' })
                         .then(response => response.json())
                         .then(result => {
-                            alert(result.message);
+                            if (result.operation) showUndoToast(result, fetchImages);
+                            else alert(result.message);
                             fetchImages();
                         })
                         .catch(err => console.error(err));
@@ -577,7 +851,7 @@ if (document.getElementById('settingsForm')) {
                 fetch('/api/updateSlideshow', {
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ action: 'play', imageUrl: image.url, title: image.title })
+                    body: JSON.stringify({ action: 'play', id: image.id, imageUrl: image.url, title: image.title, channel: getTargetChannel() })
                 }).catch(err => console.error(err));
             });
             actionsCell.appendChild(playBtn);
@@ -713,14 +987,9 @@ if (document.getElementById('settingsForm')) {
 
     // NEW: Filter images based on selected filter tags and update table
     function filterImagesBySelectedTags() {
+        // The search box was already applied by the server (see fetchImages)
         let images = window.imagesData || [];
-        // First, apply search filtering if any:
-        const queryEl = document.getElementById('search');
-        const query = queryEl ? queryEl.value.trim().toLowerCase() : '';
-        if (query) {
-            images = images.filter(image => image.title.toLowerCase().includes(query));
-        }
-        // Then filter by selected tags: only include images that contain all selected filter tags.
+        // Filter by selected tags: only include images that contain all selected filter tags.
         if (selectedFilterTags.length > 0) {
             images = images.filter(image => {
                 const imageTags = image.tags.map(t => t.name.toLowerCase());
@@ -895,7 +1164,7 @@ if (document.getElementById('settingsForm')) {
             alert('No images selected.');
             return;
         }
-        if (!confirm('Are you sure you want to delete the selected images?')) return;
+        if (!confirm('Move the selected images to the trash?')) return;
         const ids = Array.from(checkboxes).map(cb => cb.value);
         fetch('/api/images', {
                 method: 'DELETE',
@@ -904,12 +1173,241 @@ if (document.getElementById('settingsForm')) {
             })
             .then(response => response.json())
             .then(result => {
-                alert(result.message);
+                if (result.operation) showUndoToast(result, fetchImages);
+                else alert(result.message);
                 fetchImages();
             })
             .catch(err => console.error(err));
     });
 
+    // ======================
+    // TRASH VIEW
+    // ======================
+    // Deleted images wait in the trash until they are restored (with their tags and playlist places) or
+    // purged, by hand or by the server once its retention period is over.
+    const trashPanel = document.getElementById('trashPanel');
+
+    function fetchTrash() {
+        fetch('/api/trash')
+            .then(response => response.json())
+            .then(({ images, retentionDays }) => {
+                document.getElementById('trashSummary').textContent = images.length > 0
+                    ? `${images.length} image(s) in the trash. They are deleted for good ${retentionDays} days after they were moved here.`
+                    : 'The trash is empty.';
+                const list = document.getElementById('trashList');
+                list.innerHTML = '';
+                images.forEach(image => {
+                    const item = document.createElement('label');
+                    item.classList.add('trash-item');
+                    const checkbox = document.createElement('input');
+                    checkbox.type = 'checkbox';
+                    checkbox.value = image.id;
+                    const thumb = document.createElement('img');
+                    thumb.src = image.thumbnailUrl;
+                    thumb.alt = '';
+                    thumb.loading = 'lazy';
+                    const title = document.createElement('span');
+                    title.textContent = image.title;
+                    const daysLeft = Math.max(Math.ceil((image.purgeAt - Date.now()) / (24 * 60 * 60 * 1000)), 0);
+                    const meta = document.createElement('small');
+                    meta.textContent = `Deleted ${new Date(image.deletedAt).toLocaleDateString()}, purged in ${daysLeft} day(s)`;
+                    item.append(checkbox, thumb, title, meta);
+                    list.appendChild(item);
+                });
+            })
+            .catch(err => console.error(err));
+    }
+
+    function getCheckedTrashIds() {
+        return Array.from(document.querySelectorAll('#trashList input:checked')).map(cb => cb.value);
+    }
+
+    function purgeTrash(body, question) {
+        if (!confirm(question)) return;
+        fetch('/api/trash', {
+                method: 'DELETE',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            })
+            .then(response => response.json())
+            .then(() => fetchTrash())
+            .catch(err => console.error(err));
+    }
+
+    document.getElementById('trashBtn').addEventListener('click', () => {
+        const open = trashPanel.style.display === 'none';
+        trashPanel.style.display = open ? 'block' : 'none';
+        if (open) fetchTrash();
+    });
+
+    document.getElementById('trashRestoreBtn').addEventListener('click', () => {
+        const ids = getCheckedTrashIds();
+        if (ids.length === 0) return alert('No images selected.');
+        fetch('/api/trash/restore', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ ids })
+            })
+            .then(response => response.json())
+            .then(result => {
+                const refresh = () => {
+                    fetchImages();
+                    fetchTrash();
+                };
+                if (result.operation) showUndoToast(result, refresh);
+                else alert(result.message);
+                refresh();
+            })
+            .catch(err => console.error(err));
+    });
+
+    document.getElementById('trashPurgeBtn').addEventListener('click', () => {
+        const ids = getCheckedTrashIds();
+        if (ids.length === 0) return alert('No images selected.');
+        purgeTrash({ ids }, `Delete ${ids.length} image(s) for good? This cannot be undone.`);
+    });
+
+    document.getElementById('trashEmptyBtn').addEventListener('click', () => {
+        purgeTrash({ all: true }, 'Empty the trash? Its images are deleted for good and this cannot be undone.');
+    });
+
+    // ======================
+    // DUPLICATES VIEW
+    // ======================
+    // Images that look alike (by perceptual hash) are grouped side by side; merging a group keeps the picked
+    // image, gives it the others' tags and playlist places and moves the others to the trash.
+    const duplicatesPanel = document.getElementById('duplicatesPanel');
+
+    function fetchDuplicates() {
+        fetch('/api/duplicates')
+            .then(response => response.json())
+            .then(({ groups, unhashed }) => {
+                const pending = unhashed > 0 ? ` ${unhashed} image(s) are not analysed yet.` : '';
+                document.getElementById('duplicatesSummary').textContent = (groups.length > 0
+                    ? `${groups.length} group(s) of similar images. Pick the image to keep in each group.`
+                    : 'No similar images found.') + pending;
+                const list = document.getElementById('duplicatesList');
+                list.innerHTML = '';
+                groups.forEach((group, index) => {
+                    const section = document.createElement('div');
+                    section.classList.add('duplicate-group');
+                    group.forEach((image, position) => {
+                        const card = document.createElement('label');
+                        card.classList.add('duplicate-card');
+                        const radio = document.createElement('input');
+                        radio.type = 'radio';
+                        radio.name = `duplicateKeep${index}`;
+                        radio.value = image.id;
+                        radio.checked = position === 0;
+                        const thumb = document.createElement('img');
+                        thumb.src = image.thumbnailUrl;
+                        thumb.alt = '';
+                        thumb.loading = 'lazy';
+                        const title = document.createElement('span');
+                        title.textContent = image.title;
+                        const meta = document.createElement('small');
+                        meta.textContent = [
+                            image.tags.map(tag => tag.name).join(', ') || 'No tags',
+                            image.playlists.map(playlist => playlist.name).join(', ')
+                        ].filter(Boolean).join(' · ');
+                        card.append(radio, thumb, title, meta);
+                        section.appendChild(card);
+                    });
+                    const mergeBtn = document.createElement('button');
+                    mergeBtn.textContent = 'Merge';
+                    mergeBtn.addEventListener('click', () => {
+                        const keepId = parseInt(section.querySelector('input:checked').value, 10);
+                        mergeDuplicates(keepId, group.map(image => image.id).filter(id => id !== keepId));
+                    });
+                    section.appendChild(mergeBtn);
+                    list.appendChild(section);
+                });
+            })
+            .catch(err => console.error(err));
+    }
+
+    function mergeDuplicates(keepId, ids) {
+        fetch('/api/duplicates/merge', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ keepId, ids })
+            })
+            .then(response => response.json())
+            .then(result => {
+                const refresh = () => {
+                    fetchImages();
+                    fetchDuplicates();
+                };
+                if (result.operation) showUndoToast(result, refresh);
+                else alert(result.message);
+                refresh();
+            })
+            .catch(err => console.error(err));
+    }
+
+    document.getElementById('duplicatesBtn').addEventListener('click', () => {
+        const open = duplicatesPanel.style.display === 'none';
+        duplicatesPanel.style.display = open ? 'block' : 'none';
+        if (open) fetchDuplicates();
+    });
+
+    // ======================
+    // LIBRARY SCAN
+    // ======================
+    // The server imports images copied straight into public/images (at startup, on demand and, if enabled,
+    // whenever the folder changes) and flags images whose file is missing; this shows its latest report.
+    function showLibraryScanReport({ report, watching }) {
+        const summary = document.getElementById('libraryScanSummary');
+        const details = document.getElementById('libraryScanDetails');
+        const watchNote = watching ? 'New files are imported automatically.' : 'Scans run at startup and on demand.';
+        details.innerHTML = '';
+        if (!report) {
+            summary.textContent = `No scan yet. ${watchNote}`;
+            return;
+        }
+        summary.textContent = `Last scan ${new Date(report.scannedAt).toLocaleString()}: ` +
+            `${report.imported.length} imported, ${report.missing.length} missing file(s). ${watchNote}`;
+        [
+            ['Imported', report.imported.map(image => image.filename)],
+            ['Missing files', report.missing.map(image => `${image.title} (${image.filename})`)],
+            ['Thumbnails created', report.thumbnailsCreated],
+            ['Still being copied', report.pending],
+            ['Errors', report.errors.map(error => `${error.filename}: ${error.message}`)]
+        ].forEach(([label, lines]) => {
+            if (lines.length === 0) return;
+            const section = document.createElement('details');
+            const heading = document.createElement('summary');
+            heading.textContent = `${label} (${lines.length})`;
+            const list = document.createElement('ul');
+            lines.forEach(line => {
+                const item = document.createElement('li');
+                item.textContent = line;
+                list.appendChild(item);
+            });
+            section.append(heading, list);
+            details.appendChild(section);
+        });
+    }
+
+    fetch('/api/library/scan')
+        .then(response => response.json())
+        .then(showLibraryScanReport)
+        .catch(err => console.error(err));
+
+    document.getElementById('libraryScanBtn').addEventListener('click', (e) => {
+        const button = e.currentTarget;
+        button.disabled = true;
+        fetch('/api/library/scan', { method: 'POST' })
+            .then(response => response.json())
+            .then(result => {
+                if (!result.report) return alert(result.message);
+                showLibraryScanReport(result);
+                if (result.report.imported.length > 0) fetchImages();
+            })
+            .catch(err => console.error(err))
+            .finally(() => { button.disabled = false; });
+    });
+
     // Call this function on DOMContentLoaded:
     document.addEventListener('DOMContentLoaded', bindHeaderSelect);
 
@@ -917,13 +1415,21 @@ if (document.getElementById('settingsForm')) {
     function updateSlideshowSettings() {
         const speed = parseFloat(document.getElementById('speed').value);
         const order = document.getElementById('order').value;
+        const kenBurnsBox = document.getElementById('kenBurns');
+        const kenBurns = kenBurnsBox ? kenBurnsBox.checked : undefined;
+        const transitionType = document.getElementById('transitionType');
+        const transition = transitionType ? {
+            type: transitionType.value,
+            duration: parseFloat(document.getElementById('transitionDuration').value) || 0,
+            easing: document.getElementById('transitionEasing').value
+        } : undefined;
         localStorage.setItem('transitionTime', speed);
         localStorage.setItem('slideshowOrder', order);
         // Notify the server to update the slideshow settings
         fetch('/api/updateSlideshow', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ action: 'updateSettings', speed, order })
+            body: JSON.stringify({ action: 'updateSettings', speed, order, kenBurns, transition, channel: getTargetChannel() })
         }).catch(err => console.error(err));
     }
 
@@ -1031,9 +1537,13 @@ if (document.getElementById('settingsForm')) {
                     fetch(`/api/tags/${tag.id}`, { method: 'DELETE' })
                         .then(response => response.json())
                         .then(result => {
-                            alert(result.message); // Alert on deletion
-                            fetchTags().then(() => updateTagSelection());
-                            fetchImages();
+                            const refresh = () => {
+                                fetchTags().then(() => updateTagSelection());
+                                fetchImages();
+                            };
+                            if (result.operation) showUndoToast(result, refresh);
+                            else alert(result.message);
+                            refresh();
                         })
                         .catch(err => console.error(err));
                 }
@@ -1068,7 +1578,11 @@ if (document.getElementById('settingsForm')) {
                             headers: { 'Content-Type': 'application/json' },
                             body: JSON.stringify({ ids: ids, tag: tag.name })
                         })
-                        .then(() => fetchImages())
+                        .then(response => response.json())
+                        .then(result => {
+                            fetchImages();
+                            showUndoToast(result, fetchImages);
+                        })
                         .catch(err => console.error(err));
                 }
             });
@@ -1091,7 +1605,9 @@ if (document.getElementById('settingsForm')) {
                             headers: { 'Content-Type': 'application/json' },
                             body: JSON.stringify({ ids: ids, tag: tag.name })
                         })
-                        .then(() => {
+                        .then(response => response.json())
+                        .then(result => {
+                            showUndoToast(result, fetchImages);
                             fetchImages();
                             // NEW: Clear selection after applying tag from a pill click
                             selectedImageIds = new Set();
@@ -1211,6 +1727,33 @@ if (document.getElementById('settingsForm')) {
     document.addEventListener('DOMContentLoaded', bindHeaderSelect);
 }
 
+// --------------------
+// Management Page: Play Query Button Handler
+// --------------------
+// Plays the images matching the tag query in the search box (a single tag name works too).
+if (document.getElementById('playQueryBtn')) {
+    document.getElementById('playQueryBtn').addEventListener('click', () => {
+        const queryEl = document.getElementById('search');
+        const query = queryEl ? queryEl.value.trim() : '';
+        if (!query) {
+            alert('Type a tag query in the search box first, e.g. forest AND NOT (night OR "dark forest").');
+            return;
+        }
+        fetch('/api/playQuery', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ query, channel: getTargetChannel() })
+        })
+            .then(response => response.json().then(body => ({ ok: response.ok, status: response.status, body })))
+            .then(({ ok, status, body }) => {
+                if (ok) return;
+                if (status === 400 && body.position !== undefined) showSearchQueryFeedback(body);
+                alert(body.message || 'Could not play the tag query.');
+            })
+            .catch(err => console.error(err));
+    });
+}
+
 // --------------------
 // Management Page: Play Select Button Handler
 // --------------------
@@ -1241,7 +1784,8 @@ if (document.getElementById('playSelectBtn')) {
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({
                 action: 'playSelect',
-                images: playImages
+                images: playImages,
+                channel: getTargetChannel()
             })
         }).catch(err => console.error(err));
     });
@@ -1338,7 +1882,7 @@ document.addEventListener('DOMContentLoaded', () => {
             fetch('/api/updateSlideshow', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ action: 'playSelect', images: playImages })
+                body: JSON.stringify({ action: 'playSelect', images: playImages, channel: getTargetChannel() })
             }).catch(err => console.error(err));
         });
     }
@@ -0,0 +1,194 @@
+// public/manage/curtainControl.js
+// Curtain bar: hides the target channel's displays when players shouldn't see something - at once (blackout),
+// by fading to black or behind the channel's curtain image - and freezes them on their current picture while
+// the GM sets up the next scene. Shows what the displays are doing on every manage page; hotkeys B/F/C/L/Z.
+
+import '../socket-client.js'; // Exposes the shared socket as window.socket
+import { getTargetChannel } from '../config.js';
+import { setCurtainImage } from '../api.js';
+import { handleError, ErrorTypes } from './errorHandler.js';
+
+// Commands and their hotkeys (the server's control actions, see POST /api/slideshowControl)
+const COMMANDS = [
+    { action: 'blackout', label: 'Blackout', key: 'b', curtain: 'black' },
+    { action: 'fadeToBlack', label: 'Fade to black', key: 'f', curtain: 'fade' },
+    { action: 'curtain', label: 'Curtain', key: 'c', curtain: 'image' },
+    { action: 'lift', label: 'Lift', key: 'l' },
+    { action: 'toggleFreeze', label: 'Freeze', key: 'z' }
+];
+
+let dom = {};
+let channelInput = null; // Input holding the target channel (#channel or #targetChannel)
+let engineState = null; // Last state broadcast by the channel's slideshow engine
+
+/**
+ * Returns the bar, creating it above the now playing panel (or below the header controls) the first time.
+ * @returns {HTMLElement|null} The bar, or null on pages without either.
+ */
+function getCurtainBar() {
+    if (dom.bar) return dom.bar;
+    const nowPlaying = document.getElementById('nowPlayingPanel');
+    const headerControls = document.getElementById('headerNextBtn')?.parentElement;
+    if (!nowPlaying && !headerControls) return null;
+
+    const bar = document.createElement('section');
+    bar.id = 'curtainBar';
+    bar.className = 'curtain-control';
+    bar.innerHTML = `
+        <span class="curtain-control__status" role="status" aria-live="polite"></span>
+        <div class="curtain-control__buttons">
+            ${COMMANDS.map(command => `
+                <button type="button" data-action="${command.action}" title="${command.label} (${command.key.toUpperCase()})">
+                    ${command.label} <kbd>${command.key.toUpperCase()}</kbd>
+                </button>`).join('')}
+        </div>
+        <span class="curtain-control__image">
+            Curtain image: <span class="curtain-control__image-title"></span>
+            <button type="button" class="curtain-control__use-current">Use current image</button>
+            <button type="button" class="curtain-control__clear">Clear</button>
+        </span>`;
+    if (nowPlaying) {
+        nowPlaying.insertAdjacentElement('beforebegin', bar);
+    } else {
+        headerControls.insertAdjacentElement('afterend', bar);
+    }
+
+    dom.bar = bar;
+    dom.status = bar.querySelector('.curtain-control__status');
+    dom.buttons = Array.from(bar.querySelectorAll('[data-action]'));
+    dom.imageTitle = bar.querySelector('.curtain-control__image-title');
+    dom.useCurrentBtn = bar.querySelector('.curtain-control__use-current');
+    dom.clearBtn = bar.querySelector('.curtain-control__clear');
+
+    dom.buttons.forEach(button => button.addEventListener('click', () => sendCommand(button.dataset.action)));
+    dom.useCurrentBtn.addEventListener('click', () => updateCurtainImage(engineState?.image?.id ?? null));
+    dom.clearBtn.addEventListener('click', () => updateCurtainImage(null));
+    return bar;
+}
+
+/**
+ * Describes what the displays show, e.g. "Blackout" or "Curtain: Tavern · Frozen".
+ * @returns {string} The status text.
+ */
+function describeState() {
+    const curtain = engineState?.curtain || null;
+    const curtainImage = engineState?.curtainImage || null;
+    let text = 'Live';
+    if (curtain === 'black') text = 'Blackout';
+    else if (curtain === 'fade') text = 'Faded to black';
+    else if (curtain === 'image') text = curtainImage ? `Curtain: ${curtainImage.title}` : 'Curtain (black)';
+    return engineState?.frozen ? `${text} · Frozen` : text;
+}
+
+function renderBar() {
+    if (!getCurtainBar()) return;
+    const curtain = engineState?.curtain || null;
+    const frozen = !!engineState?.frozen;
+    dom.status.textContent = engineState ? describeState() : 'Connecting…';
+    dom.bar.classList.toggle('is-covered', !!curtain);
+    dom.bar.classList.toggle('is-frozen', frozen);
+    dom.buttons.forEach(button => {
+        const command = COMMANDS.find(item => item.action === button.dataset.action);
+        const active = command.action === 'toggleFreeze' ? frozen : !!command.curtain && command.curtain === curtain;
+        button.classList.toggle('is-active', active);
+        if (command.action !== 'lift') button.setAttribute('aria-pressed', String(active));
+        button.disabled = !engineState || (command.action === 'lift' && !curtain);
+    });
+    const curtainImage = engineState?.curtainImage || null;
+    dom.imageTitle.textContent = curtainImage ? curtainImage.title : 'none (black)';
+    dom.useCurrentBtn.disabled = !engineState?.image || engineState.image.id === curtainImage?.id;
+    dom.clearBtn.disabled = !curtainImage;
+}
+
+/**
+ * Sends a curtain or freeze command to the channel (the answer arrives as a slideAction broadcast).
+ * @param {string} action - One of the COMMANDS actions.
+ */
+function sendCommand(action) {
+    if (!window.socket) return;
+    window.socket.emit('slideshowControl', { action, channel: getTargetChannel(channelInput) });
+}
+
+/**
+ * Sets the channel's curtain image.
+ * @param {number|null} imageId - The image, or null for a black curtain.
+ */
+async function updateCurtainImage(imageId) {
+    try {
+        const result = await setCurtainImage(imageId, getTargetChannel(channelInput));
+        engineState = { ...(engineState || {}), curtainImage: result.state.curtainImage };
+        renderBar();
+    } catch (error) {
+        handleError(error, ErrorTypes.SERVER);
+    }
+}
+
+/**
+ * B, F and C lower a curtain (pressing the key again lifts it), L lifts any curtain and Z freezes or
+ * unfreezes the displays. Keys typed into fields and shortcuts with modifiers are left alone.
+ */
+function attachCurtainHotkeys() {
+    document.addEventListener('keydown', (event) => {
+        if (event.ctrlKey || event.metaKey || event.altKey || event.repeat) return;
+        if (event.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+        const command = COMMANDS.find(item => item.key === event.key.toLowerCase());
+        if (!command || !engineState) return;
+        event.preventDefault();
+        sendCommand(command.action);
+    });
+}
+
+// --- Socket Events ---
+
+/**
+ * Handles engine state broadcasts (slideshowState, playSelect, slideAction).
+ * @param {object} data - Engine state including curtain, curtainImage and frozen.
+ */
+function handleEngineState(data) {
+    if (!data || (data.channel && data.channel !== getTargetChannel(channelInput))) return;
+    engineState = data;
+    renderBar();
+}
+
+/**
+ * Handles settings changes (the curtain image is a channel setting).
+ * @param {object} data - { channel, curtainImage, ... }
+ */
+function handleSettingsUpdate(data) {
+    if (!data || !engineState || (data.channel && data.channel !== getTargetChannel(channelInput))) return;
+    if (data.curtainImage !== undefined) {
+        engineState = { ...engineState, curtainImage: data.curtainImage };
+        renderBar();
+    }
+}
+
+/**
+ * Initializes the curtain bar if the page has a now playing panel or header controls to put it by.
+ * @param {object} [options]
+ * @param {HTMLInputElement} [options.channelInput] - Input holding the target channel.
+ */
+export function initCurtainControl({ channelInput: input = null } = {}) {
+    if (!getCurtainBar()) return;
+    const socket = window.socket;
+    if (!socket) {
+        console.warn('[Curtain] Socket not available, curtain controls are disabled.');
+        return;
+    }
+    channelInput = input;
+    if (channelInput) {
+        // The now playing panel rejoins the new channel, which answers with its state
+        channelInput.addEventListener('change', () => {
+            engineState = null;
+            renderBar();
+        });
+    }
+    ['slideshowState', 'playSelect', 'slideAction'].forEach(eventName => {
+        socket.off(eventName, handleEngineState);
+        socket.on(eventName, handleEngineState);
+    });
+    socket.off('settingsUpdate', handleSettingsUpdate);
+    socket.on('settingsUpdate', handleSettingsUpdate);
+    attachCurtainHotkeys();
+    socket.emit('requestSlideshowState');
+    renderBar();
+}
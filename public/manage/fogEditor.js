@@ -0,0 +1,322 @@
+// public/manage/fogEditor.js
+// "Fog of war" panel: for battle maps, displays can cover the image the target channel is showing with fog,
+// and the GM reveals it (or covers it up again) here with a brush or polygons. Every stroke streams to the
+// displays while it is drawn; the server keeps each image's fog until it is reset (server/fogOfWar.js).
+
+import '../socket-client.js'; // Exposes the shared socket as window.socket
+import { getTargetChannel } from '../config.js';
+import { fetchFog, setFogEnabled, resetFog } from '../api.js';
+import { drawFog, drawFogOperation } from '../fogOfWar.js';
+import { handleError, ErrorTypes } from './errorHandler.js';
+
+const STROKE_FLUSH_MS = 80; // Brush strokes are sent in pieces this often while drawing
+const MAX_STROKE_POINTS = 500; // Matches the server's limit per operation
+const POLYGON_CLOSE_DISTANCE = 10; // Pixels: clicking this close to the first point closes the polygon
+
+let dom = {};
+let channelInput = null; // Input holding the target channel (#channel or #targetChannel)
+let currentImage = null; // Image the channel is showing
+let fog = { imageId: null, enabled: false, operations: [] }; // Its fog of war
+let stroke = null; // Brush stroke being drawn: { points (not sent yet), last, hasNew, flushedAt }
+let polygon = []; // Points of the polygon being drawn
+
+/**
+ * Returns the panel, creating it below the zoom panel (or the now playing panel) the first time.
+ * @returns {HTMLElement|null} The panel, or null without a panel to attach it to.
+ */
+function getFogPanel() {
+    if (dom.panel) return dom.panel;
+    const anchor = document.getElementById('viewportPanel') || document.getElementById('nowPlayingPanel');
+    if (!anchor) return null;
+
+    const panel = document.createElement('details');
+    panel.id = 'fogPanel';
+    panel.className = 'fog-editor';
+    panel.innerHTML = `
+        <summary>Fog of war</summary>
+        <p class="fog-editor__hint">Paint on the map to reveal it on the displays. Polygon: click the corners, then click the first one (or double-click) to finish; Esc cancels.</p>
+        <div class="fog-editor__toolbar">
+            <label><input type="checkbox" class="fog-editor__enabled"> Fog of war on this image</label>
+            <select class="fog-editor__tool" aria-label="Tool">
+                <option value="brush">Brush</option>
+                <option value="polygon">Polygon</option>
+            </select>
+            <select class="fog-editor__mode" aria-label="Mode">
+                <option value="reveal">Reveal</option>
+                <option value="hide">Hide</option>
+            </select>
+            <label>Size <input type="range" class="fog-editor__size" min="1" max="20" value="4"></label>
+            <button type="button" class="fog-editor__reset">Reset fog</button>
+        </div>
+        <div class="fog-editor__stage">
+            <img class="fog-editor__image" alt="" draggable="false">
+            <canvas class="fog-editor__canvas"></canvas>
+            <svg class="fog-editor__outline" viewBox="0 0 1 1" preserveAspectRatio="none"><polyline points=""></polyline></svg>
+        </div>
+        <p class="fog-editor__empty">Nothing playing.</p>`;
+    anchor.insertAdjacentElement('afterend', panel);
+
+    dom.panel = panel;
+    dom.enabled = panel.querySelector('.fog-editor__enabled');
+    dom.tool = panel.querySelector('.fog-editor__tool');
+    dom.mode = panel.querySelector('.fog-editor__mode');
+    dom.size = panel.querySelector('.fog-editor__size');
+    dom.resetBtn = panel.querySelector('.fog-editor__reset');
+    dom.stage = panel.querySelector('.fog-editor__stage');
+    dom.image = panel.querySelector('.fog-editor__image');
+    dom.canvas = panel.querySelector('.fog-editor__canvas');
+    dom.outline = panel.querySelector('.fog-editor__outline polyline');
+    dom.empty = panel.querySelector('.fog-editor__empty');
+
+    dom.stage.addEventListener('pointerdown', handlePointerDown);
+    dom.stage.addEventListener('pointermove', handlePointerMove);
+    dom.stage.addEventListener('pointerup', finishStroke);
+    dom.stage.addEventListener('pointercancel', finishStroke);
+    dom.stage.addEventListener('dblclick', closePolygon);
+    dom.tool.addEventListener('change', () => setPolygon([]));
+    dom.enabled.addEventListener('change', handleEnabledChange);
+    dom.resetBtn.addEventListener('click', handleReset);
+    // The canvas has no size while the panel is closed
+    dom.image.addEventListener('load', renderFogCanvas);
+    panel.addEventListener('toggle', renderFogCanvas);
+    window.addEventListener('resize', renderFogCanvas);
+    document.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape' && polygon.length > 0) setPolygon([]);
+    });
+    return panel;
+}
+
+function renderPanel() {
+    if (!getFogPanel()) return;
+    const hasImage = !!(currentImage && currentImage.url);
+    dom.stage.hidden = !hasImage;
+    dom.empty.hidden = hasImage;
+    dom.enabled.disabled = !hasImage;
+    dom.resetBtn.disabled = !hasImage;
+    dom.enabled.checked = hasImage && fog.enabled;
+    if (hasImage && dom.image.getAttribute('src') !== currentImage.url) {
+        dom.image.src = currentImage.url;
+        dom.image.alt = currentImage.title || '';
+    }
+    renderFogCanvas();
+}
+
+// The canvas lies exactly over the preview image
+function getFogArea() {
+    return { x: 0, y: 0, width: dom.canvas.width, height: dom.canvas.height };
+}
+
+function renderFogCanvas() {
+    if (!dom.canvas || !dom.image.clientWidth) return;
+    const ratio = window.devicePixelRatio || 1;
+    dom.canvas.width = Math.round(dom.image.clientWidth * ratio);
+    dom.canvas.height = Math.round(dom.image.clientHeight * ratio);
+    drawFog(dom.canvas.getContext('2d'), fog.operations, getFogArea());
+}
+
+function drawOperation(operation) {
+    if (dom.canvas.width) drawFogOperation(dom.canvas.getContext('2d'), operation, getFogArea());
+}
+
+/**
+ * Loads the fog of the image the channel switched to.
+ * @param {number} imageId - The image.
+ */
+async function loadFog(imageId) {
+    fog = { imageId, enabled: false, operations: [] };
+    renderPanel();
+    try {
+        const result = await fetchFog(imageId);
+        if (fog.imageId !== imageId) return; // Moved on to another image meanwhile
+        fog = result;
+        renderPanel();
+    } catch (error) {
+        handleError(error, ErrorTypes.NETWORK);
+    }
+}
+
+// --- Drawing ---
+
+// Pointer position relative to the preview image, kept inside it
+function pointerPosition(event) {
+    const rect = dom.image.getBoundingClientRect();
+    const clamp = value => Math.min(1, Math.max(0, value));
+    return [clamp((event.clientX - rect.left) / rect.width), clamp((event.clientY - rect.top) / rect.height)];
+}
+
+/**
+ * Draws an operation here, adds it to the image's fog and sends it to the server (which passes it on).
+ * @param {object} operation - { tool, mode, points, radius? } (see server/fogOfWar.js).
+ */
+function sendOperation(operation) {
+    if (!window.socket || !currentImage) return;
+    fog.operations.push(operation);
+    window.socket.emit('fogOperation', { imageId: currentImage.id, operation });
+}
+
+function brushOperation(points) {
+    return { tool: 'brush', mode: dom.mode.value, points, radius: Number(dom.size.value) / 100 };
+}
+
+// Sends the part of the stroke drawn since the last piece (starting where that one ended, so they join up)
+function flushStroke() {
+    if (!stroke || !stroke.hasNew) return;
+    sendOperation(brushOperation(stroke.points));
+    stroke.points = [stroke.last];
+    stroke.hasNew = false;
+    stroke.flushedAt = Date.now();
+}
+
+function handlePointerDown(event) {
+    if (!currentImage || event.button !== 0) return;
+    event.preventDefault();
+    const point = pointerPosition(event);
+    if (dom.tool.value === 'polygon') {
+        addPolygonPoint(point);
+        return;
+    }
+    dom.stage.setPointerCapture(event.pointerId);
+    stroke = { points: [point], last: point, hasNew: true, flushedAt: Date.now() };
+    drawOperation(brushOperation([point]));
+}
+
+function handlePointerMove(event) {
+    if (!stroke) return;
+    const point = pointerPosition(event);
+    drawOperation(brushOperation([stroke.last, point]));
+    stroke.points.push(point);
+    stroke.last = point;
+    stroke.hasNew = true;
+    if (Date.now() - stroke.flushedAt >= STROKE_FLUSH_MS || stroke.points.length >= MAX_STROKE_POINTS) {
+        flushStroke();
+    }
+}
+
+function finishStroke() {
+    flushStroke();
+    stroke = null;
+}
+
+function setPolygon(points) {
+    polygon = points;
+    dom.outline.setAttribute('points', points.map(([x, y]) => `${x},${y}`).join(' '));
+}
+
+function addPolygonPoint(point) {
+    const rect = dom.image.getBoundingClientRect();
+    const distance = (a, b) => Math.hypot((a[0] - b[0]) * rect.width, (a[1] - b[1]) * rect.height);
+    if (polygon.length >= 3 && distance(point, polygon[0]) <= POLYGON_CLOSE_DISTANCE) {
+        closePolygon();
+        return;
+    }
+    // The clicks of a double-click land on the same spot
+    if (polygon.length > 0 && distance(point, polygon[polygon.length - 1]) < 3) return;
+    setPolygon([...polygon, point].slice(0, MAX_STROKE_POINTS));
+}
+
+function closePolygon() {
+    if (dom.tool.value !== 'polygon') return;
+    if (polygon.length >= 3) {
+        const operation = { tool: 'polygon', mode: dom.mode.value, points: polygon };
+        drawOperation(operation);
+        sendOperation(operation);
+    }
+    setPolygon([]);
+}
+
+// --- Fog Settings ---
+
+async function handleEnabledChange() {
+    if (!currentImage) return;
+    const enabled = dom.enabled.checked;
+    try {
+        const result = await setFogEnabled(currentImage.id, enabled);
+        handleFogState(result.fog);
+    } catch (error) {
+        dom.enabled.checked = !enabled;
+        handleError(error, ErrorTypes.SERVER);
+    }
+}
+
+async function handleReset() {
+    if (!currentImage) return;
+    if (!confirm(`Cover all of "${currentImage.title || 'this image'}" with fog again?`)) return;
+    try {
+        const result = await resetFog(currentImage.id);
+        handleFogState(result.fog);
+    } catch (error) {
+        handleError(error, ErrorTypes.SERVER);
+    }
+}
+
+// --- Socket Events ---
+
+/**
+ * Handles engine state broadcasts (slideshowState, playSelect, slideAction).
+ * @param {object} data - Engine state including image.
+ */
+function handleEngineState(data) {
+    if (!data || (data.channel && data.channel !== getTargetChannel(channelInput))) return;
+    const previousId = currentImage ? currentImage.id : null;
+    currentImage = data.image || null;
+    if (currentImage && currentImage.id !== previousId) {
+        finishStroke();
+        setPolygon([]);
+        loadFog(currentImage.id);
+    } else {
+        renderPanel();
+    }
+}
+
+/**
+ * Handles the whole fog of an image, sent after it was turned on/off or reset.
+ * @param {object} data - { imageId, enabled, operations }.
+ */
+function handleFogState(data) {
+    if (!data || data.imageId !== fog.imageId) return;
+    fog = data;
+    renderPanel();
+}
+
+/**
+ * Handles a stroke or polygon drawn on another manage page.
+ * @param {object} data - { imageId, operation }.
+ */
+function handleFogOperation(data) {
+    if (!data || data.imageId !== fog.imageId || !data.operation) return;
+    fog.operations.push(data.operation);
+    drawOperation(data.operation);
+}
+
+/**
+ * Initializes the fog of war panel if the page has a now playing panel to put it under.
+ * @param {object} [options]
+ * @param {HTMLInputElement} [options.channelInput] - Input holding the target channel.
+ */
+export function initFogEditor({ channelInput: input = null } = {}) {
+    if (!getFogPanel()) return;
+    const socket = window.socket;
+    if (!socket) {
+        console.warn('[Fog] Socket not available, fog of war editing is disabled.');
+        return;
+    }
+    channelInput = input;
+    if (channelInput) {
+        // The now playing panel rejoins the new channel, which answers with its state
+        channelInput.addEventListener('change', () => {
+            currentImage = null;
+            fog = { imageId: null, enabled: false, operations: [] };
+            renderPanel();
+        });
+    }
+    ['slideshowState', 'playSelect', 'slideAction'].forEach(eventName => {
+        socket.off(eventName, handleEngineState);
+        socket.on(eventName, handleEngineState);
+    });
+    socket.off('fogState', handleFogState);
+    socket.on('fogState', handleFogState);
+    socket.off('fogOperation', handleFogOperation);
+    socket.on('fogOperation', handleFogOperation);
+    socket.emit('requestSlideshowState');
+    renderPanel();
+}
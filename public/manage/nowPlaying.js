@@ -0,0 +1,213 @@
+// public/manage/nowPlaying.js
+// "Now playing" panel: what the displays on the target channel are showing, what comes next and when
+
+import '../socket-client.js'; // Exposes the shared socket as window.socket
+import { getTargetChannel } from '../config.js';
+
+const SOURCE_LABELS = {
+    all: 'All images',
+    tags: 'Tags',
+    playlist: 'Playlist',
+    query: 'Tag query',
+    selection: 'Selection',
+    none: 'Nothing loaded'
+};
+
+let dom = {};
+let channelInput = null; // Input holding the target channel (#channel or #targetChannel)
+let engineState = null; // Last state broadcast by the channel's slideshow engine
+let displayStatus = { displayCount: 0, displays: [] }; // Last reports from the channel's displays
+let countdownDeadline = null; // Local time at which the next slide is due (null when not counting down)
+let countdownTimer = null;
+
+function cachePanelElements() {
+    dom.panel = document.getElementById('nowPlayingPanel');
+    dom.currentThumb = document.getElementById('nowPlayingCurrentThumb');
+    dom.currentTitle = document.getElementById('nowPlayingCurrentTitle');
+    dom.position = document.getElementById('nowPlayingPosition');
+    dom.nextThumb = document.getElementById('nowPlayingNextThumb');
+    dom.nextTitle = document.getElementById('nowPlayingNextTitle');
+    dom.countdown = document.getElementById('nowPlayingCountdown');
+    dom.source = document.getElementById('nowPlayingSource');
+    dom.displays = document.getElementById('nowPlayingDisplays');
+}
+
+// --- Rendering ---
+
+function renderThumbnail(imgElement, image) {
+    if (!imgElement) return;
+    if (image && image.thumbnailUrl) {
+        imgElement.src = image.thumbnailUrl;
+        imgElement.alt = image.title || '';
+        imgElement.style.visibility = 'visible';
+    } else {
+        imgElement.removeAttribute('src');
+        imgElement.alt = '';
+        imgElement.style.visibility = 'hidden';
+    }
+}
+
+function formatSeconds(totalSeconds) {
+    const seconds = Math.max(0, Math.ceil(totalSeconds));
+    if (seconds < 60) return `${seconds}s`;
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Renders the current slide as reported by the displays (falling back to the engine's state
+ * when no display is connected), the next slide, the source and the display count.
+ */
+function renderPanel() {
+    if (!dom.panel) return;
+
+    const reported = displayStatus.displays[0] || null;
+    const current = reported ? reported.image : engineState?.image || null;
+    const index = reported ? reported.index : engineState?.index;
+    const total = reported ? reported.total : engineState?.total;
+    const isPlaying = reported ? reported.isPlaying : !!engineState?.isPlaying;
+
+    renderThumbnail(dom.currentThumb, current);
+    if (dom.currentTitle) dom.currentTitle.textContent = current ? current.title : 'Nothing playing';
+    if (dom.position) {
+        const parts = [];
+        if (current && index >= 0 && total > 0) parts.push(`${index + 1} of ${total}`);
+        else if (current) parts.push('Shown directly');
+        if (current) parts.push(isPlaying ? 'Playing' : 'Paused');
+        // Displays that show something other than the engine's slide (e.g. still loading, or stale)
+        const outOfSync = displayStatus.displays.filter(display =>
+            engineState?.image && display.image?.id !== engineState.image.id).length;
+        if (outOfSync > 0) parts.push(`${outOfSync} display(s) out of sync`);
+        dom.position.textContent = parts.join(' · ');
+    }
+
+    const next = engineState?.nextImage || null;
+    renderThumbnail(dom.nextThumb, next);
+    if (dom.nextTitle) {
+        dom.nextTitle.textContent = next ? next.title : (engineState?.isPlaying ? 'Reshuffling…' : '—');
+    }
+
+    if (dom.source) {
+        // The engine's label already names the source ("Tags: …", "Playlist: …", "3 selected image(s)")
+        const source = engineState?.source || { type: reported?.sourceType || 'none' };
+        dom.source.textContent = source.label || SOURCE_LABELS[source.type] || source.type;
+    }
+
+    if (dom.displays) {
+        const count = displayStatus.displayCount;
+        dom.displays.textContent = `${count} display${count === 1 ? '' : 's'} on "${getTargetChannel(channelInput)}"`;
+        dom.displays.classList.toggle('is-empty', count === 0);
+    }
+
+    updateCountdown();
+}
+
+/**
+ * Updates the time until the next slide, counting down locally between server broadcasts.
+ */
+function updateCountdown() {
+    if (!dom.countdown) return;
+    if (!engineState || !engineState.isPlaying) {
+        dom.countdown.textContent = engineState?.image ? 'Paused' : '';
+    } else if (countdownDeadline === null) {
+        dom.countdown.textContent = '';
+    } else {
+        dom.countdown.textContent = `in ${formatSeconds((countdownDeadline - Date.now()) / 1000)}`;
+    }
+}
+
+function startCountdownTimer() {
+    if (countdownTimer) return;
+    countdownTimer = setInterval(updateCountdown, 250);
+}
+
+// --- Socket Events ---
+
+/**
+ * Handles engine state broadcasts (slideshowState, playSelect, slideAction).
+ * @param {object} data - Engine state including nextImage and nextSlideIn (ms).
+ */
+function handleEngineState(data) {
+    if (!data || (data.channel && data.channel !== getTargetChannel(channelInput))) return;
+    engineState = data;
+    countdownDeadline = data.nextSlideIn !== null && data.nextSlideIn !== undefined
+        ? Date.now() + data.nextSlideIn
+        : null;
+    renderPanel();
+}
+
+/**
+ * Handles settings changes, which restart the slide timer on the server.
+ * @param {object} data - { channel, speed, order, showTextOverlay, nextSlideIn }
+ */
+function handleSettingsUpdate(data) {
+    if (!data || !engineState || (data.channel && data.channel !== getTargetChannel(channelInput))) return;
+    engineState = { ...engineState, speed: data.speed, order: data.order };
+    if (data.nextSlideIn !== undefined) {
+        countdownDeadline = data.nextSlideIn !== null ? Date.now() + data.nextSlideIn : null;
+    }
+    updateCountdown();
+}
+
+/**
+ * Handles the channel's display reports ({ channel, displayCount, displays }).
+ * @param {object} data - Display status from the server.
+ */
+function handleDisplayStatus(data) {
+    if (!data || (data.channel && data.channel !== getTargetChannel(channelInput))) return;
+    displayStatus = {
+        displayCount: data.displayCount || 0,
+        displays: Array.isArray(data.displays) ? data.displays : []
+    };
+    renderPanel();
+}
+
+/**
+ * Joins the target channel; the server answers with its engine state and display status.
+ */
+function joinChannel() {
+    if (window.socket) {
+        window.socket.emit('joinChannel', { channel: getTargetChannel(channelInput) });
+    }
+}
+
+/**
+ * Initializes the now playing panel if the page has one (#nowPlayingPanel).
+ * @param {object} [options]
+ * @param {HTMLInputElement} [options.channelInput] - Input holding the target channel; the panel follows its changes.
+ */
+export function initNowPlayingPanel({ channelInput: input = null } = {}) {
+    cachePanelElements();
+    if (!dom.panel) {
+        console.log('[NowPlaying] No #nowPlayingPanel on this page, skipping.');
+        return;
+    }
+    const socket = window.socket;
+    if (!socket) {
+        console.warn('[NowPlaying] Socket not available, panel will stay empty.');
+        return;
+    }
+
+    channelInput = input;
+    if (channelInput) {
+        channelInput.addEventListener('change', () => {
+            engineState = null;
+            displayStatus = { displayCount: 0, displays: [] };
+            joinChannel();
+        });
+    }
+
+    ['slideshowState', 'playSelect', 'slideAction'].forEach(eventName => {
+        socket.off(eventName, handleEngineState);
+        socket.on(eventName, handleEngineState);
+    });
+    socket.off('settingsUpdate', handleSettingsUpdate);
+    socket.on('settingsUpdate', handleSettingsUpdate);
+    socket.off('displayStatus', handleDisplayStatus);
+    socket.on('displayStatus', handleDisplayStatus);
+    socket.on('connect', joinChannel);
+
+    joinChannel();
+    renderPanel();
+    startCountdownTimer();
+    console.log(`[NowPlaying] Following channel "${getTargetChannel(channelInput)}".`);
+}
@@ -0,0 +1,175 @@
+// public/manage/viewportControl.js
+// "Zoom display" panel: drag a rectangle on the image the target channel is showing and its displays zoom into
+// that region (e.g. one room of a dungeon map). The region is kept by the server until the slide changes.
+
+import '../socket-client.js'; // Exposes the shared socket as window.socket
+import { getTargetChannel } from '../config.js';
+
+const MIN_DRAG_SIZE = 0.02; // Smaller drags are treated as clicks and ignored (matches the server's minimum)
+
+let dom = {};
+let channelInput = null; // Input holding the target channel (#channel or #targetChannel)
+let currentImage = null; // Image the channel is showing
+let currentViewport = null; // Region its displays are zoomed into (null when showing all of it)
+let dragStart = null; // Pointer position (relative to the image) where the current drag started
+
+/**
+ * Returns the panel, creating it below the now playing panel the first time.
+ * @returns {HTMLElement|null} The panel, or null without a now playing panel to attach it to.
+ */
+function getViewportPanel() {
+    if (dom.panel) return dom.panel;
+    const anchor = document.getElementById('nowPlayingPanel');
+    if (!anchor) return null;
+
+    const panel = document.createElement('details');
+    panel.id = 'viewportPanel';
+    panel.className = 'viewport-control';
+    panel.innerHTML = `
+        <summary>Zoom display</summary>
+        <p class="viewport-control__hint">Drag a rectangle on the image to zoom the displays into it. The zoom lasts until the slide changes.</p>
+        <div class="viewport-control__stage">
+            <img class="viewport-control__image" alt="" draggable="false">
+            <div class="viewport-control__region" hidden></div>
+        </div>
+        <p class="viewport-control__empty">Nothing playing.</p>
+        <button type="button" class="viewport-control__reset">Reset to fit</button>`;
+    anchor.insertAdjacentElement('afterend', panel);
+
+    dom.panel = panel;
+    dom.stage = panel.querySelector('.viewport-control__stage');
+    dom.image = panel.querySelector('.viewport-control__image');
+    dom.region = panel.querySelector('.viewport-control__region');
+    dom.empty = panel.querySelector('.viewport-control__empty');
+    dom.resetBtn = panel.querySelector('.viewport-control__reset');
+
+    dom.stage.addEventListener('pointerdown', handlePointerDown);
+    dom.stage.addEventListener('pointermove', handlePointerMove);
+    dom.stage.addEventListener('pointerup', handlePointerUp);
+    dom.stage.addEventListener('pointercancel', () => {
+        dragStart = null;
+        renderRegion(currentViewport);
+    });
+    dom.resetBtn.addEventListener('click', () => sendViewport(null));
+    return panel;
+}
+
+/**
+ * Draws a region over the preview image.
+ * @param {object|null} region - { x, y, width, height } relative to the image; null hides it.
+ */
+function renderRegion(region) {
+    if (!dom.region) return;
+    dom.region.hidden = !region;
+    if (!region) return;
+    dom.region.style.left = `${region.x * 100}%`;
+    dom.region.style.top = `${region.y * 100}%`;
+    dom.region.style.width = `${region.width * 100}%`;
+    dom.region.style.height = `${region.height * 100}%`;
+}
+
+function renderPanel() {
+    if (!getViewportPanel()) return;
+    const hasImage = !!(currentImage && currentImage.url);
+    dom.stage.hidden = !hasImage;
+    dom.empty.hidden = hasImage;
+    dom.resetBtn.disabled = !hasImage || !currentViewport;
+    if (hasImage && dom.image.getAttribute('src') !== currentImage.url) {
+        dom.image.src = currentImage.url;
+        dom.image.alt = currentImage.title || '';
+    }
+    if (!dragStart) renderRegion(currentViewport);
+}
+
+// --- Dragging ---
+
+// Pointer position relative to the preview image, kept inside it
+function pointerPosition(event) {
+    const rect = dom.image.getBoundingClientRect();
+    const clamp = value => Math.min(1, Math.max(0, value));
+    return { x: clamp((event.clientX - rect.left) / rect.width), y: clamp((event.clientY - rect.top) / rect.height) };
+}
+
+function regionFromDrag(event) {
+    const end = pointerPosition(event);
+    return {
+        x: Math.min(dragStart.x, end.x),
+        y: Math.min(dragStart.y, end.y),
+        width: Math.abs(end.x - dragStart.x),
+        height: Math.abs(end.y - dragStart.y)
+    };
+}
+
+function handlePointerDown(event) {
+    if (!currentImage || event.button !== 0) return;
+    event.preventDefault();
+    dom.stage.setPointerCapture(event.pointerId);
+    dragStart = pointerPosition(event);
+    renderRegion({ ...dragStart, width: 0, height: 0 });
+}
+
+function handlePointerMove(event) {
+    if (dragStart) renderRegion(regionFromDrag(event));
+}
+
+function handlePointerUp(event) {
+    if (!dragStart) return;
+    const region = regionFromDrag(event);
+    dragStart = null;
+    if (region.width < MIN_DRAG_SIZE || region.height < MIN_DRAG_SIZE) {
+        renderRegion(currentViewport);
+        return;
+    }
+    sendViewport(region);
+}
+
+/**
+ * Asks the server to zoom the channel's displays (the answer arrives as a slideAction broadcast).
+ * @param {object|null} region - { x, y, width, height } relative to the image; null fits the whole image again.
+ */
+function sendViewport(region) {
+    if (!window.socket || !currentImage) return;
+    window.socket.emit('setViewport', { channel: getTargetChannel(channelInput), imageId: currentImage.id ?? null, viewport: region });
+}
+
+// --- Socket Events ---
+
+/**
+ * Handles engine state broadcasts (slideshowState, playSelect, slideAction).
+ * @param {object} data - Engine state including image and viewport.
+ */
+function handleEngineState(data) {
+    if (!data || (data.channel && data.channel !== getTargetChannel(channelInput))) return;
+    currentImage = data.image || null;
+    currentViewport = data.viewport || null;
+    renderPanel();
+}
+
+/**
+ * Initializes the zoom panel if the page has a now playing panel to put it under.
+ * @param {object} [options]
+ * @param {HTMLInputElement} [options.channelInput] - Input holding the target channel.
+ */
+export function initViewportControl({ channelInput: input = null } = {}) {
+    if (!getViewportPanel()) return;
+    const socket = window.socket;
+    if (!socket) {
+        console.warn('[Viewport] Socket not available, zooming is disabled.');
+        return;
+    }
+    channelInput = input;
+    if (channelInput) {
+        // The now playing panel rejoins the new channel, which answers with its state
+        channelInput.addEventListener('change', () => {
+            currentImage = null;
+            currentViewport = null;
+            renderPanel();
+        });
+    }
+    ['slideshowState', 'playSelect', 'slideAction'].forEach(eventName => {
+        socket.off(eventName, handleEngineState);
+        socket.on(eventName, handleEngineState);
+    });
+    socket.emit('requestSlideshowState');
+    renderPanel();
+}
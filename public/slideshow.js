@@ -3,30 +3,36 @@
  * Implements core slideshow functionality based on user stories:
  * - Slideshow User Story 1: View slideshow of images with titles and descriptions
  * - Slideshow User Story 2: Navigate through slideshow with next/previous buttons
- * - Slideshow User Story 3: Crossfade transitions between images
+ * - Slideshow User Story 3: Crossfade transitions between images (and the other transitions in transitions.js)
  */
 
 import { state, updateState } from './state.js';
+import { resolveTransition, runTransition } from './transitions.js';
+import { drawFog, drawFogOperation } from './fogOfWar.js';
+import { fetchFog } from './api.js';
 import './socket-client.js'; // Import socket-client.js to ensure it's loaded
-import { fetchImages, updateSlideshowSettings } from './api.js';
-import { DEFAULTS, STORAGE_KEYS, HIDDEN_TAG_NAME } from './config.js';
-// NOTE: api.js might not be directly needed if all data comes via sockets, but keep for potential future use.
-// import * as api from './api.js';
+// NOTE: All playback data comes from the server's slideshow engine via sockets.
 
 // Access the socket from the global window object
 const socket = window.socket;
 
-// --- Constants & Configuration ---
-const DEFAULT_SLIDESHOW_SPEED = 3000; // Default speed in milliseconds
-const DEFAULT_SLIDESHOW_ORDER = 'random';
-
 // --- DOM Element Cache --- (Populated in initSlideshow)
 const dom = {};
 
 // --- Slideshow State Variables (Managed within this module) ---
-let currentImageIndex = 0;
-let intervalId = null;
 let activeSlideIndex = 1; // Tracks which img tag (1 or 2) is currently visible
+let kenBurnsAnimation = null; // Pan/zoom running on the visible slide (Ken Burns mode)
+let transitionCount = 0; // Slides that finish loading after a newer one was requested are dropped
+let fog = { imageId: null, enabled: false, operations: [] }; // Fog of war of the current image
+let fogSlide = null; // Slide the fog canvas covers
+let fogImageId = null; // Image shown on that slide
+let fogArea = null; // Where that image lies on the fog canvas, in canvas pixels
+
+// Framing used for images without their own: centred, slowly zooming in
+const DEFAULT_KEN_BURNS = { focusX: 0.5, focusY: 0.5, zoomFrom: 1, zoomTo: 1.2 };
+const VIEWPORT_ANIMATION_MS = 800; // Moving to a new zoom region set from the manage page
+const CURTAIN_FADE_MS = 2000; // 'Fade to black' from the manage page
+const CURTAIN_LIFT_MS = 400; // Lifting any curtain
 
 // --- Helper Functions ---
 
@@ -100,436 +106,489 @@ function setTextOverlayStatic(title, subtitle = '') {
 }
 
 /**
- * Performs crossfade transition to new image
+ * Builds the transform that zooms a slide to `zoom` with its focal point as close to the centre as the
+ * zoom allows (the image never pulls away from the screen edges).
+ * Slides use object-fit: cover with object-position at the focal point, which puts the focal point at
+ * the same relative position on the slide element, so no image measurements are needed.
+ * @param {object} framing - { focusX, focusY } relative to the image (0..1).
+ * @param {number} zoom - Scale factor (1 or more).
+ * @returns {string} CSS transform.
+ */
+function kenBurnsTransform(framing, zoom) {
+    const limit = (zoom - 1) * 50; // Largest shift (in % of the slide) that still covers the screen
+    const shift = (focus) => Math.max(-limit, Math.min(limit, -zoom * (focus - 0.5) * 100));
+    return `translate(${shift(framing.focusX)}%, ${shift(framing.focusY)}%) scale(${zoom})`;
+}
+
+/**
+ * Frames a slide for its image: the focal point stays in view when the image is cropped, and in
+ * Ken Burns mode the slide pans/zooms from zoomFrom to zoomTo over the time the image is shown.
+ * @param {HTMLImageElement} slide - The slide that is about to become visible.
+ * @param {object|null} kenBurns - The image's framing ({ focusX, focusY, zoomFrom, zoomTo }), null for the default.
+ * @param {number} [transitionSeconds=0] - Length of the transitions; the pan keeps going while the next
+ *   transition plays, so the outgoing slide doesn't stop moving mid-transition.
+ */
+function applyKenBurns(slide, kenBurns, transitionSeconds = 0) {
+    const framing = { ...DEFAULT_KEN_BURNS, ...(kenBurns || {}) };
+    slide.style.objectPosition = `${framing.focusX * 100}% ${framing.focusY * 100}%`;
+    slide.getAnimations().filter(animation => animation.id === 'kenBurns').forEach(animation => animation.cancel());
+    kenBurnsAnimation = null;
+    // Maps under fog of war stay put, so the fog keeps lining up with them
+    if (!state.slideshow.kenBurns || fogCovers(fogImageId) || typeof slide.animate !== 'function') return;
+
+    const seconds = (parseFloat(state.slideshow.transitionTime) || 3) + transitionSeconds;
+    kenBurnsAnimation = slide.animate([
+        { transform: kenBurnsTransform(framing, framing.zoomFrom) },
+        { transform: kenBurnsTransform(framing, framing.zoomTo) }
+    ], { id: 'kenBurns', duration: seconds * 1000, easing: 'ease-in-out', fill: 'forwards' });
+    if (!state.slideshow.isPlaying || state.slideshow.frozen) kenBurnsAnimation.pause();
+}
+
+function getActiveSlide() {
+    return dom.slide1?.classList.contains('active') ? dom.slide1 : dom.slide2;
+}
+
+/**
+ * Turns Ken Burns mode on or off for the slide that is showing (a per-channel setting).
+ * @param {boolean} enabled - Whether slides pan and zoom.
+ */
+function applyKenBurnsSetting(enabled) {
+    if (state.slideshow.kenBurns === enabled) return;
+    state.slideshow.kenBurns = enabled;
+    const activeSlide = getActiveSlide();
+    if (activeSlide && activeSlide.src && !state.slideshow.viewport) {
+        applyKenBurns(activeSlide, state.slideshow.currentImage?.kenBurns || null);
+    }
+}
+
+/**
+ * Works out where a slide's image lies on the slide. Slides show it with object-fit: cover, cropped
+ * around the focal point (see applyKenBurns).
+ * @param {HTMLImageElement} slide - A loaded slide.
+ * @returns {object|null} { x, y, width, height } in CSS pixels (x/y are zero or negative), or null
+ *   while the slide or its image has no size.
+ */
+function coverArea(slide) {
+    const width = slide.clientWidth;
+    const height = slide.clientHeight;
+    if (!width || !height || !slide.naturalWidth || !slide.naturalHeight) return null;
+    const coverScale = Math.max(width / slide.naturalWidth, height / slide.naturalHeight);
+    const shownWidth = slide.naturalWidth * coverScale;
+    const shownHeight = slide.naturalHeight * coverScale;
+    const framing = { ...DEFAULT_KEN_BURNS, ...(state.slideshow.currentImage?.kenBurns || {}) };
+    return {
+        x: (width - shownWidth) * framing.focusX,
+        y: (height - shownHeight) * framing.focusY,
+        width: shownWidth,
+        height: shownHeight
+    };
+}
+
+/**
+ * Builds the transform that fits a region of the slide's image to the screen, centred.
+ * The region is first mapped from image to slide coordinates (see coverArea).
+ * @param {HTMLImageElement} slide - A loaded slide.
+ * @param {object|null} viewport - { x, y, width, height } relative to the image; null for the whole slide.
+ * @returns {string} CSS transform.
+ */
+function viewportTransform(slide, viewport) {
+    const area = viewport ? coverArea(slide) : null;
+    if (!area) return 'translate(0%, 0%) scale(1)';
+    const width = slide.clientWidth;
+    const height = slide.clientHeight;
+    const centreX = area.x + (viewport.x + viewport.width / 2) * area.width;
+    const centreY = area.y + (viewport.y + viewport.height / 2) * area.height;
+    const zoom = Math.max(1, Math.min(width / (viewport.width * area.width), height / (viewport.height * area.height)));
+    return `translate(${-zoom * (centreX / width - 0.5) * 100}%, ${-zoom * (centreY / height - 0.5) * 100}%) scale(${zoom})`;
+}
+
+/**
+ * Zooms a slide into the region set from the manage page (state.slideshow.viewport), or back out to
+ * the whole image. The zoom replaces any Ken Burns pan on that slide; the fog canvas moves along with it.
+ * @param {HTMLImageElement} slide - The slide to move.
+ * @param {boolean} [animate=true] - Move smoothly from the current view; false jumps straight there.
+ */
+function applyViewport(slide, animate = true) {
+    if (!slide || typeof slide.animate !== 'function') return;
+    const from = getComputedStyle(slide).transform;
+    const targets = slide === fogSlide && dom.fogCanvas ? [slide, dom.fogCanvas] : [slide];
+    targets.forEach(target => {
+        target.getAnimations().filter(animation => animation.id === 'viewport' || animation.id === 'kenBurns').forEach(animation => animation.cancel());
+    });
+    if (kenBurnsAnimation && kenBurnsAnimation.effect?.target === slide) kenBurnsAnimation = null;
+    const to = viewportTransform(slide, state.slideshow.viewport);
+    targets.forEach(target => {
+        target.animate([{ transform: from === 'none' ? 'translate(0%, 0%) scale(1)' : from }, { transform: to }], {
+            id: 'viewport',
+            duration: animate ? VIEWPORT_ANIMATION_MS : 0,
+            easing: 'ease-in-out',
+            fill: 'forwards'
+        });
+    });
+}
+
+// --- Fog of War ---
+// Images with fog of war on are shown under an opaque canvas; the GM reveals parts of it from the
+// manage page (public/fogOfWar.js draws it). The canvas covers the visible slide exactly.
+
+function fogCovers(imageId) {
+    return fog.enabled && imageId !== null && fog.imageId === imageId;
+}
+
+function getFogCanvas() {
+    if (dom.fogCanvas) return dom.fogCanvas;
+    const container = dom.slide1?.parentElement;
+    if (!container) return null;
+    dom.fogCanvas = document.createElement('canvas');
+    dom.fogCanvas.id = 'fog-canvas';
+    dom.fogCanvas.hidden = true;
+    container.appendChild(dom.fogCanvas);
+    return dom.fogCanvas;
+}
+
+/**
+ * Redraws the fog over the slide it covers, or hides the canvas when that slide's image has no fog.
+ */
+function renderFog() {
+    const canvas = getFogCanvas();
+    if (!canvas) return;
+    canvas.hidden = !fogSlide || !fogCovers(fogImageId);
+    fogArea = null;
+    if (canvas.hidden) return;
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = Math.round(fogSlide.clientWidth * ratio);
+    canvas.height = Math.round(fogSlide.clientHeight * ratio);
+    const area = coverArea(fogSlide);
+    if (area) {
+        fogArea = { x: area.x * ratio, y: area.y * ratio, width: area.width * ratio, height: area.height * ratio };
+    }
+    // Without a size for the image nothing can be lined up, so everything stays covered
+    drawFog(canvas.getContext('2d'), fogArea ? fog.operations : [], fogArea);
+}
+
+/**
+ * Loads the fog of war of the image the server switched to.
+ * @param {object} image - The image ({ id, fogOfWar }).
+ * @returns {Promise<void>} Resolves once the fog is known (also when loading failed: the image is then
+ *   covered completely if it had fog of war on).
+ */
+function loadFog(image) {
+    fog = { imageId: image.id, enabled: !!image.fogOfWar, operations: [] };
+    return fetchFog(image.id)
+        .then(result => {
+            if (fog.imageId !== image.id) return; // Moved on to another image meanwhile
+            updateFog(result);
+        })
+        .catch(error => console.error(`[Fog] Failed to load the fog of war of image ${image.id}:`, error));
+}
+
+/**
+ * Replaces the fog of the current image, redrawing it once its slide is showing.
+ * @param {object} data - { imageId, enabled, operations }.
+ */
+function updateFog(data) {
+    const wasCovered = fogCovers(fogImageId);
+    fog = { imageId: data.imageId, enabled: !!data.enabled, operations: data.operations || [] };
+    if (data.imageId !== fogImageId) return; // transitionTo draws it when the slide appears
+    if (state.slideshow.frozen) return; // Drawn when the display is unfrozen
+    // Fog that appears on the visible slide stops its Ken Burns pan (keeping any zoom region)
+    if (!wasCovered && fogCovers(fogImageId)) applyViewport(fogSlide, false);
+    renderFog();
+}
+
+/**
+ * Handles fog broadcasts after the GM turned fog of war on/off or reset it.
+ * @param {object} data - { imageId, enabled, operations }.
+ */
+function handleFogState(data) {
+    if (data && data.imageId === fog.imageId) updateFog(data);
+}
+
+/**
+ * Handles a brush stroke or polygon the GM just drew.
+ * @param {object} data - { imageId, operation }.
+ */
+function handleFogOperation(data) {
+    if (!data || data.imageId !== fog.imageId || !data.operation) return;
+    fog.operations.push(data.operation);
+    if (fogArea && fogCovers(fogImageId) && dom.fogCanvas && !state.slideshow.frozen) {
+        drawFogOperation(dom.fogCanvas.getContext('2d'), data.operation, fogArea);
+    }
+}
+
+// Re-syncs the fog after reconnecting (the GM may have drawn meanwhile)
+function refreshFog() {
+    const image = state.slideshow.currentImage;
+    if (image) loadFog({ id: image.id, fogOfWar: fogCovers(image.id) || image.fogOfWar });
+}
+
+/**
+ * Performs the transition to a new image
  * Implements Slideshow User Story 3:
- * - Crossfade transition between images
- * - Ease-out timing function
+ * - Crossfade (or another configured transition) between images
+ * - Configurable duration and timing function
+ * @param {string} imageUrl - Image to show.
+ * @param {string} title - Title overlay text.
+ * @param {string} [description=''] - Subtitle overlay text.
+ * @param {object} [options]
+ * @param {object|null} [options.kenBurns=null] - The image's pan/zoom framing (see applyKenBurns).
+ * @param {object} [options.transition] - The transition to play ({ type, duration, easing }, see resolveTransition).
+ * @param {number|null} [options.imageId=null] - The image's ID, for its fog of war.
+ * @param {Promise|null} [options.ready=null] - The slide isn't shown before this settles (its fog is loaded).
  */
-function crossfadeTo(imageUrl, title, description = '') {
-    console.log(`[crossfadeTo] Called with: URL=${imageUrl}, title=${title}`);
+function transitionTo(imageUrl, title, description = '', {
+    kenBurns = null,
+    transition = resolveTransition(state.slideshow.transition),
+    imageId = null,
+    ready = null
+} = {}) {
+    const transitionId = ++transitionCount;
+    console.log(`[transitionTo] Called with: URL=${imageUrl}, title=${title}, transition=${transition.type}`);
     if (!dom.slide1 || !dom.slide2 || !imageUrl) {
-        console.warn('[crossfadeTo] Missing elements or imageUrl. Aborting.');
+        console.warn('[transitionTo] Missing elements or imageUrl. Aborting.');
         setTextOverlayStatic(title, description); // Still update text even if fade fails
         return;
     }
 
     const activeSlide = dom.slide1.classList.contains('active') ? dom.slide1 : dom.slide2;
     const inactiveSlide = activeSlide === dom.slide1 ? dom.slide2 : dom.slide1;
-    console.log(`[crossfadeTo] Active slide: ${activeSlide.id}, Inactive slide: ${inactiveSlide.id}`);
+    console.log(`[transitionTo] Active slide: ${activeSlide.id}, Inactive slide: ${inactiveSlide.id}`);
 
     // Update title overlay immediately before image loads
     updateTitleOverlay(title, description);
 
     // Set the source for the inactive slide and wait for it to load
-    console.log(`[crossfadeTo] Setting image src=${imageUrl} on inactive slide: ${inactiveSlide.id}`);
+    console.log(`[transitionTo] Setting image src=${imageUrl} on inactive slide: ${inactiveSlide.id}`);
     inactiveSlide.src = imageUrl;
 
     inactiveSlide.onload = () => {
-        console.log(`[crossfadeTo] Image loaded on ${inactiveSlide.id}`);
-        // Ensure smooth transition even if load is very fast
-        requestAnimationFrame(() => {
-             requestAnimationFrame(() => { // Double RAF for potentially better browser rendering sync
-                console.log(`[crossfadeTo] Toggling active class. Removing from ${activeSlide.id}, adding to ${inactiveSlide.id}`);
-    activeSlide.classList.remove('active');
-                inactiveSlide.classList.add('active');
-                // Ensure title overlay matches active slide
-    updateTitleOverlay(title, description);
-                 console.log(`[crossfadeTo] Active classes toggled. New active: ${inactiveSlide.id}`);
+        console.log(`[transitionTo] Image loaded on ${inactiveSlide.id}`);
+        inactiveSlide.onload = null; // Prevent potential multiple triggers
+        Promise.resolve(ready).then(() => {
+            if (transitionId !== transitionCount) return; // A newer slide was requested meanwhile
+            inactiveSlide.getAnimations().filter(animation => animation.id === 'viewport').forEach(animation => animation.cancel());
+            fogSlide = inactiveSlide;
+            fogImageId = imageId;
+            // A fogged map is covered before it starts appearing; otherwise the old fog stays until the transition ends
+            if (fogCovers(imageId)) {
+                dom.fogCanvas?.getAnimations().filter(animation => animation.id === 'viewport').forEach(animation => animation.cancel());
+                renderFog();
+            }
+            applyKenBurns(inactiveSlide, kenBurns, transition.duration);
+            // A display that (re)connects while the GM has zoomed in starts on the same region
+            if (state.slideshow.viewport) applyViewport(inactiveSlide, false);
+            // Ensure smooth transition even if load is very fast
+            requestAnimationFrame(() => {
+                 requestAnimationFrame(() => { // Double RAF for potentially better browser rendering sync
+                    console.log(`[transitionTo] Playing ${transition.type} from ${activeSlide.id} to ${inactiveSlide.id}`);
+                    runTransition(inactiveSlide, activeSlide, transition).then(() => {
+                        if (fogSlide === inactiveSlide && !fogCovers(fogImageId)) renderFog();
+                    });
+                    // Ensure title overlay matches active slide
+        updateTitleOverlay(title, description);
+                     console.log(`[transitionTo] Active classes toggled. New active: ${inactiveSlide.id}`);
+                });
             });
         });
-        inactiveSlide.onload = null; // Prevent potential multiple triggers
     };
 
     inactiveSlide.onerror = () => {
-        console.error(`[crossfadeTo] Failed to load image: ${imageUrl} on ${inactiveSlide.id}`);
+        console.error(`[transitionTo] Failed to load image: ${imageUrl} on ${inactiveSlide.id}`);
         inactiveSlide.onload = null; // Clear onload handler on error too
         inactiveSlide.onerror = null; 
+        fogSlide = inactiveSlide;
+        fogImageId = null;
         // Optionally display an error image or message
          inactiveSlide.src = 'icons/error_file.svg'; // Show error placeholder
          // Still attempt to transition to show the error placeholder
          requestAnimationFrame(() => {
              requestAnimationFrame(() => {
-                 activeSlide.classList.remove('active');
-                 inactiveSlide.classList.add('active');
+                 runTransition(inactiveSlide, activeSlide, transition);
                   updateTitleOverlay("Error Loading Image", ""); // Update text
              });
          });
     };
 }
 
+// --- Curtain ---
+// The GM can hide the screen at once (blackout), fade it to black or cover it with a curtain image.
+// The curtain lies above everything else, including the navigation areas.
+
+function getCurtain() {
+    if (dom.curtain) return dom.curtain;
+    if (!dom.slideshowContainer) return null;
+    dom.curtain = document.createElement('div');
+    dom.curtain.id = 'curtain';
+    dom.slideshowContainer.appendChild(dom.curtain);
+    return dom.curtain;
+}
+
 /**
- * Determines the index of the next image to show based on the current order.
+ * Lowers or lifts the curtain.
+ * @param {string|null} curtain - 'black', 'fade', 'image' or null (lifted).
+ * @param {object|null} curtainImage - The channel's curtain image ({ url, ... }); without one the curtain is black.
  */
-function getNextImageIndex() {
-    const { order, currentImageIndex, activeList, randomizedOrder, usedIndices } = state.slideshow;
-    const listLength = activeList?.length || 0;
-    if (listLength === 0) return -1; // No images
-
-    console.log(`[getNextImageIndex] ENTRY - Order: ${order}, CurrentIndex: ${currentImageIndex}, ListLength: ${listLength}, UsedIndicesSize: ${usedIndices?.size}`);
-
-    let nextIndex = -1;
-    
-    switch (order) {
-        case 'sequential':
-            nextIndex = (currentImageIndex + 1) % listLength;
-            break;
-        case 'random':
-            const randomOrderLength = randomizedOrder?.length || 0;
-            if (randomOrderLength !== listLength) {
-                console.warn('[getNextImageIndex] Random order length mismatch! Regenerating.');
-                generateRandomOrder(); // Regenerate order
-                // *** FIX: Immediately return the first index of the NEW order ***
-                usedIndices.clear(); // Clear used indices
-                updateState('slideshow', { history: [] }); // Clear history
-                const newRandomOrder = state.slideshow.randomizedOrder; // Get the newly generated order from state
-                nextIndex = newRandomOrder.length > 0 ? newRandomOrder[0] : 0; // Get the first index
-                if (nextIndex !== -1) {
-                    usedIndices.add(nextIndex); // Add the first index to used
-                    console.log(`[getNextImageIndex] Regenerated order. Returning first new index: ${nextIndex}`);
-                    return nextIndex; // Return immediately
-                }
-                // *** END FIX ***
-            }
-            if (usedIndices.size >= listLength) {
-                console.log('[getNextImageIndex] Random cycle complete, clearing used indices.');
-                usedIndices.clear();
-                // Clear history when cycle restarts
-                updateState('slideshow', { history: [] }); 
-            }
-
-            // Find the next available index in the randomized order
-            let foundIndex = -1;
-            for (let i = 0; i < randomizedOrder.length; i++) {
-                const potentialIndex = randomizedOrder[i];
-                if (!usedIndices.has(potentialIndex)) {
-                    foundIndex = potentialIndex;
-                    break;
-                }
-            }
-
-            if (foundIndex !== -1) {
-                usedIndices.add(foundIndex);
-                nextIndex = foundIndex;
-            } else {
-                // Should not happen if usedIndices was cleared correctly, but as a fallback:
-                console.warn('[getNextImageIndex] Random fallback: Could not find unused index, restarting cycle.');
-                usedIndices.clear();
-                nextIndex = randomizedOrder.length > 0 ? randomizedOrder[0] : 0;
-                if(nextIndex !== -1) usedIndices.add(nextIndex);
-            }
-            break;
-        default: // Includes 'alphabetical' and any other case
-            nextIndex = (currentImageIndex + 1) % listLength;
-            break;
-    }
-    console.log(`[getNextImageIndex] EXIT - Calculated nextIndex: ${nextIndex}`);
-    return nextIndex;
+function applyCurtain(curtain, curtainImage) {
+    state.slideshow.curtain = curtain;
+    state.slideshow.curtainImage = curtainImage;
+    const element = getCurtain();
+    if (!element) return;
+    if (curtainImage && curtainImage.url) preloadImage(curtainImage.url);
+    const type = curtain === 'image' && !curtainImage?.url ? 'black' : curtain;
+    element.style.transitionDuration = `${type === 'fade' ? CURTAIN_FADE_MS : (type ? 0 : CURTAIN_LIFT_MS)}ms`;
+    // The picture stays while the curtain lifts
+    if (type) element.style.backgroundImage = type === 'image' ? `url(${JSON.stringify(curtainImage.url)})` : 'none';
+    element.classList.toggle('is-down', !!type);
 }
 
+// --- Server-driven Playback ---
+// The server's slideshow engine owns the queue, order, timer and pause state.
+// Displays render the exact image it broadcasts and send navigation back as commands.
+
 /**
- * Determines the index of the previous image to show based on the current order.
+ * Sends a control command to the server's slideshow engine.
+ * @param {string} action - 'next', 'prev', 'pause', 'resume' or 'togglePause'.
  */
-function getPrevImageIndex() {
-    const { order, currentImageIndex, activeList, randomizedOrder, usedIndices, history } = state.slideshow;
-    const listLength = activeList?.length || 0;
-    if (listLength === 0) return -1; // No images
-
-    console.log(`[getPrevImageIndex] ENTRY - Order: ${order}, CurrentIndex: ${currentImageIndex}, ListLength: ${listLength}, HistoryLength: ${history?.length}`);
-
-    let prevIndex = -1;
-
-    switch (order) {
-        case 'sequential':
-        case 'alphabetical': // Treat alphabetical same as sequential for prev
-            prevIndex = (currentImageIndex - 1 + listLength) % listLength;
-            break;
-        case 'random':
-            // Use history for random previous
-            if (history && history.length > 0) {
-                // Remove current index from end of history (it was added when it was displayed)
-                if (history[history.length - 1] === currentImageIndex) {
-                    history.pop();
-                }
-                // Get the previous index from history
-                if(history.length > 0){
-                    prevIndex = history.pop(); // Pop the actual previous index
-                    console.log(`[getPrevImageIndex] Random Previous: Popped index ${prevIndex} from history.`);
-                    // Update state immediately (or let showPreviousImage handle it?)
-                     updateState('slideshow', { history: [...history] });
-                } else {
-                    console.warn('[getPrevImageIndex] Random Previous: History is empty after popping current index. Falling back.');
-                     // Fallback: sequential previous if history becomes empty
-                     prevIndex = (currentImageIndex - 1 + listLength) % listLength;
-                }
-            } else {
-                console.warn('[getPrevImageIndex] Random Previous: History is empty or invalid. Falling back.');
-                // Fallback: sequential previous if no history
-                prevIndex = (currentImageIndex - 1 + listLength) % listLength;
-            }
-            break;
-        default:
-            prevIndex = (currentImageIndex - 1 + listLength) % listLength;
-            break;
+function sendSlideshowControl(action) {
+    if (!socket) {
+        console.warn(`[Slideshow] Socket not available, cannot send '${action}'.`);
+        return;
     }
-    console.log(`[getPrevImageIndex] EXIT - Calculated prevIndex: ${prevIndex}`);
-    return prevIndex;
+    socket.emit('slideshowControl', { action });
 }
 
 /**
- * Preloads the next image in sequence for smoother transitions
- * Used by Slideshow User Story 3 - crossfade transitions
+ * Asks the server for the current slide (on load and after reconnecting).
  */
-function preloadNextImage() {
-    const images = state.slideshow.images;
-    if (!images || images.length <= 1) return; // No need to preload if there's only one image
-    
-    // Find next index based on order mode
-    const order = state.slideshow.order || DEFAULT_SLIDESHOW_ORDER;
-    let nextIndex;
-    
-    if (order === 'random') {
-        // For random, just pick a random one that isn't the current
-        // We don't use getNextImageIndex() here because we don't want to update usedRandomIndices
-        let candidateIndex;
-        do {
-            candidateIndex = Math.floor(Math.random() * images.length);
-        } while (candidateIndex === currentImageIndex && images.length > 1);
-        nextIndex = candidateIndex;
-    } else {
-        // For sequential, just get the next one with wraparound
-        nextIndex = (currentImageIndex + 1) % images.length;
-    }
-    
-    // Preload the image
-    if (nextIndex >= 0 && nextIndex < images.length) {
-        const nextImage = images[nextIndex];
-        if (nextImage && nextImage.url) {
-            preloadImage(nextImage.url);
-        }
+function requestSlideshowState() {
+    if (socket) {
+        socket.emit('requestSlideshowState');
     }
 }
 
 /**
- * Shows the next image in the sequence based on the current index and order.
+ * Renders a slideshow state broadcast by the server.
+ * Crossfades only when the image actually changed, and preloads the upcoming image.
+ * @param {object} data - Engine state ({ image, nextImage, index, total, isPlaying, speed, order, curtain, frozen, source }).
  */
-function showNextImage() {
-    console.log(`[Slideshow showNextImage] ENTRY - Active list length: ${state.slideshow.activeList?.length || 0}`);
-    if (!state.slideshow.activeList || state.slideshow.activeList.length === 0) {
-        console.log('[Slideshow showNextImage] Conditions not met (no images), stopping.');
-        return;
-    }
-    
-    const nextIndex = getNextImageIndex();
-    console.log(`[Slideshow showNextImage] Index received from getNextImageIndex: ${nextIndex}`);
-
-    // *** ADDED DETAILED LOGGING ***
-    const currentImage = state.slideshow.currentImage;
-    const activeList = state.slideshow.activeList;
-    const image = activeList ? activeList[nextIndex] : null;
+function renderEngineState(data) {
+    if (!data) return;
 
-    console.log(`[Slideshow showNextImage] Attempting to show index: ${nextIndex}`);
-    console.log(`[Slideshow showNextImage] Image data at index ${nextIndex}:`, JSON.stringify(image, null, 2));
-    // *** END ADDED LOGGING ***
-
-    if (!image || typeof image.url !== 'string' || !image.url) {
-        console.error(`[Slideshow showNextImage] Invalid image data at index ${nextIndex}. Stopping. Data:`, image);
-        stopSlideshowInterval();
+    if (data.curtain !== undefined) {
+        applyCurtain(data.curtain, data.curtainImage || null);
+    }
+    // A frozen display keeps its picture; the engine's latest state is shown once it is unfrozen.
+    // A display that has nothing on screen yet (it just connected) still shows the current slide.
+    const wasFrozen = !!state.slideshow.frozen;
+    state.slideshow.frozen = !!data.frozen;
+    if (state.slideshow.frozen && state.slideshow.currentImage) {
+        updatePlayPauseButtonUI();
         return;
     }
+    if (wasFrozen) renderFog();
 
-    if (nextIndex !== -1 && nextIndex < state.slideshow.activeList.length) {
-        const nextImage = state.slideshow.activeList[nextIndex];
-        console.log(`[Slideshow showNextImage] Next image object found:`, nextImage);
-        if (nextImage && nextImage.url) {
-            crossfadeTo(nextImage.url, nextImage.title, nextImage.description);
-            console.log(`[Slideshow showNextImage] currentImageIndex BEFORE state update: ${state.slideshow.currentImageIndex}`);
-            // --- Add current index to history BEFORE updating index state ---            
-            const history = state.slideshow.history || [];
-            if (state.slideshow.currentImageIndex !== -1) { // Don't add initial -1 index
-                history.push(state.slideshow.currentImageIndex);
-                console.log(`[showNextImage] Pushed ${state.slideshow.currentImageIndex} to history. New length: ${history.length}`);
-            }            
-            // ---------------------------------------------------------------
-            // Keep playing state true, just reset the timer
-            updateState('slideshow', { 
-                currentImageIndex: nextIndex, 
-                currentImage: nextImage,
-                history: [...history] // Update history state
-            }); // REMOVED: isPlaying: false 
-            console.log(`[Slideshow showNextImage] currentImageIndex AFTER state update attempt (reading state): ${state.slideshow.currentImageIndex}`);
-            resetSlideshowInterval(state.slideshow.activeList?.length || 0); // Reset interval FROM this new image
-            updatePlayPauseButtonUI(); // Update button UI
-            preloadNextImage(); // Preload the one after this
-        } else {
-            console.warn(`[Slideshow showNextImage] Invalid image data at index ${nextIndex}. Stopping.`);
-            stopSlideshowInterval();
+    const previousImage = state.slideshow.currentImage;
+    const previousViewport = JSON.stringify(state.slideshow.viewport || null);
+    updateState('slideshow', {
+        currentImage: data.image || null,
+        currentImageIndex: data.index ?? -1,
+        isPlaying: !!data.isPlaying,
+        transitionTime: data.speed ?? state.slideshow.transitionTime,
+        order: data.order ?? state.slideshow.order,
+        transition: data.transition ?? state.slideshow.transition,
+        viewport: data.viewport || null,
+        sourceType: data.source?.type || 'none',
+        sourceDetails: data.source?.details ?? null,
+        activeListLength: data.total ?? 0
+    });
+
+    if (!data.image) {
+        if (previousImage || data.total === 0) {
+            transitionTo('', 'No images available');
         }
-    } else {
-        console.warn(`[Slideshow showNextImage] Invalid next index (${nextIndex}) received. Stopping.`);
-        stopSlideshowInterval();
+    } else if (!previousImage || previousImage.id !== data.image.id || previousImage.url !== data.image.url) {
+        // The image's own transition wins over the playlist's, which wins over the channel's
+        const transition = resolveTransition(state.slideshow.transition, data.source?.transition, data.image.transition);
+        transitionTo(data.image.url, data.image.title || '', data.image.description || '', {
+            kenBurns: data.image.kenBurns || null,
+            transition,
+            imageId: data.image.id,
+            ready: loadFog(data.image)
+        });
+    } else if (JSON.stringify(state.slideshow.viewport) !== previousViewport) {
+        applyViewport(getActiveSlide());
     }
-}
 
-/**
- * Shows the previous image in the sequence.
- */
-function showPreviousImage() {
-    console.log(`[Slideshow showPreviousImage] ENTRY - Active list length: ${state.slideshow.activeList?.length || 0}`);
-     if (!state.slideshow.activeList || state.slideshow.activeList.length === 0) {
-        console.log('[Slideshow showPreviousImage] No images, cannot go previous.');
-        return;
+    if (data.nextImage && data.nextImage.url) {
+        preloadImage(data.nextImage.url);
     }
-    // No need to check isPlaying for manual navigation
-
-    const prevIndex = getPrevImageIndex();
-    console.log(`[Slideshow showPreviousImage] Index received from getPrevImageIndex: ${prevIndex}`);
-
-    if (prevIndex !== -1 && prevIndex < state.slideshow.activeList.length) {
-        const prevImage = state.slideshow.activeList[prevIndex];
-         console.log(`[Slideshow showPreviousImage] Previous image object found:`, prevImage);
-        if (prevImage && prevImage.url) {
-            stopSlideshowInterval(); // Stop auto-advance on manual navigation
-            crossfadeTo(prevImage.url, prevImage.title, prevImage.description);
-            console.log(`[Slideshow showPreviousImage] currentImageIndex BEFORE state update: ${state.slideshow.currentImageIndex}`);
-            // Keep playing state true, just reset the timer
-            updateState('slideshow', { currentImageIndex: prevIndex, currentImage: prevImage }); // REMOVED: isPlaying: false 
-             console.log(`[Slideshow showPreviousImage] currentImageIndex AFTER state update attempt (reading state): ${state.slideshow.currentImageIndex}`);
-             resetSlideshowInterval(state.slideshow.activeList?.length || 0); // Reset interval FROM this new image
-             updatePlayPauseButtonUI(); // Update button to show 'play' potentially
-            preloadNextImage(); // Preload based on the new current index
-        } else {
-            console.warn(`[Slideshow showPreviousImage] Invalid image data at index ${prevIndex}.`);
-        }
-    } else {
-         console.warn(`[Slideshow showPreviousImage] Invalid previous index (${prevIndex}) received.`);
+    if (data.showTextOverlay !== undefined) {
+        applyTextOverlaySetting(data.showTextOverlay);
     }
-}
-
-/**
- * Reset the slideshow interval for automatic playback
- * If an interval already exists, it will be stopped and then restarted
- * Implements Slideshow User Story 1 - automatic playback
- */
-function resetSlideshowInterval(imageCount) {
-    stopSlideshowInterval(); // Clear existing interval first
-    const speed = (state.slideshow.transitionTime ?? 3) * 1000; // Default 3 seconds
-    // const imageCount = state.slideshow.activeList?.length || 0; // REMOVED: Read from param
-
-    console.log(`[Interval] Attempting to start interval. Image count: ${imageCount}, transitionTime (s): ${speed / 1000}, speed (ms): ${speed}`);
-    
-    // Only start interval if there are multiple images and speed > 0
-    if (imageCount > 1 && speed > 0) {
-        intervalId = setInterval(showNextImage, speed);
-        console.log(`[Interval] Started new interval with ID: ${intervalId}, Speed: ${speed}ms`);
-    } else {
-        console.log('[Interval] Not starting interval: ' + 
-            (imageCount <= 1 ? 'Not enough images. ' : '') +
-            (speed <= 0 ? 'Speed is zero or negative. ' : ''));
+    if (data.kenBurns !== undefined) {
+        applyKenBurnsSetting(!!data.kenBurns);
     }
+    updatePlayPauseButtonUI();
+    reportDisplayStatus();
 }
 
 /**
- * Stops the slideshow interval if one is running
+ * Reports what this display is showing back to the server, which passes it on to the manage page
+ * (current image, position in the list, source type and paused state).
  */
-function stopSlideshowInterval() {
-    if (intervalId !== null) {
-        console.log('Stopping slideshow interval');
-        clearInterval(intervalId);
-        intervalId = null;
-    }
+function reportDisplayStatus() {
+    if (!socket) return;
+    const image = state.slideshow.currentImage;
+    socket.emit('displayStatus', {
+        image: image ? { id: image.id, title: image.title, thumbnailUrl: image.thumbnailUrl } : null,
+        index: state.slideshow.currentImageIndex,
+        total: state.slideshow.activeListLength,
+        sourceType: state.slideshow.sourceType,
+        isPlaying: state.slideshow.isPlaying
+    });
 }
 
 /**
- * Handles play image event from socket
- * Used by Image Management User Story 7 for playing specific images
+ * Shows or hides the title/description overlay (a per-channel setting).
+ * @param {boolean} showTextOverlay - Whether the overlay is visible.
  */
-function handlePlayImage(data) {
-    console.log('Received playImage event:', data);
-    stopSlideshowInterval(); // Stop automatic playback when a specific image is requested
-    // Find the index of the image to play, if it exists in the current list
-    const index = state.slideshow.images.findIndex(img => img.url === data.imageUrl);
-    if (index !== -1) {
-        currentImageIndex = index;
-        crossfadeTo(data.imageUrl, data.title, data.description);
-    } else {
-        // If image not in current list, just display it once without changing index
-        console.log(`Image ${data.title} not in current slideshow list, displaying it directly.`);
-         crossfadeTo(data.imageUrl, data.title, data.description);
-        // Don't update currentImageIndex as it's not part of the sequence
+function applyTextOverlaySetting(showTextOverlay) {
+    state.slideshow.showTextOverlay = showTextOverlay;
+    // Toggle visibility class on the container
+    if (dom.titleContainer) {
+        dom.titleContainer.classList.toggle('text-overlay-hidden', !showTextOverlay);
     }
 }
 
 /**
- * Handle play selection events
- * This could be playing selected images, playlists, or tags
+ * Handle play selection events (a new queue was loaded on the server)
  * Implements Slideshow Management User Story 1:
  * - Play selected images
  * - Play all images from a playlist
  * - Play images with selected tags
  */
 function handlePlaySelect(data) {
-    console.log('[Slideshow] Received playSelect request:', data);
-    
-    if (data && data.images && data.images.length > 0) {
-        // Update state with received settings
-    updateState('slideshow', {
-            transitionTime: data.speed ?? state.slideshow.transitionTime ?? DEFAULTS.TRANSITION_TIME,
-            order: data.order ?? state.slideshow.order ?? DEFAULTS.SLIDESHOW_ORDER, // Also update order if provided
-            // Store source info for reference/debugging, but don't use it to fetch again here
-            sourceType: data.sourceType || 'selection',
-            sourceDetails: data.sourceDetails || null 
-        });
-        console.log(`[Slideshow handlePlaySelect] About to call startSlideshowWithImages with ${data.images.length} images.`);
-        // *** MODIFICATION: Call startSlideshowWithImages directly with the received image data ***
-        startSlideshowWithImages(data.images); 
-                } else {
-        console.warn('[Slideshow] playSelect called with invalid image data.');
-    }
+    console.log('[Slideshow] Received playSelect:', data?.source, `(${data?.total ?? 0} images)`);
+    renderEngineState(data);
 }
 
 /**
- * Starts or restarts the slideshow with a new set of images
- * Used by handlePlaySelect and other controls
- * Implements Slideshow User Story 1
+ * Handles slide actions broadcast by the server (next/prev/show/pause/resume).
+ * Used by Slideshow Management User Story 2 for navigation controls
+ * @param {object} data - Engine state plus the action that produced it.
  */
-function startSlideshowWithImages(images) {
-    console.log('Starting slideshow with images:', images.length);
-    
-    // First stop any existing slideshow
-    stopSlideshowInterval();
-    
-    if (!images || images.length === 0) {
-        console.warn("startSlideshowWithImages: No images provided");
-        updateState('slideshow', { activeList: [], currentImageIndex: -1, isPlaying: false, currentImage: null });
-        crossfadeTo('', 'No images available');
-        return;
-    }
-    
-    // *** MODIFICATION: Store the received image list in the state ***
-    updateState('slideshow', { activeList: images, isPlaying: true });
-    
-    console.log('First image object:', images[0]); // Debug first image object
-    
-    // Display the first image immediately
-    console.log(`[startSlideshowWithImages] Calling getNextImageIndex. Current state index: ${state.slideshow.currentImageIndex}`); // LOG BEFORE CALL
-    const firstImageIndex = getNextImageIndex(); // Get index respecting order logic
-    console.log(`[startSlideshowWithImages] getNextImageIndex returned: ${firstImageIndex}`); // LOG AFTER CALL
-    const firstImage = images[firstImageIndex];
-    updateState('slideshow', { currentImageIndex: firstImageIndex, currentImage: firstImage }); // Update state
-    
-    // Verify image has a URL property
-    if (firstImage && firstImage.url) {
-        console.log('Displaying first image with URL:', firstImage.url);
-        crossfadeTo(firstImage.url, firstImage.title || '', firstImage.description || '');
-        
-        // Start the interval to display the rest of the images if there are more than one
-        if (images.length > 1 && state.slideshow.speed > 0) {
-            resetSlideshowInterval(images.length);
-        }
-    } else {
-        console.warn("First image is missing URL. Full image object:", firstImage);
-        crossfadeTo('', 'Error loading images');
-    }
+function handleSlideAction(data) {
+    console.log(`[handleSlideAction] Received action: ${data.action}`);
+    renderEngineState(data);
+}
+
+/**
+ * Handles the full slideshow state sent when this display (re)connects.
+ * @param {object} data - Engine state.
+ */
+function handleSlideshowState(data) {
+    console.log('[Slideshow] Synchronising with server state:', data?.image?.title);
+    renderEngineState(data);
 }
 
 /**
@@ -537,7 +596,8 @@ function startSlideshowWithImages(images) {
  * Implements Slideshow Management User Story 1:
  * - Update transition time
  * - Update sequence order
- * - Reset random indices tracking on order change
+ * (The server engine applies speed/order itself; displays only mirror them.
+ *  The server only sends this channel's settings to this display.)
  */
 function handleSettingsUpdate(data) {
     console.log('Slideshow handling settings update:', data);
@@ -548,70 +608,17 @@ function handleSettingsUpdate(data) {
         state.slideshow.order = data.order; // Update local state if needed
     }
     if (data.showTextOverlay !== undefined) {
-        state.slideshow.showTextOverlay = data.showTextOverlay;
-        // Toggle visibility class on the container
-        if (dom.titleContainer) {
-            dom.titleContainer.classList.toggle('text-overlay-hidden', !data.showTextOverlay);
-            console.log('Toggled text-overlay-hidden class based on settings', !data.showTextOverlay);
-        }
+        applyTextOverlaySetting(data.showTextOverlay);
+        console.log('Toggled text-overlay-hidden class based on settings', !data.showTextOverlay);
     }
-
-    // If the slideshow is currently running with a list of images,
-    // resetting the interval applies the new speed immediately.
-    // If it's paused or showing a single image, the new speed/order will apply next time playSelect is called.
-    if (intervalId !== null && currentImageIndex !== -1 && state.slideshow.images.length > 0) {
-        resetSlideshowInterval(state.slideshow.activeList?.length || 0);
+    if (data.kenBurns !== undefined) {
+        applyKenBurnsSetting(!!data.kenBurns);
     }
-}
-
-/**
- * Handles slide navigation actions
- * Used by Slideshow Management User Story 2 for navigation controls
- * @param {object} data - Action data ({ action: 'next' | 'prev' | 'reset' | 'togglePause' }).
- */
-function handleSlideAction(data) {
-    console.log(`[handleSlideAction] Received action: ${data.action}`, data);
-    switch (data.action) {
-        case 'next':
-            // Server might send the next image data, or just the command
-            if (data.image) {
-                // Option A: Server dictates the exact next image
-                crossfadeTo(data.image.url, data.image.title, data.image.description);
-                // Update state index if possible
-                const nextIndex = state.slideshow.activeList.findIndex(img => img.id === data.image.id);
-                 updateState('slideshow', { currentImageIndex: nextIndex, currentImage: data.image });
-            } else {
-                // Option B: Client calculates next image based on command
-        showNextImage();
-            }
-            break;
-        case 'prev':
-             console.log('[handleSlideAction] Calling showPreviousImage()');
-            // Similar logic as 'next' - server might send image or just command
-            if (data.image) {
-                crossfadeTo(data.image.url, data.image.title, data.image.description);
-                const prevIndex = state.slideshow.activeList.findIndex(img => img.id === data.image.id);
-                 updateState('slideshow', { currentImageIndex: prevIndex, currentImage: data.image });
-            } else {
-        showPreviousImage();
+    if (data.transition !== undefined) {
+        state.slideshow.transition = data.transition; // Used from the next slide change
     }
-            break;
-        case 'pause':
-            pauseSlideshow();
-            break;
-        case 'resume':
-            resumeSlideshow(); // This now calls play()
-            break;
-        case 'togglePause': // Handle the toggle action
-            if (state.slideshow.isPlaying) {
-                pauseSlideshow();
-            } else {
-                 resumeSlideshow(); // This now calls play()
-            }
-            break;
-        // Potentially handle 'reset' if needed
-        default:
-            console.warn(`Unhandled slide action: ${data.action}`);
+    if (data.curtainImage !== undefined) {
+        applyCurtain(state.slideshow.curtain ?? null, data.curtainImage);
     }
 }
 
@@ -679,7 +686,7 @@ function attachEventListeners() {
     if (leftHoverArea) {
         leftHoverArea.addEventListener('click', () => {
             console.log('Left navigation button clicked');
-            showPreviousImage();
+            sendSlideshowControl('prev');
         });
     } else {
         console.warn('Left navigation area not found');
@@ -688,7 +695,7 @@ function attachEventListeners() {
     if (rightHoverArea) {
         rightHoverArea.addEventListener('click', () => {
             console.log('Right navigation button clicked');
-            showNextImage();
+            sendSlideshowControl('next');
         });
     } else {
         console.warn('Right navigation area not found');
@@ -717,15 +724,21 @@ function attachEventListeners() {
             if (Math.abs(deltaX) > Math.abs(deltaY) && Math.abs(deltaX) > 50) {
                 if (deltaX > 0) {
                     // Swipe left = next
-                    showNextImage();
+                    sendSlideshowControl('next');
                 } else {
                     // Swipe right = previous
-                    showPreviousImage();
+                    sendSlideshowControl('prev');
                 }
             }
         });
     }
     
+    // Zoom regions are laid out for the screen size, so follow resizes (and fullscreen changes)
+    window.addEventListener('resize', () => {
+        renderFog();
+        if (state.slideshow.viewport) applyViewport(getActiveSlide(), false);
+    });
+
     // Keyboard navigation
     document.addEventListener('keydown', (e) => {
         // Only handle keystrokes if we're on the slideshow page
@@ -734,10 +747,10 @@ function attachEventListeners() {
         switch (e.key) {
             case 'ArrowRight':
             case ' ': // Space
-                showNextImage();
+                sendSlideshowControl('next');
                 break;
             case 'ArrowLeft':
-                showPreviousImage();
+                sendSlideshowControl('prev');
                 break;
             case 'Escape':
                 // Could add feature to exit or toggle fullscreen
@@ -766,41 +779,41 @@ async function _initSlideshow() {
         return;
     }
     
-    // Initialize state with empty images array and default speed/order
-    updateState('slideshow', {
-        images: [],
-        speed: DEFAULT_SLIDESHOW_SPEED,
-        order: DEFAULT_SLIDESHOW_ORDER,
-        usedRandomIndices: new Set()
-    });
-    
-    // Show loading message while we fetch initial images
-    crossfadeTo('', 'Loading images...');
+    // Show loading message until the server sends the current slide
+    transitionTo('', 'Loading images...');
     
     attachEventListeners();
 
     // --- Socket Listeners (Moved here from socket-client.js) ---
     if (window.socket) {
         // Remove old listeners before adding new ones (prevent duplicates on re-init)
-        window.socket.off('playImage', handlePlayImage);
         window.socket.off('playSelect', handlePlaySelect);
         window.socket.off('settingsUpdate', handleSettingsUpdate);
         window.socket.off('slideAction', handleSlideAction);
+        window.socket.off('slideshowState', handleSlideshowState);
+        window.socket.off('connect', requestSlideshowState);
+        window.socket.off('fogState', handleFogState);
+        window.socket.off('fogOperation', handleFogOperation);
+        window.socket.off('connect', refreshFog);
 
         // Attach listeners
-        window.socket.on('playImage', handlePlayImage);
         window.socket.on('playSelect', handlePlaySelect);
         window.socket.on('settingsUpdate', handleSettingsUpdate);
         window.socket.on('slideAction', handleSlideAction);
+        window.socket.on('slideshowState', handleSlideshowState);
+        window.socket.on('connect', requestSlideshowState); // Re-sync after reconnecting
+        window.socket.on('fogState', handleFogState);
+        window.socket.on('fogOperation', handleFogOperation);
+        window.socket.on('connect', refreshFog);
         console.log('[Slideshow] Socket event listeners attached inside slideshow.js.');
     } else {
         console.warn('[Slideshow] Socket not available when initializing listeners inside slideshow.js.');
     }
     // --- End Socket Listeners ---
 
-    console.log('Slideshow initialized, settings loaded, listeners attached.');
-    // >>> ADD CALL TO START PLAYING 'ALL' <<< 
-    startSlideshow('all', null); 
+    console.log('Slideshow initialized, listeners attached.');
+    // Late joiners start on whatever the server is currently showing
+    requestSlideshowState();
 }
 
 // --- Exported Functions --- 
@@ -812,240 +825,20 @@ async function _initSlideshow() {
 export async function initSlideshow() {
     console.log('Initializing slideshow from exported function');
     
-    // Initialize the internal slideshow logic
+    // Initialize the internal slideshow logic (also attaches the user interaction listeners)
     await _initSlideshow();
-    
-    // Attach event listeners for user interaction
-    attachEventListeners();
-}
-
-/**
- * Main function to start or restart the slideshow with a new image source.
- * @param {string} sourceType - 'all', 'tags', 'playlist', 'selection', 'direct', 'none'
- * @param {*} sourceDetails - Tag array, playlist ID, image object array, or null.
- */
-async function startSlideshow(sourceType, sourceDetails) {
-    // *** Log parameters immediately upon entry ***
-    console.log(`[Slideshow startSlideshow] ENTRY - Raw Params - sourceType: ${sourceType}, sourceDetails:`, sourceDetails);
-    console.log(`[Slideshow] Starting slideshow. Source: ${sourceType}`, sourceDetails);
-    pauseSlideshow(); // Stop any current interval
-
-    // *** Restore combined state update ***
-    // Update source and clear runtime state first
-    updateState('slideshow', {
-        sourceType: sourceType,
-        sourceDetails: sourceDetails, // Store the original source details
-        activeList: [],
-        currentImageIndex: -1,
-        usedIndices: new Set(),
-        randomizedOrder: [],
-        history: [],
-        currentImage: null,
-        isPlaying: false // Start paused until images loaded
-    });
-    console.log(`[Slideshow startSlideshow] State AFTER initial source/clear update:`, state.slideshow);
-
-    let imageList = [];
-    // *** ADD CHECK: If sourceDetails is already an image array, use it directly ***
-    if (Array.isArray(sourceDetails)) {
-        console.log('[Slideshow startSlideshow] Using provided image list directly.');
-        imageList = sourceDetails; // sourceDetails contains the images from handlePlaySelect
-    } else {
-         console.log('[Slideshow startSlideshow] Fetching image list from server...');
-        imageList = await fetchImageList(sourceType, sourceDetails);
-         console.log(`[Slideshow startSlideshow] Fetched imageList length: ${imageList?.length || 0}`);
-    }
-
-    if (!imageList || imageList.length === 0) {
-        console.warn('[Slideshow] No images found for the specified source.');
-        crossfadeTo('', 'No images available'); // Display message
-        // Keep sourceType/sourceDetails, but mark as not playing
-        updateState('slideshow', { activeList: [], isPlaying: false, currentImageIndex: -1 }); 
-        return;
-    }
-    
-    // *** Update state again with the fetched list ***
-    updateState('slideshow', { activeList: imageList });
-    console.log('[Slideshow startSlideshow] State AFTER activeList update:', JSON.parse(JSON.stringify(state.slideshow)));
-
-    if (state.slideshow.order === 'random') {
-        generateRandomOrder();
-    }
-
-    // Start playback using the new play function
-    play();
-}
-
-/**
- * Fetches the appropriate image list based on the source type.
- * NOTE: This needs refinement. Fetching ALL images for tags/playlists might be slow.
- * Consider fetching only IDs then details, or modifying API.
- */
-async function fetchImageList(sourceType, sourceDetails) {
-    let filters = {};
-    let fetchAll = true; // Flag to fetch all matching, not just one page (NEEDS API SUPPORT or client filter)
-    let limit = 10000; // Temporary high limit - BAD PRACTICE
-
-    switch (sourceType) {
-        case 'tags':
-            filters.tags = sourceDetails; // Array of tag names
-            break;
-        case 'playlist':
-            filters.playlistId = sourceDetails; // Playlist ID
-            break;
-        case 'selection':
-            filters.ids = sourceDetails.map(img => img.id); // Array of image IDs
-            if (filters.ids.length === 0) return [];
-            break;
-        case 'all':
-            // No specific filters needed, just exclude hidden by default
-            break;
-        case 'direct': // 'direct' source uses the single image passed, no fetch needed here
-             return [sourceDetails]; // Assuming sourceDetails is the image object
-        case 'none':
-        default:
-            return [];
-    }
-
-    // Always exclude hidden unless source is 'direct' (handled above)
-    // This might need adjustment based on how direct play passes data
-    // filters.includeHidden = (sourceType === 'direct'); 
-
-    // Call API - Needs modification if fetchAll is true
-    const { images } = await fetchImages({ 
-        page: 1, 
-        limit: limit, // Request potentially large number
-        sortKey: state.slideshow.order === 'alphabetical' ? 'title' : 'dateAdded', // Default sort for non-random
-        sortDir: 'asc',
-        filters 
-    });
-
-    return images || [];
-}
-
-/**
- * Generates a shuffled order of indices for the activeList.
- * Optionally ensures a specific index is first.
- * @param {number} [firstIndex=-1] - The index to place at the beginning.
- */
-function generateRandomOrder(firstIndex = -1) {
-    const list = state.slideshow.activeList;
-    if (!list || list.length === 0) {
-        updateState('slideshow', { randomizedOrder: [] });
-        return;
-    }
-
-    let indices = Array.from({ length: list.length }, (_, i) => i);
-    
-    // Shuffle the array (Fisher-Yates algorithm)
-    for (let i = indices.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [indices[i], indices[j]] = [indices[j], indices[i]];
-    }
-
-    // Move the desired firstIndex to the beginning if specified and valid
-    if (firstIndex >= 0 && firstIndex < indices.length) {
-        const currentPos = indices.indexOf(firstIndex);
-        if (currentPos !== -1) {
-            indices.splice(currentPos, 1); // Remove from current position
-            indices.unshift(firstIndex); // Add to the front
-        }
-    }
-
-    updateState('slideshow', { randomizedOrder: indices });
-    console.log('[Slideshow] Generated random order:', indices);
-}
-
-/**
- * Pauses the slideshow.
- */
-function pauseSlideshow() {
-    stopSlideshowInterval();
-    if (state.slideshow.isPlaying) { // Only update state if it was playing
-        updateState('slideshow', { isPlaying: false });
-        updatePlayPauseButtonUI();
-        console.log('[Slideshow] Paused.');
-    }
-}
-
-/**
- * Resumes the slideshow by showing the next image.
- */
-function resumeSlideshow() {
-    if (state.slideshow.isPlaying) {
-        console.log('[Slideshow] Already playing.');
-        return;
-    } // Already playing
-    if (state.slideshow.activeList && state.slideshow.activeList.length > 0) {
-        console.log('[Slideshow] Resuming playback...');
-        play(); // Call the centralized play function
-    } else {
-        console.log('[Slideshow] Cannot resume, no active images.');
-    }
-}
-
-/**
- * Displays a directly played image and pauses.
- * @param {object} image - The image object to display.
- */
-function playDirectImage(image) {
-    console.log('[Slideshow] Playing direct image:', image.title);
-    pauseSlideshow();
-    crossfadeTo(image.url, image.title, image.description);
-
-    // Find index in current list, update state
-    const directImageIndex = state.slideshow.activeList.findIndex(img => img.id === image.id);
-    
-    updateState('slideshow', {
-        currentImage: image, // Also update currentImage
-        currentImageIndex: directImageIndex // May be -1 if not in activeList
-    });
-
-    // Reset random order if applicable (Mode A)
-    if (state.slideshow.order === 'random') {
-        console.log('[Slideshow] Random order active, regenerating with direct image first.');
-        // Regenerate ensuring the direct image is first if found
-        generateRandomOrder(directImageIndex); 
-        // Reset used indices, add the current one
-        const newUsedIndices = new Set();
-        if (directImageIndex !== -1) { 
-            // If the direct image was found, its effective index in the *new* random order is 0
-            newUsedIndices.add(state.slideshow.randomizedOrder[0]); 
-            updateState('slideshow', { currentImageIndex: state.slideshow.randomizedOrder[0] });
-        }
-        updateState('slideshow', { usedIndices: newUsedIndices });
-    }
 }
 
 // --- UI Updates ---
 
 function updatePlayPauseButtonUI() {
-    // TODO: Implement logic to update the play/pause button icon in manage.html
-    // based on state.slideshow.isPlaying
-    console.log('[Slideshow] TODO: Update Play/Pause Button UI. isPlaying:', state.slideshow.isPlaying);
-}
-
-/**
- * The main function to start or resume playback.
- * Sets playing state, shows the first/next image, and starts the interval.
- */
-function play() {
-    if (state.slideshow.isPlaying) {
-        console.log('[Slideshow play] Already playing.');
-        return; // Don't restart if already playing
+    // Displays have no play/pause button; expose the paused state for styling instead
+    if (dom.slideshowContainer) {
+        dom.slideshowContainer.classList.toggle('paused', !state.slideshow.isPlaying);
     }
-     if (!state.slideshow.activeList || state.slideshow.activeList.length === 0) {
-        console.log('[Slideshow play] Cannot play, no active images.');
-        return;
+    // A paused (or frozen) slide stops panning and continues from there when playback resumes
+    if (kenBurnsAnimation) {
+        if (!state.slideshow.isPlaying || state.slideshow.frozen) kenBurnsAnimation.pause();
+        else if (kenBurnsAnimation.playState === 'paused') kenBurnsAnimation.play();
     }
-
-    console.log('[Slideshow play] Starting playback...');
-    updateState('slideshow', { isPlaying: true });
-    const imageCount = state.slideshow.activeList?.length || 0;
-    // Show the image *before* starting the interval that will show the *next* one.
-    // If currentImageIndex is -1 (just started), showNextImage handles it.
-    // If resuming, showNextImage will advance from the last shown index.
-    showNextImage(); 
-    resetSlideshowInterval(imageCount); // Pass the count
-    updatePlayPauseButtonUI();
-}
\ No newline at end of file
+}
@@ -24,8 +24,8 @@
         autoConnect: true, // Connect automatically on load
         // forceNew: true, // Generally avoid unless necessary for specific testing scenarios
         path: '/socket.io/',
-        // Add query parameters if needed for authentication or identification
-        // query: { token: 'your_auth_token' }
+        // Display channel to join (index.html?channel=tv); the server uses 'main' when none is given
+        query: { channel: new URLSearchParams(window.location.search).get('channel') || '' }
     };
 
     /**
@@ -33,7 +33,7 @@
      * Initialized using the server URL and configured options.
      * @type {Socket} - Socket.IO Client instance
      */
-    const socket = io('http://localhost:3000', socketOptions); // Use the correct server URL
+    const socket = io(socketOptions); // Same origin as the page, so displays on other devices connect too
 
     // --- Connection State Handling ---
 
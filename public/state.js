@@ -52,6 +52,7 @@ const initialState = {
         isPlaying: false,
         currentImageIndex: -1,
         activeList: [], // Holds the image objects currently in the slideshow
+        activeListLength: 0, // Number of images in the server's queue (displays only receive the current one)
         sourceType: 'none', // 'all', 'tags', 'playlist', 'selection', 'direct', 'none'
         sourceDetails: null, // Stores the specific tags, playlistId, or image objects
         usedIndices: new Set(), // Tracks indices used in the current loop
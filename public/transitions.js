@@ -0,0 +1,98 @@
+/**
+ * transitions.js
+ * The transitions displays play between slides. Each one animates the incoming and outgoing slide
+ * (the two stacked <img class="slide"> elements) with the Web Animations API; the slide with the
+ * `active` class is on top and visible once the animation ends.
+ * The server validates settings against the same list of types (server/transitions.js).
+ */
+
+// What displays used before transitions were configurable
+export const DEFAULT_TRANSITION = { type: 'crossfade', duration: 0.7, easing: 'ease-in-out' };
+
+export const TRANSITION_EASINGS = ['linear', 'ease', 'ease-in', 'ease-out', 'ease-in-out'];
+
+// Transitions animate opacity, clip-path, filter and the individual translate/scale properties,
+// so they don't interfere with the Ken Burns pan/zoom, which animates `transform`.
+const TRANSITIONS = {
+    cut: {
+        label: 'Hard cut'
+    },
+    crossfade: {
+        label: 'Crossfade',
+        incoming: [{ opacity: 0 }, { opacity: 1 }],
+        outgoing: [{ opacity: 1 }, { opacity: 0 }]
+    },
+    fadeThroughBlack: {
+        label: 'Fade through black',
+        incoming: [{ opacity: 0 }, { opacity: 0, offset: 0.5 }, { opacity: 1 }],
+        outgoing: [{ opacity: 1 }, { opacity: 0, offset: 0.5 }, { opacity: 0 }]
+    },
+    slide: {
+        label: 'Slide',
+        incoming: [{ opacity: 1, translate: '100% 0' }, { opacity: 1, translate: '0 0' }],
+        outgoing: [{ opacity: 1, translate: '0 0' }, { opacity: 1, translate: '-100% 0' }]
+    },
+    wipe: {
+        label: 'Wipe',
+        incoming: [{ opacity: 1, clipPath: 'inset(0 100% 0 0)' }, { opacity: 1, clipPath: 'inset(0 0 0 0)' }],
+        outgoing: [{ opacity: 1 }, { opacity: 1 }] // Stays visible until the wipe has covered it
+    },
+    zoom: {
+        label: 'Zoom',
+        incoming: [{ opacity: 0, scale: '1.3' }, { opacity: 1, scale: '1' }],
+        outgoing: [{ opacity: 1, scale: '1' }, { opacity: 0, scale: '0.8' }]
+    },
+    dissolve: {
+        label: 'Dissolve',
+        incoming: [{ opacity: 0, filter: 'blur(12px)' }, { opacity: 1, filter: 'blur(0px)' }],
+        outgoing: [{ opacity: 1, filter: 'blur(0px)' }, { opacity: 0, filter: 'blur(12px)' }]
+    }
+};
+
+/**
+ * Lists the available transitions, for settings menus.
+ * @returns {Array<{ type: string, label: string }>} In display order.
+ */
+export function listTransitions() {
+    return Object.entries(TRANSITIONS).map(([type, transition]) => ({ type, label: transition.label }));
+}
+
+/**
+ * Works out the transition to play: the image's override, then the playlist's, then the channel's setting.
+ * Overrides may set only some parts (e.g. just the type); the rest comes from the next level.
+ * @param {object} [channelTransition] - The channel's setting.
+ * @param {...(object|null)} overrides - Overrides from least to most specific (playlist, image).
+ * @returns {object} A complete { type, duration, easing }.
+ */
+export function resolveTransition(channelTransition, ...overrides) {
+    const transition = { ...DEFAULT_TRANSITION, ...(channelTransition || {}) };
+    overrides.forEach(override => Object.assign(transition, override || {}));
+    if (!TRANSITIONS[transition.type]) transition.type = DEFAULT_TRANSITION.type;
+    return transition;
+}
+
+/**
+ * Plays a transition from the outgoing slide to the incoming one. The incoming slide becomes `active`
+ * straight away; a transition still running on either slide is cut short.
+ * @param {HTMLElement} incoming - The slide to show.
+ * @param {HTMLElement} outgoing - The slide being replaced.
+ * @param {object} transition - A complete { type, duration, easing } (see resolveTransition).
+ * @returns {Promise<void>} Resolves when the transition has finished.
+ */
+export function runTransition(incoming, outgoing, transition) {
+    const definition = TRANSITIONS[transition.type] || TRANSITIONS[DEFAULT_TRANSITION.type];
+    [incoming, outgoing].forEach(slide => {
+        slide.getAnimations().filter(animation => animation.id === 'transition').forEach(animation => animation.cancel());
+    });
+    outgoing.classList.remove('active');
+    incoming.classList.add('active');
+
+    const duration = (Number(transition.duration) || 0) * 1000;
+    if (!definition.incoming || duration <= 0 || typeof incoming.animate !== 'function') {
+        return Promise.resolve();
+    }
+    const options = { id: 'transition', duration, easing: transition.easing || DEFAULT_TRANSITION.easing };
+    const animations = [incoming.animate(definition.incoming, options), outgoing.animate(definition.outgoing, options)];
+    // A cancelled transition (the next slide arrived first) counts as finished
+    return Promise.all(animations.map(animation => animation.finished.catch(() => {}))).then(() => {});
+}
@@ -0,0 +1,80 @@
+/*
+  This script checks the library for leftovers of interrupted deletes and repairs them:
+  association rows (tags, fields, playlist places) of images, tags or playlists that no longer exist,
+  thumbnails without an image, and files in public/images that no image row refers to (moved to trash/untracked;
+  images are left for the server's library scanner to import). It prints what it changed.
+  The server offers the same check at GET/POST /api/maintenance/library.
+
+  Stop the server first: while it imports a batch it writes the file and thumbnail before their image row, and this
+  script would treat them as untracked. It refuses to run while something answers on the server's port (3000).
+  Checks for tables the server hasn't created yet (an older database) are skipped.
+
+  Run it from the project root:
+     node scripts/repair-library.js            (repair)
+     node scripts/repair-library.js --dry-run  (only report)
+*/
+
+const net = require('net');
+const path = require('path');
+const sqlite3 = require('sqlite3').verbose();
+const { runLibraryMaintenance } = require('../server/libraryMaintenance');
+const { IMAGE_FILE_PATTERN } = require('../server/libraryScanner');
+
+const SERVER_PORT = 3000; // See PORT in server.js
+const root = path.join(__dirname, '..');
+const dryRun = process.argv.includes('--dry-run');
+
+/**
+ * Checks whether something accepts connections on the server's port.
+ * @param {function(boolean): void} callback
+ */
+function isServerRunning(callback) {
+    const socket = net.connect(SERVER_PORT, 'localhost');
+    socket.once('connect', () => {
+        socket.destroy();
+        callback(true);
+    });
+    socket.once('error', () => callback(false));
+}
+
+function repairLibrary() {
+    const db = new sqlite3.Database(path.join(root, 'images.db'));
+
+    runLibraryMaintenance({
+        db,
+        root,
+        dryRun,
+        folders: {
+            images: path.join(root, 'public', 'images'),
+            thumbnails: path.join(root, 'public', 'thumbnails'),
+            trashImages: path.join(root, 'trash', 'images'),
+            trashThumbnails: path.join(root, 'trash', 'thumbnails'),
+            untracked: path.join(root, 'trash', 'untracked')
+        },
+        importable: IMAGE_FILE_PATTERN
+    }, (err, report) => {
+        db.close();
+        if (err) {
+            console.error('Error checking the library:', err);
+            process.exit(1);
+        }
+        const verb = dryRun ? 'Would remove' : 'Removed';
+        Object.entries(report.rows).forEach(([name, count]) => {
+            if (count > 0) console.log(`${verb} ${count} orphaned ${name} row(s).`);
+        });
+        report.files.forEach(file => {
+            const action = dryRun ? `would be ${file.action}` : file.action;
+            console.log(`${file.path} (${file.problem}): ${file.error ? `failed - ${file.error}` : action}`);
+        });
+        if (report.changed === 0) console.log('Nothing to repair.');
+        else console.log(`${report.changed} change(s)${dryRun ? ' needed' : ' made'}.`);
+    });
+}
+
+isServerRunning((running) => {
+    if (running) {
+        console.error(`The server seems to be running (port ${SERVER_PORT} is in use). Stop it before repairing the library.`);
+        process.exit(1);
+    }
+    repairLibrary();
+});
@@ -4,6 +4,14 @@ const fs = require('fs');
 const multer = require('multer');
 const sqlite3 = require('sqlite3').verbose();
 const sharp = require('sharp'); // NEW: image processing
+const yauzl = require('yauzl'); // Reads ZIP archives from batch uploads
+const { createSlideshowEngine } = require('./server/slideshowEngine');
+const { TagQueryError, parseTagQuery, compileTagQuery, getTagQueryNames } = require('./server/tagQuery');
+const { runLibraryMaintenance } = require('./server/libraryMaintenance');
+const { createLibraryScanner, IMAGE_FILE_PATTERN } = require('./server/libraryScanner');
+const { computeImageHash, findSimilarImages, groupSimilarImages, DEFAULT_MAX_DISTANCE } = require('./server/imageHash');
+const { normalizeTransition, parseStoredTransition } = require('./server/transitions');
+const { normalizeFogOperation, createFogStore } = require('./server/fogOfWar');
 
 const app = express();
 const PORT = 3000;
@@ -21,11 +29,101 @@ app.use(express.json()); // to parse JSON bodies
 // Database Setup using SQLite
 // ---------------------
 const dbFile = path.join(__dirname, 'images.db');
-const db = new sqlite3.Database(dbFile, (err) => {
+const connection = new sqlite3.Database(dbFile, (err) => {
     if (err) console.error('Error opening database:', err);
     else console.log('Database opened successfully.');
 });
 
+// Everything shares one connection, so a statement that ran while a transaction is open would become part of
+// it (and be rolled back with it). `db` is the connection for everything but runTransaction: while a
+// transaction is open, its statements wait and run once the transaction is over.
+let transactionOpen = false;
+const waitingStatements = []; // [method, args] queued while a transaction is open
+
+const db = {
+    serialize: (callback) => connection.serialize(callback),
+    configure: (...args) => connection.configure(...args),
+    close: (callback) => connection.close(callback)
+};
+['run', 'get', 'all', 'each', 'exec'].forEach(method => {
+    db[method] = (...args) => {
+        if (transactionOpen) {
+            waitingStatements.push([method, args]);
+        } else {
+            connection[method](...args);
+        }
+        return db;
+    };
+});
+
+// Helper: add a column to an existing table if it is missing (simple schema migration).
+// Statements are queued on the shared connection, so later queries see the new column.
+// The optional callback runs once the column exists (whether it was just added or not).
+function ensureColumn(table, column, definition, callback = () => {}) {
+    db.all(`PRAGMA table_info(${table})`, (err, columns) => {
+        if (err) return console.error(`Error reading schema of ${table}:`, err);
+        if (columns.some(col => col.name === column)) return callback();
+        db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, (err) => {
+            if (err) return console.error(`Error adding ${table}.${column}:`, err);
+            console.log(`Added column ${table}.${column}.`);
+            callback();
+        });
+    });
+}
+
+// Helper: run a list of statements ({ sql, params }) in a single transaction.
+// Rolls back if any statement fails; calls back with the first error (or null) and, per statement,
+// its { lastID, changes }. Transactions run one at a time, and other statements wait while one is open.
+const transactionQueue = [];
+
+function runTransaction(statements, callback) {
+    transactionQueue.push({ statements, callback });
+    if (transactionQueue.length === 1) runNextTransaction();
+}
+
+function runNextTransaction() {
+    const { statements, callback } = transactionQueue[0];
+    const done = (err, results) => {
+        transactionOpen = false;
+        transactionQueue.shift();
+        // Serialized, so the statements that waited run (in order) before the next transaction begins.
+        // The queue moves on before the callback, so a callback that throws can't stall it.
+        connection.serialize(() => {
+            waitingStatements.splice(0).forEach(([method, args]) => connection[method](...args));
+            if (transactionQueue.length > 0) runNextTransaction();
+        });
+        callback(err, results);
+    };
+    transactionOpen = true;
+    connection.serialize(() => {
+        // Serialized statements wait for the ones already running, so none of those ends up in the transaction
+        connection.run('BEGIN TRANSACTION', (err) => {
+            // Without a transaction the statements would apply one by one, so none of them runs
+            if (err) return done(err, []);
+            let failed = null;
+            const results = [];
+            connection.serialize(() => {
+                statements.forEach(({ sql, params = [] }, index) => {
+                    connection.run(sql, params, function(err) {
+                        if (err && !failed) failed = err;
+                        if (!err) results[index] = { lastID: this.lastID, changes: this.changes };
+                    });
+                });
+                // Queued after all statements, so every statement callback has run by now
+                connection.get('SELECT 1', () => {
+                    connection.run(failed ? 'ROLLBACK' : 'COMMIT', (err) => {
+                        if (err && !failed) {
+                            // A failed COMMIT leaves the transaction open
+                            return connection.run('ROLLBACK', () => done(err, results));
+                        }
+                        done(failed || err || null, results);
+                    });
+                });
+            });
+        });
+    });
+}
+
 // Create the images table if it doesn't exist, including dateAdded column
 db.serialize(() => {
     db.run(`CREATE TABLE IF NOT EXISTS images (
@@ -35,6 +133,33 @@ db.serialize(() => {
     tags TEXT,
     dateAdded TEXT
   )`);
+    // Custom per-image key/value fields (e.g. "location", "NPC name", "session")
+    db.run(`CREATE TABLE IF NOT EXISTS image_fields (
+    image_id INTEGER,
+    key TEXT,
+    value TEXT,
+    PRIMARY KEY (image_id, key),
+    FOREIGN KEY (image_id) REFERENCES images(id)
+  )`);
+});
+
+// Images created before descriptions were supported lack the description column.
+// The full-text index covers descriptions, so it is set up once the column exists.
+ensureColumn('images', 'description', 'TEXT', initSearchIndex);
+// Perceptual hash of the image file, for finding near-duplicates (see server/imageHash.js)
+ensureColumn('images', 'phash', 'TEXT');
+// Ken Burns framing as JSON { focusX, focusY, zoomFrom, zoomTo }; NULL uses the display's default pan/zoom
+ensureColumn('images', 'ken_burns', 'TEXT');
+// Transition override as JSON { type?, duration?, easing? } (see server/transitions.js); NULL uses the playlist's or channel's
+ensureColumn('images', 'transition', 'TEXT');
+// When the image was moved to the trash (ms timestamp); NULL for images in the library
+ensureColumn('images', 'deleted_at', 'INTEGER', () => {
+    purgeExpiredTrash();
+    // Pick up files copied into public/images while the server was down, then hash what has no hash yet
+    libraryScanner.scan((err, report) => {
+        logLibraryScan(err, report);
+        hashUnhashedImages();
+    });
 });
 
 // ---------------------
@@ -88,22 +213,96 @@ if (!fs.existsSync(thumbFolder)) {
     fs.mkdirSync(thumbFolder, { recursive: true });
 }
 
-const storage = multer.diskStorage({
-    destination: (req, file, cb) => {
-        cb(null, uploadFolder);
-    },
-    filename: (req, file, cb) => {
-        // Use the sanitized filename for storage
-        const safeName = sanitizeFilename(file.originalname);
-        cb(null, safeName);
+// Helper: write the thumbnail (200px wide) of an image file
+function createThumbnail(sourcePath, thumbPath, callback) {
+    sharp(sourcePath)
+        .resize({ width: 200 })
+        .toFile(thumbPath, (err) => callback(err || null));
+}
+
+// Deleted images wait in the trash (outside public/, so they are no longer served) until they are
+// restored or purged; see the TRASH section.
+const trashFolder = path.join(__dirname, 'trash');
+const trashImageFolder = path.join(trashFolder, 'images');
+const trashThumbFolder = path.join(trashFolder, 'thumbnails');
+[trashImageFolder, trashThumbFolder].forEach(folder => {
+    if (!fs.existsSync(folder)) {
+        fs.mkdirSync(folder, { recursive: true });
     }
 });
+// Trash view previews
+app.use('/trash/thumbnails', express.static(trashThumbFolder));
 
-const upload = multer({ storage: storage });
+// Uploads land in a temporary folder and only move into the library once their image is stored
+const uploadTempFolder = path.join(__dirname, 'upload-tmp');
+fs.rmSync(uploadTempFolder, { recursive: true, force: true }); // Leftovers of an interrupted upload
+const upload = multer({ dest: uploadTempFolder });
 
 // ---------------------
 // Upload Endpoint
 // ---------------------
+// Helper: tag names without blanks and case-insensitive repeats
+function uniqueTagNames(names) {
+    return [...new Map(names.map(name => String(name).trim()).filter(Boolean)
+        .map(name => [name.toLowerCase(), name])).values()];
+}
+
+// Helper: statements storing an uploaded image: its row (inserted, or updated when overwriting `existing`),
+// its tags (by name, case-insensitive; missing tags are created as top-level tags) and its place at the end of
+// a playlist. Later statements find the row by filename. Overwriting a trashed image replaces its trashed copy,
+// so the journal forgets the changes that moved that copy (as purging it would).
+function storeImageStatements({ filename, title, phash = null, existing = null, tagNames = [], playlistId = null }) {
+    const dateAdded = Date.now();
+    const statements = [existing
+        ? { sql: 'UPDATE images SET title = ?, tags = ?, dateAdded = ?, phash = ?, deleted_at = NULL WHERE filename = ?', params: [title, 'All', dateAdded, phash, filename] }
+        : { sql: 'INSERT INTO images (filename, title, tags, dateAdded, phash) VALUES (?, ?, ?, ?, ?)', params: [filename, title, 'All', dateAdded, phash] }];
+    uniqueTagNames(tagNames).forEach(name => {
+        statements.push(
+            { sql: 'INSERT INTO tags (name, color) SELECT ?, ? WHERE NOT EXISTS (SELECT 1 FROM tags WHERE LOWER(name) = LOWER(?))', params: [name, '#FF4081', name] },
+            {
+                sql: `INSERT OR IGNORE INTO image_tags (image_id, tag_id)
+      SELECT id, (SELECT id FROM tags WHERE LOWER(name) = LOWER(?) ORDER BY id LIMIT 1) FROM images WHERE filename = ?`,
+                params: [name, filename]
+            }
+        );
+    });
+    if (playlistId) {
+        statements.push({
+            sql: `INSERT OR IGNORE INTO playlist_images (playlist_id, image_id, position)
+      SELECT ?, id, (SELECT COALESCE(MAX(position), -1) + 1 FROM playlist_images WHERE playlist_id = ?) FROM images WHERE filename = ?`,
+            params: [playlistId, playlistId, filename]
+        });
+    }
+    if (existing && existing.deleted_at) statements.push(forgetJournalFilesSql([filename]));
+    return statements;
+}
+
+// Helper: the tag names sent with an upload (a JSON array in the `tags` field), or null if the field is malformed
+function parseUploadTagNames(value) {
+    if (!value) return [];
+    try {
+        const names = JSON.parse(value);
+        return Array.isArray(names) ? names : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+// Helper: check the playlist an upload should be added to. Calls back with (err, problem), problem being a
+// message for the client when the playlist doesn't exist or is a smart playlist (those fill themselves).
+function checkUploadPlaylist(playlistId, callback) {
+    if (!playlistId) return callback(null, null);
+    db.get('SELECT id, rules FROM playlists WHERE id = ?', [playlistId], (err, playlist) => {
+        if (err) return callback(err);
+        callback(null, !playlist || playlist.rules ? 'Pick a playlist that exists and is not a smart playlist.' : null);
+    });
+}
+
+// Optional fields: overwrite ('true' to replace an image with the same name), tags (JSON array of tag names,
+// missing tags are created), playlistId (a static playlist the image is appended to) and onDuplicate (what to do
+// when the library has a look-alike, see DUPLICATE_ACTIONS). The image row, its tags and its playlist place are
+// stored in one transaction.
+// A look-alike with onDuplicate 'ask' responds with { duplicatePrompt: true, message, duplicates } instead.
 app.post('/upload', upload.single('file'), (req, res) => {
     if (!req.file) {
         console.error("No file uploaded in the request.");
@@ -111,308 +310,2984 @@ app.post('/upload', upload.single('file'), (req, res) => {
     }
 
     const overwrite = req.body.overwrite === 'true';
-    // Use the sanitized filename as set by multer
-    const filename = req.file.filename;
+    const filename = sanitizeFilename(req.file.originalname);
     console.log("Uploaded file:", filename);
 
     // Strip the file extension from the filename for the title
     const title = path.basename(filename, path.extname(filename));
-    const defaultTag = 'All';
-    // Use a Unix timestamp for the dateAdded
-    const dateAdded = Date.now();
+    const tagNames = parseUploadTagNames(req.body.tags);
+    const playlistId = parseInt(req.body.playlistId, 10) || null;
+    const onDuplicate = parseDuplicateAction(req.body.onDuplicate);
+    const imagePath = path.join(uploadFolder, filename);
+    // The library file is untouched until the upload is accepted, so a rejected upload only removes its temporary file
+    const discard = () => fs.unlink(req.file.path, (err) => {
+        if (err) console.error("Error deleting uploaded file:", err);
+    });
 
     // Helper: generate thumbnail
     function generateThumbnail(callback) {
-        sharp(req.file.path)
-            .resize({ width: 200 })
-            .toFile(path.join(thumbFolder, filename), (err, info) => {
-                if (err) console.error("Error generating thumbnail:", err);
-                callback();
-            });
+        createThumbnail(imagePath, path.join(thumbFolder, filename), (err) => {
+            if (err) console.error("Error generating thumbnail:", err);
+            callback();
+        });
     }
 
     // Check if an entry with this filename already exists
     db.get('SELECT * FROM images WHERE filename = ?', [filename], (err, row) => {
         if (err) {
             console.error("Database error during SELECT:", err);
+            discard();
             return res.status(500).json({ message: 'Database error.' });
         }
         if (row && !overwrite) {
             // File exists and no overwrite flag provided
-            fs.unlink(req.file.path, (err) => {
-                if (err) console.error("Error deleting duplicate file:", err);
+            discard();
+            return res.json({ overwritePrompt: true, message: row.deleted_at ? 'File exists in the trash.' : 'File exists.' });
+        }
+        checkUploadPlaylist(playlistId, (err, problem) => {
+            if (err) {
+                console.error("Database error checking the playlist:", err);
+                discard();
+                return res.status(500).json({ message: 'Database error.' });
+            }
+            if (!tagNames) problem = 'tags must be a JSON array of tag names.';
+            if (problem) {
+                discard();
+                return res.status(400).json({ message: problem });
+            }
+            // An unreadable file gets no hash and is stored as before
+            computeImageHash(req.file.path, (err, phash) => {
+                findDuplicatesOf(onDuplicate === 'keep' ? null : phash, filename, (err, duplicates) => {
+                    if (err) {
+                        console.error("Database error looking for duplicates:", err);
+                        discard();
+                        return res.status(500).json({ message: 'Database error.' });
+                    }
+                    if (duplicates.length > 0 && (onDuplicate === 'ask' || onDuplicate === 'skip')) {
+                        discard();
+                        const message = `Looks like ${duplicates.map(image => `"${image.title}"`).join(', ')}.`;
+                        if (onDuplicate === 'skip') return res.json({ skipped: true, message: `Skipped: ${message}` });
+                        return res.json({ duplicatePrompt: true, message, duplicates });
+                    }
+                    storeUpload(row, phash, duplicates);
+                });
             });
-            return res.json({ overwritePrompt: true, message: 'File exists.' });
-        } else {
-            const runQuery = (query, params, successMsg) => {
-                db.run(query, params, function(err) {
+        });
+    });
+
+    // Moves the file into the library, stores the row, tags and playlist place, then merges the look-alikes into
+    // it when replacing them. The file goes first (as in a batch import), so a stored row always has its file;
+    // if storing fails, the library file is put back the way it was.
+    function storeUpload(row, phash, duplicates) {
+        // A library file being overwritten is kept aside until the new row is stored
+        const previousPath = row && !row.deleted_at ? `${req.file.path}-previous` : null;
+        const setAside = (callback) => {
+            if (!previousPath) return callback(null);
+            fs.rename(imagePath, previousPath, (err) => callback(err && err.code !== 'ENOENT' ? err : null));
+        };
+        const putBack = () => {
+            if (!previousPath) return fs.unlink(imagePath, () => {});
+            fs.rename(previousPath, imagePath, (err) => {
+                if (err && err.code !== 'ENOENT') console.error("Error restoring the overwritten file:", err);
+            });
+        };
+        setAside((err) => {
+            if (err) {
+                console.error("Error moving the overwritten file aside:", err);
+                discard();
+                return res.status(500).json({ message: 'Could not store the file.' });
+            }
+            fs.rename(req.file.path, imagePath, (err) => {
+                if (err) {
+                    console.error("Error moving the upload into the library:", err);
+                    discard();
+                    if (previousPath) putBack();
+                    return res.status(500).json({ message: 'Could not store the file.' });
+                }
+                runTransaction(storeImageStatements({ filename, title, phash, existing: row, tagNames, playlistId }), (err) => {
                     if (err) {
                         console.error("DB update/insert error:", err);
+                        putBack();
                         return res.status(500).json({ message: 'Database error.' });
                     }
-                    // Generate thumbnail after DB operation
-                    generateThumbnail(() => {
-                        console.log("Thumbnail created for:", filename);
-                        return res.json({ message: `${filename} uploaded successfully.` });
+                    if (previousPath) fs.unlink(previousPath, () => {});
+                    if (row && row.deleted_at) {
+                        // Overwriting a trashed image brings it back with the new file; the trashed copy goes for good
+                        deleteTrashFiles([filename]);
+                        updateChannelQueues([{ filename }]);
+                    }
+                    const finish = (operation) => {
+                        // Generate thumbnail after DB operation
+                        generateThumbnail(() => {
+                            console.log("Thumbnail created for:", filename);
+                            const replaced = operation ? ` It replaces ${duplicates.length} similar image(s), now in the trash.` : '';
+                            return res.json({ message: `${filename} uploaded successfully.${replaced}`, operation });
+                        });
+                    };
+                    if (onDuplicate !== 'replace' || duplicates.length === 0) return finish(null);
+                    db.get('SELECT * FROM images WHERE filename = ?', [filename], (err, stored) => {
+                        if (err || !stored) return finish(null);
+                        mergeImages(stored, duplicates, `Replaced ${duplicates.length} similar image(s) with "${title}"`, (err, operation) => {
+                            if (err) console.error("Error replacing similar images:", err);
+                            finish(operation || null);
+                        });
                     });
                 });
-            };
-            if (row && overwrite) {
-                runQuery(
-                    'UPDATE images SET title = ?, tags = ?, dateAdded = ? WHERE filename = ?', [title, defaultTag, dateAdded, filename],
-                    'File overwritten'
-                );
-            } else {
-                runQuery(
-                    'INSERT INTO images (filename, title, tags, dateAdded) VALUES (?, ?, ?, ?)', [filename, title, defaultTag, dateAdded],
-                    'File inserted'
-                );
-            }
-        }
-    });
+            });
+        });
+    }
 });
 
 // ---------------------
-// API Endpoint to Get Images
+// BATCH UPLOAD (multiple files and ZIP archives)
 // ---------------------
-app.get('/api/images', (req, res) => {
-    const sql = `
-    SELECT images.*, group_concat(tags.name || ':' || tags.color) as tag_list
-    FROM images
-    LEFT JOIN image_tags ON images.id = image_tags.image_id
-    LEFT JOIN tags ON image_tags.tag_id = tags.id
-    GROUP BY images.id
-  `;
-    db.all(sql, (err, rows) => {
-        if (err) return res.status(500).json({ message: 'Database error.' });
-        const images = rows.map(row => {
-            let tags = [];
-            if (row.tag_list) {
-                tags = row.tag_list.split(',').map(item => {
-                    const parts = item.split(':');
-                    return {
-                        name: parts[0],
-                        color: parts[1] ? parts[1] : ''
-                    };
-                }).filter(t => t.name.trim().toLowerCase() !== 'all');
-            }
-            return {
-                id: row.id,
-                title: row.title,
-                tags: tags, // Now an array of objects {name, color}
-                dateAdded: row.dateAdded,
-                url: `/images/${row.filename}`,
-                thumbnailUrl: `/thumbnails/${row.filename}` // NEW: thumbnail URL
-            };
+// Files land in a temporary folder first; each image is then thumbnailed, moved into the library and inserted
+// (with the batch's tags and playlist) one at a time. ZIP archives are read entry by entry.
+const MAX_ZIP_ENTRY_BYTES = 200 * 1024 * 1024; // Larger archive entries are skipped
+
+// Helper: import one uploaded file from the temporary folder. Calls back with { file, status, message, id? },
+// status being 'imported', 'overwritten', 'conflict' (name taken, skipped), 'duplicate' (looks like an image in
+// the library, skipped; the result lists them as `duplicates`) or 'error'. The temporary file is always gone
+// afterwards. onDuplicate is one of DUPLICATE_ACTIONS ('ask' skips like 'skip' does).
+function importBatchImage(tempPath, originalName, { tagNames, playlistId, overwrite, onDuplicate = 'ask' }, callback) {
+    const filename = sanitizeFilename(path.basename(originalName));
+    const title = path.basename(filename, path.extname(filename));
+    const fail = (message) => fs.unlink(tempPath, () => callback({ file: originalName, status: 'error', message }));
+    if (!IMAGE_FILE_PATTERN.test(filename)) return fail('Not a supported image type.');
+
+    db.get('SELECT * FROM images WHERE filename = ?', [filename], (err, existing) => {
+        if (err) {
+            console.error(err);
+            return fail('Database error.');
+        }
+        if (existing && !overwrite) {
+            return fs.unlink(tempPath, () => callback({
+                file: originalName,
+                status: 'conflict',
+                message: existing.deleted_at ? `${filename} exists in the trash.` : `${filename} already exists.`
+            }));
+        }
+        computeImageHash(tempPath, (err, phash) => {
+            if (err) return fail('Not a readable image.');
+            findDuplicatesOf(onDuplicate === 'keep' ? null : phash, filename, (err, duplicates) => {
+                if (err) {
+                    console.error(err);
+                    return fail('Database error.');
+                }
+                if (duplicates.length > 0 && onDuplicate !== 'replace' && onDuplicate !== 'keep') {
+                    return fs.unlink(tempPath, () => callback({
+                        file: originalName,
+                        status: 'duplicate',
+                        message: `Looks like ${duplicates.map(image => `"${image.title}"`).join(', ')}.`,
+                        duplicates
+                    }));
+                }
+                storeBatchImage(existing, phash, onDuplicate === 'replace' ? duplicates : []);
+            });
         });
-        res.json(images);
     });
-});
 
-// ---------------------
-// Delete Single Entry Endpoint
-// ---------------------
-app.delete('/api/images/:id', (req, res) => {
-    const id = req.params.id;
-    db.get('SELECT * FROM images WHERE id = ?', [id], (err, row) => {
-        if (err) return res.status(500).json({ message: 'Database error.' });
-        if (!row) return res.status(404).json({ message: 'Image not found.' });
-        const filePath = path.join(uploadFolder, row.filename);
-        fs.unlink(filePath, (err) => {
-            if (err) console.error('Error deleting file:', err);
-            db.run('DELETE FROM images WHERE id = ?', [id], function(err) {
-                if (err) return res.status(500).json({ message: 'Database deletion error.' });
-                return res.json({ message: `Image ${row.filename} deleted successfully.` });
+    function storeBatchImage(existing, phash, replacing) {
+        const imagePath = path.join(uploadFolder, filename);
+        const thumbPath = path.join(thumbFolder, filename);
+        // The thumbnail doubles as the check that the file is a readable image
+        createThumbnail(tempPath, thumbPath, (err) => {
+            if (err) return fail('Not a readable image.');
+            fs.rename(tempPath, imagePath, (err) => {
+                if (err) {
+                    console.error(err);
+                    return fail('Could not store the file.');
+                }
+                runTransaction(storeImageStatements({ filename, title, phash, existing, tagNames, playlistId }), (err) => {
+                    if (err) {
+                        console.error(err);
+                        if (!existing) [imagePath, thumbPath].forEach(file => fs.unlink(file, () => {}));
+                        return callback({ file: originalName, status: 'error', message: 'Database error.' });
+                    }
+                    if (existing && existing.deleted_at) {
+                        deleteTrashFiles([filename]);
+                        updateChannelQueues([{ filename }]);
+                    }
+                    db.get('SELECT * FROM images WHERE filename = ?', [filename], (err, row) => {
+                        const result = {
+                            file: originalName,
+                            status: existing ? 'overwritten' : 'imported',
+                            message: `${filename} ${existing ? 'overwritten' : 'uploaded'}.`,
+                            id: row ? row.id : undefined
+                        };
+                        if (!row || replacing.length === 0) return callback(result);
+                        mergeImages(row, replacing, `Replaced ${replacing.length} similar image(s) with "${title}"`, (err) => {
+                            if (err) console.error('Error replacing similar images:', err);
+                            else result.message += ` It replaces ${replacing.length} similar image(s), now in the trash.`;
+                            callback(result);
+                        });
+                    });
+                });
+            });
+        });
+    }
+}
+
+// Helper: call handle(entry, done) for every image in a ZIP archive, one at a time. entry is
+// { tempPath, name, folders }: the extracted file, its path inside the archive and the folders it is in.
+// Entries that are not images (or too large) are passed as { name, skipped } without a tempPath.
+function forEachZipImage(zipPath, handle, callback) {
+    yauzl.open(zipPath, { lazyEntries: true }, (err, zipfile) => {
+        if (err) return callback(err);
+        let count = 0;
+        let finished = false;
+        const finish = (err) => {
+            if (finished) return;
+            finished = true;
+            zipfile.close();
+            callback(err || null);
+        };
+        zipfile.on('error', finish);
+        zipfile.on('end', () => finish());
+        zipfile.on('entry', (entry) => {
+            const parts = entry.fileName.split('/').filter(Boolean);
+            const basename = parts[parts.length - 1] || '';
+            // Skip folders and the metadata macOS adds to archives
+            if (/\/$/.test(entry.fileName) || parts[0] === '__MACOSX' || basename.startsWith('.')) return zipfile.readEntry();
+            if (!IMAGE_FILE_PATTERN.test(basename)) return handle({ name: entry.fileName, skipped: 'Not a supported image type.' }, () => zipfile.readEntry());
+            if (entry.uncompressedSize > MAX_ZIP_ENTRY_BYTES) return handle({ name: entry.fileName, skipped: 'File is too large.' }, () => zipfile.readEntry());
+            zipfile.openReadStream(entry, (err, stream) => {
+                if (err) return finish(err);
+                const tempPath = `${zipPath}-${count++}`;
+                const out = fs.createWriteStream(tempPath);
+                stream.on('error', (err) => {
+                    out.destroy();
+                    fs.unlink(tempPath, () => finish(err));
+                });
+                out.on('finish', () => {
+                    handle({ tempPath, name: entry.fileName, folders: parts.slice(0, -1) }, () => zipfile.readEntry());
+                });
+                stream.pipe(out);
             });
         });
+        zipfile.readEntry();
     });
-});
+}
 
 // ---------------------
-// Bulk Delete Endpoint
+// Batch Upload Endpoint
 // ---------------------
-// Expects JSON: { ids: [1, 2, 3, ...] }
-app.delete('/api/images', (req, res) => {
-    const ids = req.body.ids;
-    if (!Array.isArray(ids) || ids.length === 0) {
-        return res.status(400).json({ message: 'No ids provided.' });
+// Multipart form: files (images and/or .zip archives) and optional fields:
+//   tags - JSON array of tag names given to every image (missing tags are created),
+//   playlistId - a (static) playlist every image is appended to,
+//   folderTags - 'true' to also tag images from an archive with the names of the folders they are in,
+//   onConflict - 'skip' (default) or 'overwrite' when an image with the same name exists,
+//   onDuplicate - what to do when an image looks like one in the library (see DUPLICATE_ACTIONS),
+//   socketId, batchId - the socket.io client to stream progress to: an 'uploadProgress' event per image with
+//     { batchId, file, status, message, processed } (status as in importBatchImage, or 'skipped').
+// Responds with { message, results } once every file is processed.
+app.post('/api/upload/batch', upload.array('files'), (req, res) => {
+    const files = req.files || [];
+    const discard = () => files.forEach(file => fs.unlink(file.path, () => {}));
+    if (files.length === 0) {
+        return res.status(400).json({ message: 'No files uploaded.' });
     }
-    db.all(`SELECT * FROM images WHERE id IN (${ids.map(() => '?').join(',')})`, ids, (err, rows) => {
-        if (err) return res.status(500).json({ message: 'Database error.' });
-        if (!rows || rows.length === 0) return res.status(404).json({ message: 'No images found for deletion.' });
+    const tagNames = parseUploadTagNames(req.body.tags);
+    if (!tagNames) {
+        discard();
+        return res.status(400).json({ message: 'tags must be a JSON array of tag names.' });
+    }
+    const playlistId = parseInt(req.body.playlistId, 10) || null;
+    const options = {
+        overwrite: req.body.onConflict === 'overwrite',
+        onDuplicate: parseDuplicateAction(req.body.onDuplicate),
+        tagNames,
+        playlistId
+    };
+    const folderTags = req.body.folderTags === 'true';
+    const socket = req.body.socketId ? io.sockets.sockets.get(req.body.socketId) : null;
+    const results = [];
+    const report = (result) => {
+        results.push(result);
+        if (socket) socket.emit('uploadProgress', { batchId: req.body.batchId || null, ...result, processed: results.length });
+    };
 
-        // Delete each file from disk
-        rows.forEach(row => {
-            const filePath = path.join(uploadFolder, row.filename);
-            fs.unlink(filePath, (err) => {
-                if (err) console.error('Error deleting file:', err);
+    checkUploadPlaylist(playlistId, (err, problem) => {
+        if (err) {
+            console.error(err);
+            discard();
+            return res.status(500).json({ message: 'Database error.' });
+        }
+        if (problem) {
+            discard();
+            return res.status(400).json({ message: problem });
+        }
+        const importArchive = (file, done) => {
+            forEachZipImage(file.path, (entry, next) => {
+                if (!entry.tempPath) {
+                    report({ file: entry.name, status: 'skipped', message: entry.skipped });
+                    return next();
+                }
+                const entryOptions = { ...options, tagNames: [...tagNames, ...(folderTags ? entry.folders : [])] };
+                importBatchImage(entry.tempPath, entry.name, entryOptions, (result) => {
+                    report(result);
+                    next();
+                });
+            }, (err) => {
+                if (err) {
+                    console.error(`Error reading ${file.originalname}:`, err);
+                    report({ file: file.originalname, status: 'error', message: 'Could not read the ZIP archive.' });
+                }
+                fs.unlink(file.path, () => done());
             });
-        });
-
-        // Delete records from database
-        db.run(`DELETE FROM images WHERE id IN (${ids.map(() => '?').join(',')})`, ids, function(err) {
-            if (err) return res.status(500).json({ message: 'Database deletion error.' });
-            return res.json({ message: `${rows.length} images deleted successfully.` });
-        });
+        };
+        // One file at a time, so a large batch doesn't start every thumbnail at once
+        const next = (index) => {
+            if (index >= files.length) {
+                const imported = results.filter(result => result.status === 'imported' || result.status === 'overwritten').length;
+                console.log(`Batch upload: ${imported} of ${results.length} image(s) stored.`);
+                return res.json({ message: `${imported} of ${results.length} image(s) uploaded.`, results });
+            }
+            const file = files[index];
+            if (/\.zip$/i.test(file.originalname)) return importArchive(file, () => next(index + 1));
+            importBatchImage(file.path, file.originalname, options, (result) => {
+                report(result);
+                next(index + 1);
+            });
+        };
+        next(0);
     });
 });
 
 // ---------------------
-// DATABASE: Create Tables for Tag Management
+// OPERATION JOURNAL (UNDO/REDO)
 // ---------------------
-db.serialize(() => {
-    // Create the tags table if it doesn't exist
-    db.run(`CREATE TABLE IF NOT EXISTS tags (
+// Changes made from the manage page (image deletes and edits, tag add/remove, tag renames, moves, merges and
+// deletes, playlist edits) are recorded together with the statements that reverse them (undo) and the ones that
+// apply them again (redo). Undo walks back from the newest change; redo re-applies undone changes until a new
+// change is made. Deleting an image moves it to the trash, so undoing the delete (or a restore) only has to
+// move its files between the library and the trash again.
+const JOURNAL_LIMIT = 50; // Number of changes that can be undone
+
+db.run(`CREATE TABLE IF NOT EXISTS operation_journal (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
-    name TEXT UNIQUE,
-    color TEXT
+    description TEXT,
+    undo_steps TEXT,
+    redo_steps TEXT,
+    files TEXT,
+    undone INTEGER DEFAULT 0,
+    dateCreated INTEGER
   )`);
 
-    // Create the image_tags table to associate images with tags
-    db.run(`CREATE TABLE IF NOT EXISTS image_tags (
-    image_id INTEGER,
-    tag_id INTEGER,
-    PRIMARY KEY (image_id, tag_id),
-    FOREIGN KEY (image_id) REFERENCES images(id),
-    FOREIGN KEY (tag_id) REFERENCES tags(id)
-  )`);
-});
+// Helper: statements inserting rows ({ column: value } objects, e.g. from a snapshot) back into a table.
+// conflict is an optional conflict clause such as 'OR IGNORE'.
+function insertRowsSql(table, rows, conflict = '') {
+    return rows.map(row => {
+        const columns = Object.keys(row);
+        return {
+            sql: `INSERT${conflict ? ` ${conflict}` : ''} INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+            params: columns.map(column => row[column])
+        };
+    });
+}
 
-// ---------------------
-// GET ALL TAGS
-// ---------------------
-app.get('/api/tags', (req, res) => {
-    db.all('SELECT * FROM tags', (err, rows) => {
-        if (err) {
-            console.error(err);
-            return res.status(500).json({ message: 'Error fetching tags.' });
-        }
-        res.json(rows);
+// Helper: move journal files ({ filename, toTrash }) the way their change does (forward), or back (undo).
+// Each image file moves together with its thumbnail. Files that can't be moved are logged and skipped.
+function moveJournalFiles(files, forward, callback) {
+    const moves = [];
+    files.forEach(({ filename, toTrash }) => {
+        [[uploadFolder, trashImageFolder], [thumbFolder, trashThumbFolder]].forEach(([libraryFolder, trashedFolder]) => {
+            const [from, to] = toTrash === forward ? [libraryFolder, trashedFolder] : [trashedFolder, libraryFolder];
+            moves.push([path.join(from, filename), path.join(to, filename)]);
+        });
     });
-});
+    let pending = moves.length;
+    if (pending === 0) return callback();
+    moves.forEach(([from, to]) => {
+        fs.rename(from, to, (err) => {
+            if (err) console.error(`Error moving ${from} to ${to}:`, err);
+            if (--pending === 0) callback();
+        });
+    });
+}
 
-// ---------------------
-// CREATE A NEW TAG
-// ---------------------
-app.post('/api/tags', (req, res) => {
-    const { name, color } = req.body;
-    if (!name) {
-        return res.status(400).json({ message: 'Tag name is required.' });
+function parseJournalJson(value) {
+    try {
+        return JSON.parse(value) || [];
+    } catch (err) {
+        console.error('Unreadable operation journal entry:', err);
+        return [];
     }
-    db.run('INSERT INTO tags (name, color) VALUES (?, ?)', [name, color || '#FF4081'], function(err) {
-        if (err) {
-            console.error(err);
-            return res.status(500).json({ message: 'Error creating tag.' });
-        }
-        res.json({ message: `Tag "${name}" created successfully.`, id: this.lastID });
+}
+
+// Helper: forget changes beyond JOURNAL_LIMIT (trashed files stay until the trash lets them go)
+function trimJournal() {
+    db.run(`DELETE FROM operation_journal WHERE id IN
+      (SELECT id FROM operation_journal ORDER BY id DESC LIMIT -1 OFFSET ?)`, [JOURNAL_LIMIT], (err) => {
+        if (err) console.error('Error trimming the operation journal:', err);
     });
-});
+}
 
-// ---------------------
-// DELETE A TAG (and remove its associations)
-// ---------------------
-app.delete('/api/tags/:id', (req, res) => {
-    const tagId = req.params.id;
-    // First remove associations
-    db.run('DELETE FROM image_tags WHERE tag_id = ?', [tagId], (err) => {
-        if (err) {
-            console.error(err);
-            return res.status(500).json({ message: 'Error removing tag associations.' });
-        }
-        // Then delete the tag
-        db.run('DELETE FROM tags WHERE id = ?', [tagId], function(err) {
-            if (err) {
-                console.error(err);
-                return res.status(500).json({ message: 'Error deleting tag.' });
+// Helper: apply a change and record it in the journal, in one transaction.
+// statements apply the change, undo reverses it and files ({ filename, toTrash }) are the image files it moves
+// into or out of the trash.
+// Calls back with (err, operation, results): operation is { id, description } for the client's Undo button,
+// results are the runTransaction results of `statements`. An empty change is not recorded (operation is null).
+function recordOperation({ description, statements, undo, files = [] }, callback) {
+    if (statements.length === 0) return callback(null, null, []);
+    moveJournalFiles(files, true, () => {
+        runTransaction([
+            ...statements,
+            // Undone changes can't be redone on top of a new change
+            { sql: 'DELETE FROM operation_journal WHERE undone = 1' },
+            {
+                sql: 'INSERT INTO operation_journal (description, undo_steps, redo_steps, files, dateCreated) VALUES (?, ?, ?, ?, ?)',
+                params: [description, JSON.stringify(undo), JSON.stringify(statements), JSON.stringify(files), Date.now()]
             }
-            res.json({ message: 'Tag deleted successfully.' });
+        ], (err, results) => {
+            if (err) return moveJournalFiles(files, false, () => callback(err));
+            trimJournal();
+            updateChannelQueues(files);
+            callback(null, { id: results[results.length - 1].lastID, description }, results.slice(0, statements.length));
         });
     });
-});
+}
 
-// ---------------------
-// BULK ADD A TAG TO MULTIPLE ENTRIES
-// ---------------------
-app.post('/api/entries/tags', (req, res) => {
-    const { ids, tag } = req.body;
-    if (!ids || !Array.isArray(ids) || ids.length === 0 || !tag) {
-        return res.status(400).json({ message: 'Invalid request.' });
-    }
-    // Find the tag id from its name
-    db.get('SELECT id FROM tags WHERE name = ?', [tag], (err, row) => {
+// Helper: the journal as the client sees it: the next change to undo and to redo (or null), and recent entries
+function loadJournalState(callback) {
+    db.all('SELECT id, description, undone, dateCreated FROM operation_journal ORDER BY id DESC', (err, rows) => {
+        if (err) return callback(err);
+        const entries = rows.map(row => ({ id: row.id, description: row.description, undone: !!row.undone, dateCreated: row.dateCreated }));
+        callback(null, {
+            undo: entries.find(entry => !entry.undone) || null,
+            redo: entries.filter(entry => entry.undone).pop() || null,
+            entries
+        });
+    });
+}
+
+// Helper: undo the newest change, or redo the most recently undone one.
+// req.body.id (optional) is the change the client means; if it isn't next in line, nothing happens (409).
+function replayJournal(direction, req, res) {
+    const isUndo = direction === 'undo';
+    const sql = isUndo
+        ? 'SELECT * FROM operation_journal WHERE undone = 0 ORDER BY id DESC LIMIT 1'
+        : 'SELECT * FROM operation_journal WHERE undone = 1 ORDER BY id ASC LIMIT 1';
+    db.get(sql, (err, entry) => {
         if (err) {
             console.error(err);
-            return res.status(500).json({ message: 'Error looking up tag.' });
+            return res.status(500).json({ message: `Error during ${direction}.` });
         }
-        if (!row) {
-            return res.status(404).json({ message: `Tag "${tag}" not found.` });
+        if (!entry) return res.status(404).json({ message: `Nothing to ${direction}.` });
+        if (req.body.id !== undefined && parseInt(req.body.id, 10) !== entry.id) {
+            return res.status(409).json({
+                message: `Only the most recent change can be ${isUndo ? 'undone' : 'redone'} (next up: "${entry.description}").`
+            });
         }
-        const tagId = row.id;
-        const stmt = db.prepare('INSERT OR IGNORE INTO image_tags (image_id, tag_id) VALUES (?, ?)');
-        ids.forEach(imageId => {
-            stmt.run(imageId, tagId);
-        });
-        stmt.finalize(err => {
-            if (err) {
-                console.error(err);
-                return res.status(500).json({ message: 'Error adding tag to entries.' });
-            }
-            res.json({ message: `Tag "${tag}" added to selected entries.` });
+        const steps = parseJournalJson(isUndo ? entry.undo_steps : entry.redo_steps);
+        const files = parseJournalJson(entry.files);
+        moveJournalFiles(files, !isUndo, () => {
+            runTransaction([
+                ...steps,
+                { sql: 'UPDATE operation_journal SET undone = ? WHERE id = ?', params: [isUndo ? 1 : 0, entry.id] }
+            ], (err) => {
+                if (err) {
+                    console.error(err);
+                    const conflict = err.code === 'SQLITE_CONSTRAINT';
+                    return moveJournalFiles(files, isUndo, () => {
+                        res.status(conflict ? 409 : 500).json({
+                            message: conflict
+                                ? `Can't ${direction} "${entry.description}": it conflicts with later changes.`
+                                : `Error during ${direction}.`
+                        });
+                    });
+                }
+                updateChannelQueues(files);
+                loadJournalState((err, journal) => {
+                    if (err) {
+                        console.error(err);
+                        return res.status(500).json({ message: 'Error reading the operation journal.' });
+                    }
+                    res.json({
+                        message: `${isUndo ? 'Undone' : 'Redone'}: ${entry.description}`,
+                        operation: { id: entry.id, description: entry.description },
+                        journal
+                    });
+                });
+            });
         });
     });
-});
+}
 
 // ---------------------
-// BULK REMOVE A TAG FROM MULTIPLE ENTRIES
+// UNDO / REDO ENDPOINTS
 // ---------------------
-app.delete('/api/entries/tags', (req, res) => {
-    const { ids, tag } = req.body;
-    if (!ids || !Array.isArray(ids) || ids.length === 0 || !tag) {
-        return res.status(400).json({ message: 'Invalid request.' });
-    }
-    db.get('SELECT id FROM tags WHERE name = ?', [tag], (err, row) => {
+// GET responds with { undo, redo, entries } (see loadJournalState).
+// POST undo/redo expect JSON: { id? } - the change shown on the client's Undo/Redo button.
+app.get('/api/journal', (req, res) => {
+    loadJournalState((err, journal) => {
         if (err) {
             console.error(err);
-            return res.status(500).json({ message: 'Error looking up tag.' });
-        }
-        if (!row) {
-            return res.status(404).json({ message: `Tag "${tag}" not found.` });
+            return res.status(500).json({ message: 'Error reading the operation journal.' });
         }
-        const tagId = row.id;
-        const placeholders = ids.map(() => '?').join(',');
-        db.run(`DELETE FROM image_tags WHERE tag_id = ? AND image_id IN (${placeholders})`, [tagId, ...ids], function(err) {
-            if (err) {
-                console.error(err);
-                return res.status(500).json({ message: 'Error removing tag from entries.' });
-            }
-            res.json({ message: `Tag "${tag}" removed from selected entries.` });
-        });
+        res.json(journal);
     });
 });
 
-// ---------------------
-// Endpoint to Update Slideshow Settings or Play Specific Image
-// ---------------------
-app.post('/api/updateSlideshow', (req, res) => {
-    const { action, speed, order, imageUrl, title, images } = req.body;
-    if (action === 'updateSettings') {
-        // Broadcast settings update to all clients
-        io.emit('settingsUpdate', { speed, order });
-    } else if (action === 'play') {
-        // Broadcast play specific image to all clients
-        io.emit('playImage', { imageUrl, title });
-    } else if (action === 'playSelect') {
-        // Broadcast the selected images to all clients
-        io.emit('playSelect', { images });
-    }
-    res.json({ message: 'Slideshow updated.' });
-});
+app.post('/api/journal/undo', (req, res) => replayJournal('undo', req, res));
+
+app.post('/api/journal/redo', (req, res) => replayJournal('redo', req, res));
 
 // ---------------------
-// Start the Server with Socket.io
+// API Endpoint to Get Images
 // ---------------------
-const server = app.listen(PORT, () => {
+const HIDDEN_TAG_NAME = 'Hidden';
+
+// Helper: parse a comma separated list of ids ("1,2,3") into an array of integers
+function parseIdList(value) {
+    if (!value) return [];
+    return String(value).split(',').map(id => parseInt(id, 10)).filter(id => !isNaN(id));
+}
+
+// Helper: SQL selecting the ids of the named tags (case-insensitive, one ? per name) and all of their
+// descendants, so filtering by a parent tag (Locations) also matches images tagged with a child (Waterdeep)
+function tagSubtreeSql(nameCount) {
+    return `WITH RECURSIVE subtree(id) AS (
+        SELECT id FROM tags WHERE LOWER(name) IN (${Array(nameCount).fill('LOWER(?)').join(',')})
+        UNION
+        SELECT tags.id FROM tags JOIN subtree ON tags.parent_id = subtree.id
+      ) SELECT id FROM subtree`;
+}
+
+// Helper: SQL condition matching images that have the named tag or one of its descendants
+function tagCondition(tagName) {
+    return {
+        sql: `EXISTS (SELECT 1 FROM image_tags
+        WHERE image_tags.image_id = images.id AND image_tags.tag_id IN (${tagSubtreeSql(1)}))`,
+        params: [tagName]
+    };
+}
+
+// Helper: build the WHERE clause (and its params) selecting images for the given query options.
+// Tag filters include descendant tags; Hidden only ever matches the Hidden tag itself.
+// Supported options: search (title), tags (names, all required), anyTags (names, at least one),
+// fullText (an FTS5 query from toSearchMatchQuery, matching title, description, tags and fields),
+// tagQuery (a tree from parseTagQuery), addedFrom/addedTo (ms timestamps, to is exclusive),
+// playlistId (with playlistRules for a smart playlist), ids, includeHidden,
+// alwaysIncludeIds (always matched, regardless of the other filters) and trashed (select the images in the
+// trash instead of the library; trashed images never match otherwise).
+function buildImageFilter({ search, fullText, tags = [], anyTags = [], tagQuery, addedFrom, addedTo, playlistId, playlistRules, ids = [], includeHidden = false, alwaysIncludeIds = [], trashed = false }) {
+    const conditions = [];
+    const params = [];
+
+    if (search) {
+        conditions.push("images.title LIKE ? ESCAPE '\\'");
+        params.push(`%${search.replace(/[\\%_]/g, ch => '\\' + ch)}%`);
+    }
+    if (fullText) {
+        conditions.push('images.id IN (SELECT rowid FROM image_search WHERE image_search MATCH ?)');
+        params.push(fullText);
+    }
+    tags.forEach(tagName => {
+        const condition = tagCondition(tagName);
+        conditions.push(condition.sql);
+        params.push(...condition.params);
+    });
+    if (anyTags.length > 0) {
+        conditions.push(`EXISTS (SELECT 1 FROM image_tags
+        WHERE image_tags.image_id = images.id AND image_tags.tag_id IN (${tagSubtreeSql(anyTags.length)}))`);
+        params.push(...anyTags);
+    }
+    if (tagQuery) {
+        const condition = compileTagQuery(tagQuery, tagCondition);
+        conditions.push(`(${condition.sql})`);
+        params.push(...condition.params);
+    }
+    if (addedFrom) {
+        conditions.push('CAST(images.dateAdded AS REAL) >= ?');
+        params.push(addedFrom);
+    }
+    if (addedTo) {
+        conditions.push('CAST(images.dateAdded AS REAL) < ?');
+        params.push(addedTo);
+    }
+    if (playlistRules) {
+        // Smart playlists match their rules rather than saved playlist rows
+        const rulesFilter = buildImageFilter({ ...smartPlaylistFilterOptions(playlistRules), includeHidden: true });
+        conditions.push(`images.id IN (SELECT images.id FROM images WHERE ${rulesFilter.where})`);
+        params.push(...rulesFilter.params);
+    } else if (playlistId) {
+        conditions.push('EXISTS (SELECT 1 FROM playlist_images WHERE playlist_images.image_id = images.id AND playlist_images.playlist_id = ?)');
+        params.push(playlistId);
+    }
+    if (ids.length > 0) {
+        conditions.push(`images.id IN (${ids.map(() => '?').join(',')})`);
+        params.push(...ids);
+    }
+    if (!includeHidden) {
+        conditions.push(`NOT EXISTS (SELECT 1 FROM image_tags
+        JOIN tags ON tags.id = image_tags.tag_id
+        WHERE image_tags.image_id = images.id AND LOWER(tags.name) = LOWER(?))`);
+        params.push(HIDDEN_TAG_NAME);
+    }
+
+    let where = conditions.length > 0 ? conditions.join(' AND ') : '1 = 1';
+    if (alwaysIncludeIds.length > 0) {
+        where = `(${where}) OR images.id IN (${alwaysIncludeIds.map(() => '?').join(',')})`;
+        params.push(...alwaysIncludeIds);
+    }
+    where = `(${where}) AND images.deleted_at IS ${trashed ? 'NOT NULL' : 'NULL'}`;
+    return { where, params };
+}
+
+// Sortable columns (sortKey -> SQL). 'position' only applies when filtering by playlist.
+const IMAGE_SORT_COLUMNS = {
+    title: 'images.title COLLATE NOCASE',
+    name: 'images.title COLLATE NOCASE',
+    dateAdded: 'CAST(images.dateAdded AS REAL)'
+};
+
+// Ken Burns zoom factors are kept within this range (1 = the whole image fills the screen)
+const KEN_BURNS_ZOOM_RANGE = { min: 1, max: 3 };
+
+// Helper: a Ken Burns framing from a request or the database -> { focusX, focusY, zoomFrom, zoomTo }.
+// The focal point is relative to the image (0..1 from the top-left corner). Returns null if it is malformed.
+function normalizeKenBurns(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return null;
+    const number = (input, fallback) => (input === undefined || input === null ? fallback : Number(input));
+    const focusX = number(value.focusX, 0.5);
+    const focusY = number(value.focusY, 0.5);
+    const zoomFrom = number(value.zoomFrom, 1);
+    const zoomTo = number(value.zoomTo, 1.2);
+    if (![focusX, focusY, zoomFrom, zoomTo].every(Number.isFinite)) return null;
+    const clamp = (input, min, max) => Math.round(Math.min(max, Math.max(min, input)) * 1000) / 1000;
+    return {
+        focusX: clamp(focusX, 0, 1),
+        focusY: clamp(focusY, 0, 1),
+        zoomFrom: clamp(zoomFrom, KEN_BURNS_ZOOM_RANGE.min, KEN_BURNS_ZOOM_RANGE.max),
+        zoomTo: clamp(zoomTo, KEN_BURNS_ZOOM_RANGE.min, KEN_BURNS_ZOOM_RANGE.max)
+    };
+}
+
+// Helper: stored ken_burns JSON -> framing object (null when unset or unreadable)
+function parseStoredKenBurns(value) {
+    if (!value) return null;
+    try {
+        return normalizeKenBurns(JSON.parse(value));
+    } catch (err) {
+        console.error('Invalid Ken Burns framing:', value);
+        return null;
+    }
+}
+
+// Helper: attach tag objects ({id, name, color}) and custom fields to image rows and shape them for the client
+function formatImageRows(rows, callback) {
+    if (rows.length === 0) return callback(null, []);
+    const ids = rows.map(row => row.id);
+    const placeholders = ids.map(() => '?').join(',');
+    db.all(`SELECT image_tags.image_id, tags.id, tags.name, tags.color
+      FROM image_tags
+      JOIN tags ON tags.id = image_tags.tag_id
+      WHERE image_tags.image_id IN (${placeholders})
+      ORDER BY tags.name COLLATE NOCASE`, ids, (err, tagRows) => {
+        if (err) return callback(err);
+        db.all(`SELECT image_id, key, value FROM image_fields WHERE image_id IN (${placeholders}) ORDER BY rowid`, ids, (err, fieldRows) => {
+            if (err) return callback(err);
+            db.all(`SELECT image_id FROM fog_masks WHERE enabled = 1 AND image_id IN (${placeholders})`, ids, (err, fogRows) => {
+                if (err) return callback(err);
+                const fogged = new Set(fogRows.map(fog => fog.image_id));
+                const tagsByImage = {};
+                tagRows.forEach(tag => {
+                    if (tag.name.trim().toLowerCase() === 'all') return;
+                    (tagsByImage[tag.image_id] = tagsByImage[tag.image_id] || []).push({ id: tag.id, name: tag.name, color: tag.color || '' });
+                });
+                const fieldsByImage = {};
+                fieldRows.forEach(field => {
+                    (fieldsByImage[field.image_id] = fieldsByImage[field.image_id] || {})[field.key] = field.value;
+                });
+                callback(null, rows.map(row => ({
+                    id: row.id,
+                    title: row.title,
+                    description: row.description || '',
+                    fields: fieldsByImage[row.id] || {}, // Custom key/value fields
+                    tags: tagsByImage[row.id] || [], // Array of objects {id, name, color}
+                    kenBurns: parseStoredKenBurns(row.ken_burns), // Focal point and zoom range, or null for the default
+                    transition: parseStoredTransition(row.transition), // Transition override, or null
+                    fogOfWar: fogged.has(row.id), // Displays cover it with fog (see the FOG OF WAR section)
+                    dateAdded: row.dateAdded,
+                    url: `/images/${row.filename}`,
+                    thumbnailUrl: `/thumbnails/${row.filename}` // NEW: thumbnail URL
+                })));
+            });
+        });
+    });
+}
+
+// Helper: parse a tag query from a request. Sends a 400 describing the syntax error
+// ({ message, position }) and returns null if it is malformed; returns undefined when there is no query.
+function parseRequestTagQuery(text, res) {
+    if (text === undefined || text === null || String(text).trim() === '') return undefined;
+    try {
+        return parseTagQuery(text);
+    } catch (err) {
+        if (!(err instanceof TagQueryError)) throw err;
+        res.status(400).json({ message: `Invalid tag query: ${err.message}`, position: err.position });
+        return null;
+    }
+}
+
+// Helper: the tag names in a parsed query that match no tag (likely typos), in query order
+function findUnknownQueryTags(tagQuery, callback) {
+    if (!tagQuery) return callback(null, []);
+    const names = getTagQueryNames(tagQuery);
+    db.all(`SELECT LOWER(name) AS name FROM tags WHERE LOWER(name) IN (${names.map(() => 'LOWER(?)').join(',')})`, names, (err, rows) => {
+        if (err) return callback(err);
+        const known = new Set(rows.map(row => row.name));
+        callback(null, names.filter(name => !known.has(name.toLowerCase())));
+    });
+}
+
+// Query params: page, limit (-1 for all), sortKey ('relevance' is the default while searching), sortDir,
+// search (full text: title, description, tag names and custom fields, as prefixes), tags (comma separated names),
+// q (tag query, e.g. 'forest AND NOT (night OR "dark forest")'),
+// playlistId (smart playlists filter by their rules), ids, alwaysIncludeIds, includeHidden.
+// Responds with { images, pagination, availableFilteredTagIds, unknownQueryTags }, where availableFilteredTagIds
+// lists every tag used by any image matching the filters (across all pages) and unknownQueryTags
+// lists query tag names that match no tag. A malformed q gives a 400 with { message, position }.
+// While searching, each image has searchMatches: highlighted snippets of the columns that matched.
+app.get('/api/images', (req, res) => {
+    const playlistId = parseInt(req.query.playlistId, 10) || null;
+    const tagQuery = parseRequestTagQuery(req.query.q, res);
+    if (tagQuery === null) return;
+    const searchMatch = toSearchMatchQuery(req.query.search);
+    getPlaylistRules(playlistId, (err, playlistRules) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ message: 'Database error.' });
+        }
+        const filter = buildImageFilter({
+            fullText: searchMatch,
+            tags: (req.query.tags || '').split(',').map(t => t.trim()).filter(Boolean),
+            tagQuery: tagQuery,
+            playlistId: playlistId,
+            playlistRules: playlistRules,
+            ids: parseIdList(req.query.ids),
+            includeHidden: req.query.includeHidden === 'true',
+            alwaysIncludeIds: parseIdList(req.query.alwaysIncludeIds)
+        });
+
+        const limit = parseInt(req.query.limit, 10) || 100;
+        let page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const sortDir = String(req.query.sortDir).toLowerCase() === 'asc' ? 'ASC' : 'DESC';
+        let orderBy = `${IMAGE_SORT_COLUMNS[req.query.sortKey] || IMAGE_SORT_COLUMNS.dateAdded} ${sortDir}`;
+        const orderParams = [];
+        if (req.query.sortKey === 'position' && playlistId) {
+            orderBy = `(SELECT position FROM playlist_images WHERE playlist_images.image_id = images.id AND playlist_images.playlist_id = ${playlistId}) ${sortDir}`;
+        } else if (searchMatch && (!req.query.sortKey || req.query.sortKey === 'relevance')) {
+            // Best matches first (bm25 scores are lower for better matches)
+            orderBy = `(SELECT bm25(image_search, ${SEARCH_WEIGHTS.join(', ')}) FROM image_search
+          WHERE image_search MATCH ? AND image_search.rowid = images.id) ASC`;
+            orderParams.push(searchMatch);
+        }
+
+        db.get(`SELECT COUNT(*) AS total FROM images WHERE ${filter.where}`, filter.params, (err, countRow) => {
+            if (err) {
+                console.error(err);
+                return res.status(500).json({ message: 'Database error.' });
+            }
+            const totalItems = countRow.total;
+            const itemsPerPage = limit > 0 ? limit : Math.max(totalItems, 1);
+            const totalPages = Math.max(Math.ceil(totalItems / itemsPerPage), 1);
+            page = Math.min(page, totalPages);
+
+            const sql = `SELECT images.* FROM images WHERE ${filter.where}
+          ORDER BY ${orderBy}, images.id ${sortDir}
+          LIMIT ? OFFSET ?`;
+            db.all(sql, [...filter.params, ...orderParams, itemsPerPage, (page - 1) * itemsPerPage], (err, rows) => {
+                if (err) {
+                    console.error(err);
+                    return res.status(500).json({ message: 'Database error.' });
+                }
+                formatImageRows(rows, (err, images) => {
+                    if (err) {
+                        console.error(err);
+                        return res.status(500).json({ message: 'Database error.' });
+                    }
+                    // Tags on any filtered image, plus their ancestors (a parent tag matches its children's images)
+                    db.all(`WITH RECURSIVE used(tag_id) AS (
+                SELECT DISTINCT image_tags.tag_id FROM image_tags
+                WHERE image_tags.image_id IN (SELECT images.id FROM images WHERE ${filter.where})
+                UNION
+                SELECT tags.parent_id FROM tags JOIN used ON tags.id = used.tag_id WHERE tags.parent_id IS NOT NULL
+              ) SELECT tag_id FROM used`, filter.params, (err, tagRows) => {
+                        if (err) {
+                            console.error(err);
+                            return res.status(500).json({ message: 'Database error.' });
+                        }
+                        findUnknownQueryTags(tagQuery, (err, unknownQueryTags) => {
+                            if (err) {
+                                console.error(err);
+                                return res.status(500).json({ message: 'Database error.' });
+                            }
+                            loadSearchSnippets(searchMatch, images.map(image => image.id), (err, snippets) => {
+                                if (err) {
+                                    console.error(err);
+                                    return res.status(500).json({ message: 'Database error.' });
+                                }
+                                if (searchMatch) {
+                                    images.forEach(image => { image.searchMatches = snippets[image.id] || {}; });
+                                }
+                                res.json({
+                                    images: images,
+                                    pagination: {
+                                        currentPage: page,
+                                        totalPages: totalPages,
+                                        totalItems: totalItems,
+                                        itemsPerPage: limit > 0 ? limit : totalItems
+                                    },
+                                    availableFilteredTagIds: tagRows.map(row => row.tag_id),
+                                    unknownQueryTags: unknownQueryTags
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    });
+});
+
+// ---------------------
+// Update Image Metadata Endpoint
+// ---------------------
+// Expects JSON with any of: { title, description, fields: { key: value, ... }, tagIds: [1, 2, ...], kenBurns, transition }
+// `fields` replaces the image's custom fields (empty values are dropped);
+// `tagIds` replaces its tags (the implicit 'All' tag is kept);
+// `kenBurns` sets its pan/zoom framing ({ focusX, focusY, zoomFrom, zoomTo }, or null for the default);
+// `transition` overrides how displays change to it ({ type?, duration?, easing? }, or null to inherit).
+app.patch('/api/images/:id', (req, res) => {
+    const id = req.params.id;
+    const { title, description, fields, tagIds } = req.body;
+    const kenBurns = req.body.kenBurns === undefined || req.body.kenBurns === null ? req.body.kenBurns : normalizeKenBurns(req.body.kenBurns);
+
+    if (title !== undefined && (typeof title !== 'string' || !title.trim())) {
+        return res.status(400).json({ message: 'Title cannot be empty.' });
+    }
+    if (fields !== undefined && (fields === null || typeof fields !== 'object' || Array.isArray(fields))) {
+        return res.status(400).json({ message: 'fields must be an object of key/value pairs.' });
+    }
+    if (tagIds !== undefined && !Array.isArray(tagIds)) {
+        return res.status(400).json({ message: 'tagIds must be an array.' });
+    }
+    if (req.body.kenBurns !== undefined && req.body.kenBurns !== null && !kenBurns) {
+        return res.status(400).json({ message: 'kenBurns must be an object with numeric focusX, focusY, zoomFrom and zoomTo.' });
+    }
+    let transition = req.body.transition;
+    if (transition !== undefined && transition !== null) {
+        const normalized = normalizeTransition(transition);
+        if (normalized.error) return res.status(400).json({ message: normalized.error });
+        transition = normalized.transition;
+    }
+
+    db.get('SELECT * FROM images WHERE id = ?', [id], (err, row) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ message: 'Database error.' });
+        }
+        if (!row) return res.status(404).json({ message: 'Image not found.' });
+
+        // Snapshot of what the edit replaces, for undo
+        db.all('SELECT * FROM image_fields WHERE image_id = ?', [id], (err, oldFields) => {
+            if (err) {
+                console.error(err);
+                return res.status(500).json({ message: 'Database error.' });
+            }
+            db.all('SELECT * FROM image_tags WHERE image_id = ?', [id], (err, oldTags) => {
+                if (err) {
+                    console.error(err);
+                    return res.status(500).json({ message: 'Database error.' });
+                }
+                applyImageEdit(row, oldFields, oldTags);
+            });
+        });
+    });
+
+    function applyImageEdit(row, oldFields, oldTags) {
+        const statements = [];
+        const undo = [];
+        const updates = [];
+        const params = [];
+        if (title !== undefined) {
+            updates.push('title = ?');
+            params.push(title.trim());
+        }
+        if (description !== undefined) {
+            updates.push('description = ?');
+            params.push(description === null ? '' : String(description).trim());
+        }
+        if (kenBurns !== undefined) {
+            updates.push('ken_burns = ?');
+            params.push(kenBurns ? JSON.stringify(kenBurns) : null);
+        }
+        if (transition !== undefined) {
+            updates.push('transition = ?');
+            params.push(transition ? JSON.stringify(transition) : null);
+        }
+        if (updates.length > 0) {
+            statements.push({ sql: `UPDATE images SET ${updates.join(', ')} WHERE id = ?`, params: [...params, id] });
+            undo.push({
+                sql: 'UPDATE images SET title = ?, description = ?, ken_burns = ?, transition = ? WHERE id = ?',
+                params: [row.title, row.description, row.ken_burns, row.transition, id]
+            });
+        }
+        if (fields !== undefined) {
+            undo.push({ sql: 'DELETE FROM image_fields WHERE image_id = ?', params: [id] }, ...insertRowsSql('image_fields', oldFields));
+            statements.push({ sql: 'DELETE FROM image_fields WHERE image_id = ?', params: [id] });
+            Object.entries(fields).forEach(([key, value]) => {
+                const fieldKey = key.trim();
+                const fieldValue = value === null || value === undefined ? '' : String(value).trim();
+                if (!fieldKey || !fieldValue) return;
+                statements.push({ sql: 'INSERT OR REPLACE INTO image_fields (image_id, key, value) VALUES (?, ?, ?)', params: [id, fieldKey, fieldValue] });
+            });
+        }
+        if (tagIds !== undefined) {
+            undo.push({ sql: 'DELETE FROM image_tags WHERE image_id = ?', params: [id] }, ...insertRowsSql('image_tags', oldTags, 'OR IGNORE'));
+            statements.push({
+                sql: `DELETE FROM image_tags WHERE image_id = ?
+          AND tag_id NOT IN (SELECT id FROM tags WHERE LOWER(name) = 'all')`,
+                params: [id]
+            });
+            tagIds.forEach(tagId => {
+                statements.push({ sql: 'INSERT OR IGNORE INTO image_tags (image_id, tag_id) SELECT ?, id FROM tags WHERE id = ?', params: [id, tagId] });
+            });
+        }
+
+        recordOperation({ description: `Edited "${row.title}"`, statements, undo }, (err, operation) => {
+            if (err) {
+                console.error(err);
+                return res.status(500).json({ message: 'Error updating image.' });
+            }
+            db.get('SELECT * FROM images WHERE id = ?', [id], (err, updatedRow) => {
+                if (err) {
+                    console.error(err);
+                    return res.status(500).json({ message: 'Database error.' });
+                }
+                formatImageRows([updatedRow], (err, images) => {
+                    if (err) {
+                        console.error(err);
+                        return res.status(500).json({ message: 'Database error.' });
+                    }
+                    res.json({ message: 'Image updated.', image: images[0], operation });
+                });
+            });
+        });
+    }
+});
+
+// Helper: move image rows to the trash as one undoable change. Their tags, custom fields and playlist
+// memberships stay in place (trashed images are filtered out everywhere), so restoring brings them all back.
+function trashImages(rows, description, callback) {
+    const ids = rows.map(row => row.id);
+    const placeholders = ids.map(() => '?').join(',');
+    recordOperation({
+        description,
+        statements: [{ sql: `UPDATE images SET deleted_at = ? WHERE id IN (${placeholders})`, params: [Date.now(), ...ids] }],
+        undo: [{ sql: `UPDATE images SET deleted_at = NULL WHERE id IN (${placeholders})`, params: ids }],
+        files: rows.map(row => ({ filename: row.filename, toTrash: true }))
+    }, callback);
+}
+
+// ---------------------
+// Delete Single Entry Endpoint
+// ---------------------
+app.delete('/api/images/:id', (req, res) => {
+    const id = req.params.id;
+    db.get('SELECT * FROM images WHERE id = ? AND deleted_at IS NULL', [id], (err, row) => {
+        if (err) return res.status(500).json({ message: 'Database error.' });
+        if (!row) return res.status(404).json({ message: 'Image not found.' });
+        trashImages([row], `Deleted "${row.title}"`, (err, operation) => {
+            if (err) {
+                console.error(err);
+                return res.status(500).json({ message: 'Database deletion error.' });
+            }
+            return res.json({ message: `Image ${row.filename} moved to the trash.`, operation });
+        });
+    });
+});
+
+// ---------------------
+// Bulk Delete Endpoint
+// ---------------------
+// Expects JSON: { ids: [1, 2, 3, ...] }
+app.delete('/api/images', (req, res) => {
+    const ids = req.body.ids;
+    if (!Array.isArray(ids) || ids.length === 0) {
+        return res.status(400).json({ message: 'No ids provided.' });
+    }
+    db.all(`SELECT * FROM images WHERE id IN (${ids.map(() => '?').join(',')}) AND deleted_at IS NULL`, ids, (err, rows) => {
+        if (err) return res.status(500).json({ message: 'Database error.' });
+        if (!rows || rows.length === 0) return res.status(404).json({ message: 'No images found for deletion.' });
+
+        const description = rows.length === 1 ? `Deleted "${rows[0].title}"` : `Deleted ${rows.length} images`;
+        trashImages(rows, description, (err, operation) => {
+            if (err) {
+                console.error(err);
+                return res.status(500).json({ message: 'Database deletion error.' });
+            }
+            return res.json({ message: `${rows.length} images moved to the trash.`, operation });
+        });
+    });
+});
+
+// ---------------------
+// TRASH
+// ---------------------
+// Deleted images keep their rows (with deleted_at set) and associations, and their files move to the trash
+// folder. They can be restored from the Trash view until they are purged by hand or TRASH_RETENTION_DAYS after
+// they were deleted.
+const TRASH_RETENTION_DAYS = 30;
+const TRASH_RETENTION_MS = TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+// Helper: bring the running slideshows in line with journal files ({ filename }) that just moved into or out of
+// the trash. Trashed images leave every channel's queue (displays showing one move on) and restored ones go back
+// into the queues they were taken from.
+function updateChannelQueues(files) {
+    if (files.length === 0) return;
+    const filenames = files.map(file => file.filename);
+    db.all(`SELECT id, deleted_at FROM images WHERE filename IN (${filenames.map(() => '?').join(',')})`, filenames, (err, rows) => {
+        if (err) return console.error('Error updating slideshow queues:', err);
+        const trashedIds = rows.filter(row => row.deleted_at !== null).map(row => row.id);
+        const restoredIds = rows.filter(row => row.deleted_at === null).map(row => row.id);
+        channels.forEach(engine => {
+            if (trashedIds.length > 0) engine.removeImages(trashedIds);
+            if (restoredIds.length > 0) engine.restoreImages(restoredIds);
+        });
+    });
+}
+
+// Helper: delete trashed image files and thumbnails for good. Files that can't be deleted are logged and skipped.
+function deleteTrashFiles(filenames) {
+    filenames.forEach(filename => {
+        [trashImageFolder, trashThumbFolder].forEach(folder => {
+            fs.unlink(path.join(folder, filename), (err) => {
+                if (err && err.code !== 'ENOENT') console.error('Error deleting file:', err);
+            });
+        });
+    });
+}
+
+// Helper: SQL statement forgetting the journal changes that moved any of the files (and, as undo and redo walk the
+// journal in order, every change behind them), so undo/redo never replay a change to a purged image
+function forgetJournalFilesSql(filenames) {
+    const touches = `EXISTS (SELECT 1 FROM json_each(operation_journal.files)
+      WHERE json_extract(json_each.value, '$.filename') IN (${filenames.map(() => '?').join(',')}))`;
+    return {
+        sql: `DELETE FROM operation_journal WHERE
+      (undone = 0 AND id <= (SELECT MAX(id) FROM operation_journal WHERE undone = 0 AND ${touches}))
+      OR (undone = 1 AND id >= (SELECT MIN(id) FROM operation_journal WHERE undone = 1 AND ${touches}))`,
+        params: [...filenames, ...filenames]
+    };
+}
+
+// Helper: permanently delete image rows (with their tags, custom fields, playlist memberships and fog of war)
+// and their trashed files. This can't be undone, so the journal forgets the changes that involve them.
+function purgeImages(rows, callback) {
+    if (rows.length === 0) return callback(null);
+    const ids = rows.map(row => row.id);
+    const placeholders = ids.map(() => '?').join(',');
+    runTransaction(['image_tags', 'image_fields', 'playlist_images', 'fog_masks', 'fog_operations'].map(table => ({
+        sql: `DELETE FROM ${table} WHERE image_id IN (${placeholders})`,
+        params: ids
+    })).concat(
+        { sql: `DELETE FROM images WHERE id IN (${placeholders})`, params: ids },
+        forgetJournalFilesSql(rows.map(row => row.filename))
+    ), (err) => {
+        if (err) return callback(err);
+        channels.forEach(engine => engine.removeImages(ids, { restorable: false }));
+        deleteTrashFiles(rows.map(row => row.filename));
+        callback(null);
+    });
+}
+
+// Helper: purge images that have been in the trash longer than the retention period
+function purgeExpiredTrash() {
+    db.all('SELECT id, filename FROM images WHERE deleted_at < ?', [Date.now() - TRASH_RETENTION_MS], (err, rows) => {
+        if (err) return console.error('Error emptying the trash:', err);
+        purgeImages(rows, (err) => {
+            if (err) return console.error('Error emptying the trash:', err);
+            if (rows.length > 0) console.log(`Purged ${rows.length} image(s) from the trash.`);
+        });
+    });
+}
+
+// Expired images are also purged at startup, once the deleted_at column exists
+setInterval(purgeExpiredTrash, 60 * 60 * 1000).unref();
+
+// ---------------------
+// LIST THE TRASH
+// ---------------------
+// Responds with { images, retentionDays }: trashed images, most recently deleted first, each with deletedAt and
+// purgeAt (ms timestamps) and a thumbnailUrl served from the trash.
+app.get('/api/trash', (req, res) => {
+    db.all('SELECT * FROM images WHERE deleted_at IS NOT NULL ORDER BY deleted_at DESC, id DESC', (err, rows) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ message: 'Error reading the trash.' });
+        }
+        formatImageRows(rows, (err, images) => {
+            if (err) {
+                console.error(err);
+                return res.status(500).json({ message: 'Error reading the trash.' });
+            }
+            res.json({
+                images: images.map((image, index) => ({
+                    ...image,
+                    url: null, // The file is not served while it is in the trash
+                    thumbnailUrl: `/trash/thumbnails/${rows[index].filename}`,
+                    deletedAt: rows[index].deleted_at,
+                    purgeAt: rows[index].deleted_at + TRASH_RETENTION_MS
+                })),
+                retentionDays: TRASH_RETENTION_DAYS
+            });
+        });
+    });
+});
+
+// ---------------------
+// RESTORE IMAGES FROM THE TRASH
+// ---------------------
+// Expects JSON: { ids: [1, 2, 3, ...] }. Restored images get their tags, fields and playlist places back.
+app.post('/api/trash/restore', (req, res) => {
+    const ids = req.body.ids;
+    if (!Array.isArray(ids) || ids.length === 0) {
+        return res.status(400).json({ message: 'No ids provided.' });
+    }
+    db.all(`SELECT * FROM images WHERE id IN (${ids.map(() => '?').join(',')}) AND deleted_at IS NOT NULL`, ids, (err, rows) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ message: 'Database error.' });
+        }
+        if (rows.length === 0) return res.status(404).json({ message: 'No trashed images found.' });
+        const rowIds = rows.map(row => row.id);
+        recordOperation({
+            description: rows.length === 1 ? `Restored "${rows[0].title}"` : `Restored ${rows.length} images`,
+            statements: [{ sql: `UPDATE images SET deleted_at = NULL WHERE id IN (${rowIds.map(() => '?').join(',')})`, params: rowIds }],
+            undo: rows.map(row => ({ sql: 'UPDATE images SET deleted_at = ? WHERE id = ?', params: [row.deleted_at, row.id] })),
+            files: rows.map(row => ({ filename: row.filename, toTrash: false }))
+        }, (err, operation) => {
+            if (err) {
+                console.error(err);
+                return res.status(500).json({ message: 'Error restoring images.' });
+            }
+            res.json({ message: `${rows.length} image(s) restored.`, operation });
+        });
+    });
+});
+
+// ---------------------
+// PURGE IMAGES FROM THE TRASH
+// ---------------------
+// Expects JSON: { ids: [1, 2, 3, ...] }, or { all: true } to empty the trash. This can't be undone.
+app.delete('/api/trash', (req, res) => {
+    const { ids, all } = req.body;
+    if (all !== true && (!Array.isArray(ids) || ids.length === 0)) {
+        return res.status(400).json({ message: 'No ids provided.' });
+    }
+    const where = all === true ? '' : `AND id IN (${ids.map(() => '?').join(',')})`;
+    db.all(`SELECT id, filename FROM images WHERE deleted_at IS NOT NULL ${where}`, all === true ? [] : ids, (err, rows) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ message: 'Database error.' });
+        }
+        purgeImages(rows, (err) => {
+            if (err) {
+                console.error(err);
+                return res.status(500).json({ message: 'Error purging images.' });
+            }
+            res.json({ message: `${rows.length} image(s) permanently deleted.`, purged: rows.length });
+        });
+    });
+});
+
+// ---------------------
+// LIBRARY MAINTENANCE
+// ---------------------
+// GET reports orphaned association rows, thumbnails without an image and files no image row refers to;
+// POST repairs them and reports what it changed (see runLibraryMaintenance). Untracked image files are left for
+// the library scanner to import; other untracked files are moved to trash/untracked rather than deleted.
+// The same check runs from the command line:
+//   node scripts/repair-library.js [--dry-run]
+const untrackedFolder = path.join(trashFolder, 'untracked');
+
+function sendMaintenanceReport(dryRun, res) {
+    runLibraryMaintenance({
+        db,
+        root: __dirname,
+        dryRun,
+        folders: {
+            images: uploadFolder,
+            thumbnails: thumbFolder,
+            trashImages: trashImageFolder,
+            trashThumbnails: trashThumbFolder,
+            untracked: untrackedFolder
+        },
+        importable: IMAGE_FILE_PATTERN,
+        runTransaction
+    }, (err, report) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ message: 'Error checking the library.' });
+        }
+        if (!dryRun) console.log(`Library maintenance made ${report.changed} change(s).`);
+        res.json(report);
+    });
+}
+
+app.get('/api/maintenance/library', (req, res) => sendMaintenanceReport(true, res));
+
+app.post('/api/maintenance/library', (req, res) => sendMaintenanceReport(false, res));
+
+// ---------------------
+// LIBRARY SCANNER
+// ---------------------
+// Imports image files copied straight into public/images (titled like uploads), creates missing thumbnails
+// and flags images whose file is gone (see server/libraryScanner.js). Scans run at startup and on demand;
+// start the server with WATCH_LIBRARY=true to also scan whenever the folder changes.
+const WATCH_LIBRARY = process.env.WATCH_LIBRARY === 'true';
+const libraryScanner = createLibraryScanner({
+    db,
+    imageFolder: uploadFolder,
+    thumbFolder,
+    sanitizeFilename,
+    createThumbnail,
+    onScan: logLibraryScan
+});
+
+function logLibraryScan(err, report) {
+    if (err) return console.error('Error scanning the library:', err);
+    const { imported, missing, thumbnailsCreated, errors } = report;
+    if (imported.length > 0) hashUnhashedImages();
+    if (imported.length + missing.length + thumbnailsCreated.length + errors.length === 0) return;
+    console.log(`Library scan: ${imported.length} imported, ${missing.length} missing, ` +
+        `${thumbnailsCreated.length} thumbnail(s) created, ${errors.length} error(s).`);
+}
+
+if (WATCH_LIBRARY) {
+    libraryScanner.watch();
+    console.log(`Watching ${uploadFolder} for new images.`);
+}
+
+// GET responds with { report, watching }: the most recent scan (null before the first one finishes) and
+// whether the folder is watched. POST runs a scan now and responds the same way.
+app.get('/api/library/scan', (req, res) => {
+    res.json({ report: libraryScanner.getLastReport(), watching: WATCH_LIBRARY });
+});
+
+app.post('/api/library/scan', (req, res) => {
+    libraryScanner.scan((err, report) => {
+        logLibraryScan(err, report);
+        if (err) return res.status(500).json({ message: 'Error scanning the library.' });
+        res.json({ report, watching: WATCH_LIBRARY });
+    });
+});
+
+// ---------------------
+// DUPLICATE DETECTION
+// ---------------------
+// Every image gets a perceptual hash: uploads hash the new file, and images from before (or imported by the
+// library scanner) are hashed in the background. Uploads flag images that look like one already in the library,
+// and the duplicates view groups look-alikes so they can be merged into one.
+let hashingImages = false;
+let hashAgain = false;
+
+// Helper: hash the library images that have no hash yet, one at a time. Files that can't be read (missing, or not
+// an image) stay unhashed and are tried again on the next run.
+function hashUnhashedImages() {
+    if (hashingImages) {
+        hashAgain = true;
+        return;
+    }
+    hashingImages = true;
+    const finish = () => {
+        hashingImages = false;
+        if (hashAgain) {
+            hashAgain = false;
+            hashUnhashedImages();
+        }
+    };
+    db.all('SELECT id, filename FROM images WHERE phash IS NULL AND deleted_at IS NULL', (err, rows) => {
+        if (err) {
+            console.error('Error finding images to hash:', err);
+            return finish();
+        }
+        let hashed = 0;
+        const next = (index) => {
+            if (index >= rows.length) {
+                if (hashed > 0) console.log(`Hashed ${hashed} image(s) for duplicate detection.`);
+                return finish();
+            }
+            computeImageHash(path.join(uploadFolder, rows[index].filename), (err, hash) => {
+                if (err) return next(index + 1);
+                db.run('UPDATE images SET phash = ? WHERE id = ?', [hash, rows[index].id], (err) => {
+                    if (err) console.error('Error saving image hash:', err);
+                    else hashed++;
+                    next(index + 1);
+                });
+            });
+        };
+        next(0);
+    });
+}
+
+// What an upload does when the library has a look-alike of the new image (the onDuplicate field):
+// 'ask' (the default) and 'skip' leave the image out ('ask' responds with the look-alikes so the client can ask),
+// 'replace' stores it and merges the look-alikes into it, 'keep' stores it next to them.
+const DUPLICATE_ACTIONS = ['ask', 'skip', 'replace', 'keep'];
+
+function parseDuplicateAction(value) {
+    return DUPLICATE_ACTIONS.includes(value) ? value : 'ask';
+}
+
+// Helper: library images that look like the picture with the given hash, closest first, as
+// [{ id, title, filename, thumbnailUrl, distance }]. exceptFilename leaves out the image an upload overwrites.
+function findDuplicatesOf(hash, exceptFilename, callback) {
+    if (!hash) return callback(null, []);
+    db.all('SELECT id, title, filename, phash FROM images WHERE phash IS NOT NULL AND deleted_at IS NULL AND filename != ?',
+        [exceptFilename || ''], (err, rows) => {
+            if (err) return callback(err);
+            callback(null, findSimilarImages(hash, rows).map(row => ({
+                id: row.id,
+                title: row.title,
+                filename: row.filename,
+                thumbnailUrl: `/thumbnails/${row.filename}`,
+                distance: row.distance
+            })));
+        });
+}
+
+// Helper: merge images into the one that is kept. It gains their tags and their places in playlists it isn't in
+// yet, and they move to the trash. Recorded in the journal, so the merge can be undone.
+function mergeImages(keep, others, description, callback) {
+    const otherIds = others.map(row => row.id);
+    const placeholders = otherIds.map(() => '?').join(',');
+    db.all(`SELECT DISTINCT tag_id FROM image_tags WHERE image_id IN (${placeholders})
+      AND tag_id NOT IN (SELECT tag_id FROM image_tags WHERE image_id = ?)`, [...otherIds, keep.id], (err, tagRows) => {
+        if (err) return callback(err);
+        db.all(`SELECT playlist_id, MIN(position) AS position FROM playlist_images WHERE image_id IN (${placeholders})
+          AND playlist_id NOT IN (SELECT playlist_id FROM playlist_images WHERE image_id = ?)
+          GROUP BY playlist_id`, [...otherIds, keep.id], (err, placeRows) => {
+            if (err) return callback(err);
+            recordOperation({
+                description,
+                statements: [
+                    ...tagRows.map(row => ({ sql: 'INSERT OR IGNORE INTO image_tags (image_id, tag_id) VALUES (?, ?)', params: [keep.id, row.tag_id] })),
+                    // The kept image takes the merged image's place in the playlist
+                    ...placeRows.map(row => ({
+                        sql: 'INSERT OR IGNORE INTO playlist_images (playlist_id, image_id, position) VALUES (?, ?, ?)',
+                        params: [row.playlist_id, keep.id, row.position]
+                    })),
+                    { sql: `UPDATE images SET deleted_at = ? WHERE id IN (${placeholders})`, params: [Date.now(), ...otherIds] }
+                ],
+                undo: [
+                    { sql: `UPDATE images SET deleted_at = NULL WHERE id IN (${placeholders})`, params: otherIds },
+                    ...tagRows.map(row => ({ sql: 'DELETE FROM image_tags WHERE image_id = ? AND tag_id = ?', params: [keep.id, row.tag_id] })),
+                    ...placeRows.map(row => ({ sql: 'DELETE FROM playlist_images WHERE playlist_id = ? AND image_id = ?', params: [row.playlist_id, keep.id] }))
+                ],
+                files: others.map(row => ({ filename: row.filename, toTrash: true }))
+            }, callback);
+        });
+    });
+}
+
+// ---------------------
+// FIND DUPLICATES
+// ---------------------
+// Optional query: maxDistance (how many of the 64 hash bits may differ; default DEFAULT_MAX_DISTANCE).
+// Responds with { groups, unhashed, maxDistance }: groups of look-alike library images (oldest first, each image as
+// in /api/images plus its playlists [{ id, name }]) and how many images have no hash yet.
+app.get('/api/duplicates', (req, res) => {
+    const requested = parseInt(req.query.maxDistance, 10);
+    const maxDistance = requested >= 0 && requested <= 16 ? requested : DEFAULT_MAX_DISTANCE;
+    db.all('SELECT * FROM images WHERE deleted_at IS NULL ORDER BY CAST(dateAdded AS REAL), id', (err, rows) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ message: 'Database error.' });
+        }
+        const groups = groupSimilarImages(rows, maxDistance);
+        const unhashed = rows.filter(row => !row.phash).length;
+        const grouped = groups.flat();
+        formatImageRows(grouped, (err, images) => {
+            if (err) {
+                console.error(err);
+                return res.status(500).json({ message: 'Database error.' });
+            }
+            const ids = grouped.map(row => row.id);
+            db.all(`SELECT playlist_images.image_id, playlists.id, playlists.name
+              FROM playlist_images JOIN playlists ON playlists.id = playlist_images.playlist_id
+              WHERE playlist_images.image_id IN (${ids.map(() => '?').join(',')})
+              ORDER BY playlists.name COLLATE NOCASE`, ids, (err, placeRows) => {
+                if (err) {
+                    console.error(err);
+                    return res.status(500).json({ message: 'Database error.' });
+                }
+                const imagesById = new Map(images.map(image => [image.id, { ...image, playlists: [] }]));
+                placeRows.forEach(place => imagesById.get(place.image_id).playlists.push({ id: place.id, name: place.name }));
+                res.json({
+                    groups: groups.map(group => group.map(row => imagesById.get(row.id))),
+                    unhashed,
+                    maxDistance
+                });
+            });
+        });
+    });
+});
+
+// ---------------------
+// MERGE DUPLICATES
+// ---------------------
+// Expects JSON: { keepId, ids: [...] }. The images in ids are merged into keepId (see mergeImages).
+app.post('/api/duplicates/merge', (req, res) => {
+    const keepId = parseInt(req.body.keepId, 10);
+    const ids = Array.isArray(req.body.ids) ? req.body.ids.map(id => parseInt(id, 10)).filter(id => id && id !== keepId) : [];
+    if (!keepId || ids.length === 0) {
+        return res.status(400).json({ message: 'Provide keepId and the ids of the images to merge into it.' });
+    }
+    db.all(`SELECT * FROM images WHERE id IN (${[keepId, ...ids].map(() => '?').join(',')}) AND deleted_at IS NULL`, [keepId, ...ids], (err, rows) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ message: 'Database error.' });
+        }
+        const keep = rows.find(row => row.id === keepId);
+        const others = rows.filter(row => row.id !== keepId);
+        if (!keep || others.length === 0) return res.status(404).json({ message: 'Images not found.' });
+        mergeImages(keep, others, `Merged ${others.length} duplicate(s) into "${keep.title}"`, (err, operation) => {
+            if (err) {
+                console.error(err);
+                return res.status(500).json({ message: 'Error merging images.' });
+            }
+            res.json({ message: `${others.length} duplicate(s) merged into "${keep.title}" and moved to the trash.`, operation });
+        });
+    });
+});
+
+// ---------------------
+// DATABASE: Create Tables for Tag Management
+// ---------------------
+db.serialize(() => {
+    // Create the tags table if it doesn't exist
+    db.run(`CREATE TABLE IF NOT EXISTS tags (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT UNIQUE,
+    color TEXT
+  )`);
+
+    // Create the image_tags table to associate images with tags
+    db.run(`CREATE TABLE IF NOT EXISTS image_tags (
+    image_id INTEGER,
+    tag_id INTEGER,
+    PRIMARY KEY (image_id, tag_id),
+    FOREIGN KEY (image_id) REFERENCES images(id),
+    FOREIGN KEY (tag_id) REFERENCES tags(id)
+  )`);
+});
+
+// Tags created before the hierarchy was supported lack the parent column (NULL = top level)
+ensureColumn('tags', 'parent_id', 'INTEGER');
+
+// ---------------------
+// FULL-TEXT SEARCH INDEX
+// ---------------------
+// image_search (SQLite FTS5) holds each image's title, description, tag names and custom fields,
+// keyed by image id (rowid). Triggers keep it in sync on upload, edit, tag add/remove, tag rename and delete.
+const SEARCH_COLUMNS = ['title', 'description', 'tags', 'fields'];
+const SEARCH_WEIGHTS = [10, 4, 6, 2]; // bm25 weight per column: title matches rank highest
+
+// Helper: statements re-indexing the images matching a condition on `images` (e.g. 'images.id = NEW.id')
+function searchReindexSql(condition) {
+    return `DELETE FROM image_search WHERE rowid IN (SELECT images.id FROM images WHERE ${condition});
+        INSERT INTO image_search (rowid, title, description, tags, fields)
+        SELECT images.id, COALESCE(images.title, ''), COALESCE(images.description, ''),
+          COALESCE((SELECT group_concat(tags.name, ' ') FROM image_tags JOIN tags ON tags.id = image_tags.tag_id
+            WHERE image_tags.image_id = images.id), ''),
+          COALESCE((SELECT group_concat(image_fields.key || ' ' || image_fields.value, ' ') FROM image_fields
+            WHERE image_fields.image_id = images.id), '')
+        FROM images WHERE ${condition};`;
+}
+
+function initSearchIndex() {
+    const triggers = {
+        image_search_images_insert: `AFTER INSERT ON images BEGIN ${searchReindexSql('images.id = NEW.id')} END`,
+        image_search_images_update: `AFTER UPDATE OF title, description ON images BEGIN ${searchReindexSql('images.id = NEW.id')} END`,
+        image_search_images_delete: 'AFTER DELETE ON images BEGIN DELETE FROM image_search WHERE rowid = OLD.id; END',
+        image_search_tags_insert: `AFTER INSERT ON image_tags BEGIN ${searchReindexSql('images.id = NEW.image_id')} END`,
+        image_search_tags_delete: `AFTER DELETE ON image_tags BEGIN ${searchReindexSql('images.id = OLD.image_id')} END`,
+        image_search_tag_rename: `AFTER UPDATE OF name ON tags BEGIN
+          ${searchReindexSql('images.id IN (SELECT image_id FROM image_tags WHERE tag_id = NEW.id)')} END`,
+        image_search_fields_insert: `AFTER INSERT ON image_fields BEGIN ${searchReindexSql('images.id = NEW.image_id')} END`,
+        image_search_fields_update: `AFTER UPDATE ON image_fields BEGIN ${searchReindexSql('images.id = NEW.image_id')} END`,
+        image_search_fields_delete: `AFTER DELETE ON image_fields BEGIN ${searchReindexSql('images.id = OLD.image_id')} END`
+    };
+    db.serialize(() => {
+        // Prefix indexes make "drag*" style prefix matching fast
+        db.run(`CREATE VIRTUAL TABLE IF NOT EXISTS image_search USING fts5(
+      ${SEARCH_COLUMNS.join(', ')}, prefix = '2 3', tokenize = 'unicode61 remove_diacritics 2'
+    )`, (err) => {
+            if (err) console.error('Error creating the search index:', err);
+        });
+        Object.entries(triggers).forEach(([name, body]) => {
+            db.run(`CREATE TRIGGER IF NOT EXISTS ${name} ${body}`, (err) => {
+                if (err) console.error(`Error creating trigger ${name}:`, err);
+            });
+        });
+        // Rebuild at startup, so changes made by older versions (without the triggers) are picked up
+        db.exec(`DELETE FROM image_search; ${searchReindexSql('1 = 1')}`, (err) => {
+            if (err) console.error('Error building the search index:', err);
+            else console.log('Search index ready.');
+        });
+    });
+}
+
+// Helper: turn search box text into an FTS5 query: every word must match, as a prefix
+// ('drag cav' finds "Dragon cave"). Returns null when there is nothing to search for.
+function toSearchMatchQuery(text) {
+    const terms = String(text || '').match(/[\p{L}\p{N}]+/gu) || [];
+    if (terms.length === 0) return null;
+    return terms.map(term => `"${term}"*`).join(' ');
+}
+
+// Helper: escape text for HTML and turn the snippet markers (\u0001, \u0002) into <mark> tags
+function snippetToHtml(snippet) {
+    return snippet
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+        .replace(/\u0001/g, '<mark>').replace(/\u0002/g, '</mark>');
+}
+
+// Helper: highlighted snippets for the columns that matched, per image id:
+// { [imageId]: { title?, description?, tags?, fields? } } (HTML, matches wrapped in <mark>)
+function loadSearchSnippets(matchQuery, imageIds, callback) {
+    if (!matchQuery || imageIds.length === 0) return callback(null, {});
+    const snippetColumns = SEARCH_COLUMNS.map((column, index) =>
+        `snippet(image_search, ${index}, char(1), char(2), '…', 12) AS ${column}`).join(', ');
+    db.all(`SELECT rowid AS id, ${snippetColumns} FROM image_search
+      WHERE image_search MATCH ? AND rowid IN (${imageIds.map(() => '?').join(',')})`, [matchQuery, ...imageIds], (err, rows) => {
+        if (err) return callback(err);
+        const snippets = {};
+        rows.forEach(row => {
+            const matches = {};
+            SEARCH_COLUMNS.forEach(column => {
+                // snippet() returns the start of the column even without a hit; only keep real matches
+                if (row[column] && row[column].includes('\u0001')) matches[column] = snippetToHtml(row[column]);
+            });
+            snippets[row.id] = matches;
+        });
+        callback(null, snippets);
+    });
+}
+
+// Helper: check whether a tag can be placed under a parent. Calls back with an error message
+// (unknown parent, or the parent is the tag itself or one of its descendants) or null if it can.
+function validateTagParent(tagId, parentId, callback) {
+    if (parentId === null) return callback(null, null);
+    db.get('SELECT id FROM tags WHERE id = ?', [parentId], (err, parent) => {
+        if (err) return callback(err);
+        if (!parent) return callback(null, 'Parent tag not found.');
+        if (tagId === null) return callback(null, null);
+        db.get(`WITH RECURSIVE subtree(id) AS (
+        SELECT ? UNION SELECT tags.id FROM tags JOIN subtree ON tags.parent_id = subtree.id
+      ) SELECT 1 AS found FROM subtree WHERE id = ?`, [tagId, parentId], (err, row) => {
+            if (err) return callback(err);
+            callback(null, row ? 'A tag cannot be nested under itself or one of its own children.' : null);
+        });
+    });
+}
+
+// Helper: read an optional parentId from a request body (undefined = not given, null = top level)
+function parseParentId(value) {
+    if (value === undefined) return undefined;
+    if (value === null || value === '') return null;
+    const parentId = parseInt(value, 10);
+    return isNaN(parentId) ? NaN : parentId;
+}
+
+// ---------------------
+// GET ALL TAGS
+// ---------------------
+app.get('/api/tags', (req, res) => {
+    db.all('SELECT * FROM tags', (err, rows) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ message: 'Error fetching tags.' });
+        }
+        res.json(rows);
+    });
+});
+
+// ---------------------
+// CREATE A NEW TAG
+// ---------------------
+// Expects JSON: { name, color?, parentId? } - parentId nests the new tag under an existing tag.
+app.post('/api/tags', (req, res) => {
+    const { name, color } = req.body;
+    if (!name) {
+        return res.status(400).json({ message: 'Tag name is required.' });
+    }
+    const parentId = parseParentId(req.body.parentId) ?? null;
+    if (Number.isNaN(parentId)) {
+        return res.status(400).json({ message: 'parentId must be a tag id or null.' });
+    }
+    validateTagParent(null, parentId, (err, problem) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ message: 'Error creating tag.' });
+        }
+        if (problem) return res.status(400).json({ message: problem });
+        // Tag names are unique regardless of case ("Demons" and "demons" are the same tag)
+        db.get('SELECT id, name FROM tags WHERE LOWER(name) = LOWER(?)', [name], (err, existing) => {
+            if (err) {
+                console.error(err);
+                return res.status(500).json({ message: 'Error creating tag.' });
+            }
+            if (existing) {
+                return res.status(409).json({ message: `A tag named "${existing.name}" already exists.`, conflictId: existing.id });
+            }
+            const tagColor = color || '#FF4081';
+            db.run('INSERT INTO tags (name, color, parent_id) VALUES (?, ?, ?)', [name, tagColor, parentId], function(err) {
+                if (err) {
+                    console.error(err);
+                    return res.status(500).json({ message: 'Error creating tag.' });
+                }
+                res.json({ message: `Tag "${name}" created successfully.`, id: this.lastID, name, color: tagColor, parent_id: parentId });
+            });
+        });
+    });
+});
+
+// ---------------------
+// MOVE A TAG IN THE HIERARCHY
+// ---------------------
+// Expects JSON: { parentId } - the new parent tag, or null to make it a top-level tag.
+app.put('/api/tags/:id/parent', (req, res) => {
+    const tagId = parseInt(req.params.id, 10);
+    const parentId = parseParentId(req.body.parentId);
+    if (parentId === undefined || Number.isNaN(parentId)) {
+        return res.status(400).json({ message: 'parentId must be a tag id or null.' });
+    }
+    db.get('SELECT id, name, parent_id FROM tags WHERE id = ?', [tagId], (err, tag) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ message: 'Error moving tag.' });
+        }
+        if (!tag) return res.status(404).json({ message: 'Tag not found.' });
+        validateTagParent(tagId, parentId, (err, problem) => {
+            if (err) {
+                console.error(err);
+                return res.status(500).json({ message: 'Error moving tag.' });
+            }
+            if (problem) return res.status(400).json({ message: problem });
+            recordOperation({
+                description: `Moved tag "${tag.name}"`,
+                statements: [{ sql: 'UPDATE tags SET parent_id = ? WHERE id = ?', params: [parentId, tagId] }],
+                undo: [{ sql: 'UPDATE tags SET parent_id = ? WHERE id = ?', params: [tag.parent_id, tagId] }]
+            }, (err, operation) => {
+                if (err) {
+                    console.error(err);
+                    return res.status(500).json({ message: 'Error moving tag.' });
+                }
+                res.json({ message: `Tag "${tag.name}" moved.`, id: tagId, parent_id: parentId, operation });
+            });
+        });
+    });
+});
+
+// Tags that are part of how the app works and can't be renamed or merged away
+const PROTECTED_TAG_NAMES = [HIDDEN_TAG_NAME.toLowerCase(), 'all'];
+
+// ---------------------
+// RENAME A TAG
+// ---------------------
+// Expects JSON: { name, color? }. Names are unique regardless of case, so renaming "demon" to "Demons"
+// fails with 409 if a "demons" tag exists (merge them instead); changing only the case of a tag's own name is fine.
+app.put('/api/tags/:id', (req, res) => {
+    const tagId = parseInt(req.params.id, 10);
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    const { color } = req.body;
+    if (!name) {
+        return res.status(400).json({ message: 'Tag name is required.' });
+    }
+    if (color !== undefined && typeof color !== 'string') {
+        return res.status(400).json({ message: 'color must be a string.' });
+    }
+    db.get('SELECT id, name, color FROM tags WHERE id = ?', [tagId], (err, tag) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ message: 'Error updating tag.' });
+        }
+        if (!tag) return res.status(404).json({ message: 'Tag not found.' });
+        if (PROTECTED_TAG_NAMES.includes(tag.name.toLowerCase()) && tag.name !== name) {
+            return res.status(400).json({ message: `The "${tag.name}" tag cannot be renamed.` });
+        }
+        if (PROTECTED_TAG_NAMES.includes(name.toLowerCase()) && tag.name.toLowerCase() !== name.toLowerCase()) {
+            return res.status(400).json({ message: `"${name}" is a reserved tag name.` });
+        }
+        db.get('SELECT id, name FROM tags WHERE LOWER(name) = LOWER(?) AND id != ?', [name, tagId], (err, conflict) => {
+            if (err) {
+                console.error(err);
+                return res.status(500).json({ message: 'Error updating tag.' });
+            }
+            if (conflict) {
+                return res.status(409).json({
+                    message: `A tag named "${conflict.name}" already exists. Merge the tags instead.`,
+                    conflictId: conflict.id
+                });
+            }
+            const newColor = color || tag.color;
+            recordOperation({
+                description: tag.name === name ? `Changed tag "${name}"` : `Renamed tag "${tag.name}" to "${name}"`,
+                statements: [{ sql: 'UPDATE tags SET name = ?, color = ? WHERE id = ?', params: [name, newColor, tagId] }],
+                undo: [{ sql: 'UPDATE tags SET name = ?, color = ? WHERE id = ?', params: [tag.name, tag.color, tagId] }]
+            }, (err, operation) => {
+                if (err) {
+                    console.error(err);
+                    return res.status(500).json({ message: 'Error updating tag.' });
+                }
+                res.json({ message: `Tag "${tag.name}" renamed to "${name}".`, id: tagId, name, color: newColor, operation });
+            });
+        });
+    });
+});
+
+// Helper: where the merge target ends up in the hierarchy. It keeps its parent unless that parent is one of
+// the merged tags (or nested under one), in which case it moves up to the nearest ancestor that survives.
+function getMergedTargetParent(tags, sourceIds, targetId) {
+    const parentOf = new Map(tags.map(tag => [tag.id, tag.parent_id]));
+    const isInSourceSubtree = (tagId) => {
+        const seen = new Set();
+        for (let current = tagId; current !== null && current !== undefined && !seen.has(current); current = parentOf.get(current)) {
+            if (sourceIds.includes(current)) return true;
+            seen.add(current);
+        }
+        return false;
+    };
+    let parentId = parentOf.get(targetId) ?? null;
+    const seen = new Set();
+    while (parentId !== null && isInSourceSubtree(parentId) && !seen.has(parentId)) {
+        seen.add(parentId);
+        parentId = parentOf.get(parentId) ?? null;
+    }
+    return parentId;
+}
+
+// ---------------------
+// MERGE TAGS
+// ---------------------
+// Expects JSON: { sourceIds: [id, ...], targetId }. Moves every image from the source tags to the target
+// (images that already have the target keep a single association), moves the sources' child tags under the
+// target and deletes the sources - all in one transaction.
+app.post('/api/tags/merge', (req, res) => {
+    const targetId = parseInt(req.body.targetId, 10);
+    const sourceIds = (Array.isArray(req.body.sourceIds) ? req.body.sourceIds : [])
+        .map(id => parseInt(id, 10))
+        .filter(id => !isNaN(id) && id !== targetId);
+    if (isNaN(targetId) || sourceIds.length === 0) {
+        return res.status(400).json({ message: 'targetId and at least one other tag in sourceIds are required.' });
+    }
+
+    db.all('SELECT * FROM tags', (err, tags) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ message: 'Error merging tags.' });
+        }
+        const target = tags.find(tag => tag.id === targetId);
+        const sources = tags.filter(tag => sourceIds.includes(tag.id));
+        if (!target) return res.status(404).json({ message: 'Target tag not found.' });
+        if (sources.length !== new Set(sourceIds).size) {
+            return res.status(404).json({ message: 'One or more source tags were not found.' });
+        }
+        const protectedSource = sources.find(tag => PROTECTED_TAG_NAMES.includes(tag.name.toLowerCase()));
+        if (protectedSource) {
+            return res.status(400).json({ message: `The "${protectedSource.name}" tag cannot be merged into another tag.` });
+        }
+
+        const placeholders = sourceIds.map(() => '?').join(',');
+        db.all(`SELECT * FROM image_tags WHERE tag_id IN (${placeholders}, ?)`, [...sourceIds, targetId], (err, associations) => {
+            if (err) {
+                console.error(err);
+                return res.status(500).json({ message: 'Error merging tags.' });
+            }
+            const sourceAssociations = associations.filter(row => row.tag_id !== targetId);
+            const targetImageIds = new Set(associations.filter(row => row.tag_id === targetId).map(row => row.image_id));
+            const imageCount = new Set(sourceAssociations.map(row => row.image_id)).size;
+            // Undo takes the target off the images that only got it from the merge
+            const addedImageIds = [...new Set(sourceAssociations.map(row => row.image_id))].filter(id => !targetImageIds.has(id));
+            const movedChildren = tags.filter(tag => sourceIds.includes(tag.parent_id) && tag.id !== targetId);
+
+            const names = sources.map(tag => `"${tag.name}"`).join(', ');
+            recordOperation({
+                description: `Merged ${names} into "${target.name}"`,
+                statements: [
+                    { sql: `INSERT OR IGNORE INTO image_tags (image_id, tag_id)
+          SELECT image_id, ? FROM image_tags WHERE tag_id IN (${placeholders})`, params: [targetId, ...sourceIds] },
+                    { sql: `DELETE FROM image_tags WHERE tag_id IN (${placeholders})`, params: sourceIds },
+                    { sql: 'UPDATE tags SET parent_id = ? WHERE id = ?', params: [getMergedTargetParent(tags, sourceIds, targetId), targetId] },
+                    { sql: `UPDATE tags SET parent_id = ? WHERE parent_id IN (${placeholders}) AND id != ?`, params: [targetId, ...sourceIds, targetId] },
+                    { sql: `DELETE FROM tags WHERE id IN (${placeholders})`, params: sourceIds }
+                ],
+                undo: [
+                    { sql: `DELETE FROM image_tags WHERE tag_id = ? AND image_id IN (${addedImageIds.map(() => '?').join(',')})`, params: [targetId, ...addedImageIds] },
+                    ...insertRowsSql('tags', sources),
+                    ...insertRowsSql('image_tags', sourceAssociations, 'OR IGNORE'),
+                    ...[target, ...movedChildren].map(tag => ({ sql: 'UPDATE tags SET parent_id = ? WHERE id = ?', params: [tag.parent_id, tag.id] }))
+                ]
+            }, (err, operation) => {
+                if (err) {
+                    console.error(err);
+                    return res.status(500).json({ message: 'Error merging tags.' });
+                }
+                res.json({
+                    message: `Merged ${names} into "${target.name}" (${imageCount} image(s)).`,
+                    targetId: targetId,
+                    mergedIds: sourceIds,
+                    imageCount,
+                    operation
+                });
+            });
+        });
+    });
+});
+
+// ---------------------
+// DELETE A TAG (and remove its associations)
+// ---------------------
+// Child tags move up to the deleted tag's parent.
+app.delete('/api/tags/:id', (req, res) => {
+    const tagId = parseInt(req.params.id, 10);
+    db.get('SELECT * FROM tags WHERE id = ?', [tagId], (err, tag) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ message: 'Error deleting tag.' });
+        }
+        if (!tag) return res.status(404).json({ message: 'Tag not found.' });
+        db.all('SELECT * FROM image_tags WHERE tag_id = ?', [tagId], (err, associations) => {
+            if (err) {
+                console.error(err);
+                return res.status(500).json({ message: 'Error removing tag associations.' });
+            }
+            db.all('SELECT id FROM tags WHERE parent_id = ?', [tagId], (err, children) => {
+                if (err) {
+                    console.error(err);
+                    return res.status(500).json({ message: 'Error deleting tag.' });
+                }
+                const childIds = children.map(child => child.id);
+                recordOperation({
+                    description: `Deleted tag "${tag.name}"`,
+                    statements: [
+                        { sql: 'DELETE FROM image_tags WHERE tag_id = ?', params: [tagId] },
+                        { sql: 'UPDATE tags SET parent_id = ? WHERE parent_id = ?', params: [tag.parent_id, tagId] },
+                        { sql: 'DELETE FROM tags WHERE id = ?', params: [tagId] }
+                    ],
+                    undo: [
+                        ...insertRowsSql('tags', [tag]),
+                        ...insertRowsSql('image_tags', associations, 'OR IGNORE'),
+                        { sql: `UPDATE tags SET parent_id = ? WHERE id IN (${childIds.map(() => '?').join(',')})`, params: [tagId, ...childIds] }
+                    ]
+                }, (err, operation) => {
+                    if (err) {
+                        console.error(err);
+                        return res.status(500).json({ message: 'Error deleting tag.' });
+                    }
+                    res.json({ message: 'Tag deleted successfully.', operation });
+                });
+            });
+        });
+    });
+});
+
+// ---------------------
+// BULK ADD A TAG TO MULTIPLE ENTRIES
+// ---------------------
+app.post('/api/entries/tags', (req, res) => {
+    const { ids, tag } = req.body;
+    if (!ids || !Array.isArray(ids) || ids.length === 0 || !tag) {
+        return res.status(400).json({ message: 'Invalid request.' });
+    }
+    // Find the tag id from its name (names are unique regardless of case)
+    db.get('SELECT id FROM tags WHERE LOWER(name) = LOWER(?)', [tag], (err, row) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ message: 'Error looking up tag.' });
+        }
+        if (!row) {
+            return res.status(404).json({ message: `Tag "${tag}" not found.` });
+        }
+        const tagId = row.id;
+        // Only images that don't have the tag yet change (and lose it again on undo)
+        const placeholders = ids.map(() => '?').join(',');
+        db.all(`SELECT id FROM images WHERE id IN (${placeholders}) AND deleted_at IS NULL
+      AND id NOT IN (SELECT image_id FROM image_tags WHERE tag_id = ?)`, [...ids, tagId], (err, rows) => {
+            if (err) {
+                console.error(err);
+                return res.status(500).json({ message: 'Error adding tag to entries.' });
+            }
+            const imageIds = rows.map(image => image.id);
+            const imagePlaceholders = imageIds.map(() => '?').join(',');
+            recordOperation({
+                description: `Added tag "${tag}" to ${imageIds.length} image(s)`,
+                statements: imageIds.map(imageId => ({ sql: 'INSERT OR IGNORE INTO image_tags (image_id, tag_id) VALUES (?, ?)', params: [imageId, tagId] })),
+                undo: [{ sql: `DELETE FROM image_tags WHERE tag_id = ? AND image_id IN (${imagePlaceholders})`, params: [tagId, ...imageIds] }]
+            }, (err, operation) => {
+                if (err) {
+                    console.error(err);
+                    return res.status(500).json({ message: 'Error adding tag to entries.' });
+                }
+                res.json({ message: `Tag "${tag}" added to selected entries.`, operation });
+            });
+        });
+    });
+});
+
+// ---------------------
+// BULK REMOVE A TAG FROM MULTIPLE ENTRIES
+// ---------------------
+app.delete('/api/entries/tags', (req, res) => {
+    const { ids, tag } = req.body;
+    if (!ids || !Array.isArray(ids) || ids.length === 0 || !tag) {
+        return res.status(400).json({ message: 'Invalid request.' });
+    }
+    db.get('SELECT id FROM tags WHERE LOWER(name) = LOWER(?)', [tag], (err, row) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ message: 'Error looking up tag.' });
+        }
+        if (!row) {
+            return res.status(404).json({ message: `Tag "${tag}" not found.` });
+        }
+        const tagId = row.id;
+        const placeholders = ids.map(() => '?').join(',');
+        db.all(`SELECT * FROM image_tags WHERE tag_id = ? AND image_id IN (${placeholders})`, [tagId, ...ids], (err, associations) => {
+            if (err) {
+                console.error(err);
+                return res.status(500).json({ message: 'Error removing tag from entries.' });
+            }
+            recordOperation({
+                description: `Removed tag "${tag}" from ${associations.length} image(s)`,
+                statements: associations.length > 0
+                    ? [{ sql: `DELETE FROM image_tags WHERE tag_id = ? AND image_id IN (${placeholders})`, params: [tagId, ...ids] }]
+                    : [],
+                undo: insertRowsSql('image_tags', associations, 'OR IGNORE')
+            }, (err, operation) => {
+                if (err) {
+                    console.error(err);
+                    return res.status(500).json({ message: 'Error removing tag from entries.' });
+                }
+                res.json({ message: `Tag "${tag}" removed from selected entries.`, operation });
+            });
+        });
+    });
+});
+
+// ---------------------
+// DATABASE: Create Tables for Playlists
+// ---------------------
+db.serialize(() => {
+    // Create the playlists table if it doesn't exist
+    db.run(`CREATE TABLE IF NOT EXISTS playlists (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT UNIQUE,
+    color TEXT,
+    is_hidden INTEGER DEFAULT 0,
+    dateCreated TEXT
+  )`);
+
+    // Create the playlist_images table to associate playlists with images
+    db.run(`CREATE TABLE IF NOT EXISTS playlist_images (
+    playlist_id INTEGER,
+    image_id INTEGER,
+    position INTEGER DEFAULT 0,
+    PRIMARY KEY (playlist_id, image_id),
+    FOREIGN KEY (playlist_id) REFERENCES playlists(id),
+    FOREIGN KEY (image_id) REFERENCES images(id)
+  )`);
+});
+
+// Playlists created before items were ordered lack the position column
+ensureColumn('playlist_images', 'position', 'INTEGER DEFAULT 0');
+// Smart playlists store their rules as JSON; static playlists leave this NULL
+ensureColumn('playlists', 'rules', 'TEXT');
+// Transition override for the playlist's slides as JSON { type?, duration?, easing? }; NULL uses the channel's
+ensureColumn('playlists', 'transition', 'TEXT');
+
+// Helper: validate smart playlist rules { tagQuery, search, addedFrom, addedTo } (dates as YYYY-MM-DD, inclusive).
+// Returns { rules } with the cleaned-up rules, or { error } with a message for the client.
+function normalizePlaylistRules(rules) {
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+        return { error: 'Smart playlist rules must be an object.' };
+    }
+    const cleaned = {
+        tagQuery: typeof rules.tagQuery === 'string' ? rules.tagQuery.trim() : '',
+        search: typeof rules.search === 'string' ? rules.search.trim() : '',
+        addedFrom: rules.addedFrom || null,
+        addedTo: rules.addedTo || null
+    };
+    if (cleaned.tagQuery) {
+        try {
+            parseTagQuery(cleaned.tagQuery);
+        } catch (err) {
+            if (err instanceof TagQueryError) return { error: `Tag rule: ${err.message}` };
+            throw err;
+        }
+    }
+    for (const key of ['addedFrom', 'addedTo']) {
+        if (cleaned[key] !== null && (!/^\d{4}-\d{2}-\d{2}$/.test(cleaned[key]) || isNaN(parseLocalDate(cleaned[key])))) {
+            return { error: `${key} must be a date (YYYY-MM-DD).` };
+        }
+    }
+    if (cleaned.addedFrom && cleaned.addedTo && cleaned.addedFrom > cleaned.addedTo) {
+        return { error: 'The "added from" date is after the "added to" date.' };
+    }
+    if (!cleaned.tagQuery && !cleaned.search && !cleaned.addedFrom && !cleaned.addedTo) {
+        return { error: 'A smart playlist needs at least one rule.' };
+    }
+    return { rules: cleaned };
+}
+
+// Helper: midnight (server time) of a YYYY-MM-DD date, in ms
+function parseLocalDate(value) {
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day).getTime();
+}
+
+// Helper: buildImageFilter options for smart playlist rules (resolved at play time, so new images join automatically)
+function smartPlaylistFilterOptions(rules) {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    return {
+        tagQuery: rules.tagQuery ? parseTagQuery(rules.tagQuery) : undefined,
+        search: rules.search || undefined,
+        addedFrom: rules.addedFrom ? parseLocalDate(rules.addedFrom) : undefined,
+        addedTo: rules.addedTo ? parseLocalDate(rules.addedTo) + DAY_MS : undefined
+    };
+}
+
+// Helper: ids of the images currently matching smart playlist rules, by title (Hidden images excluded)
+function resolveSmartPlaylistIds(rules, callback) {
+    let filter;
+    try {
+        filter = buildImageFilter(smartPlaylistFilterOptions(rules));
+    } catch (err) {
+        return callback(err);
+    }
+    db.all(`SELECT images.id FROM images WHERE ${filter.where} ORDER BY images.title COLLATE NOCASE, images.id`, filter.params, (err, rows) => {
+        if (err) return callback(err);
+        callback(null, rows.map(row => row.id));
+    });
+}
+
+// Helper: stored rules JSON -> object (null for static playlists or unreadable rules)
+function parseStoredRules(value) {
+    if (!value) return null;
+    try {
+        return JSON.parse(value);
+    } catch (err) {
+        console.error('Invalid smart playlist rules:', value);
+        return null;
+    }
+}
+
+// Helper: the rules of a smart playlist (null for static playlists, unknown ids or no id)
+function getPlaylistRules(playlistId, callback) {
+    if (!playlistId) return callback(null, null);
+    db.get('SELECT rules FROM playlists WHERE id = ?', [playlistId], (err, row) => {
+        if (err) return callback(err);
+        callback(null, row ? parseStoredRules(row.rules) : null);
+    });
+}
+
+// Helper: load playlists (all, or a single one by id) together with their image ids.
+// imageIds are returned in playlist order (by position); smart playlists list the images their rules match right now.
+// Calls back with an array of { id, name, color, hidden, smart, rules, transition, imageIds }.
+function loadPlaylists(playlistId, callback) {
+    const where = playlistId ? 'WHERE id = ?' : '';
+    const params = playlistId ? [playlistId] : [];
+    db.all(`SELECT * FROM playlists ${where} ORDER BY name COLLATE NOCASE`, params, (err, rows) => {
+        if (err) return callback(err);
+        if (rows.length === 0) return callback(null, []);
+        const ids = rows.map(row => row.id);
+        // Join on images so rows left behind by deleted images (or kept for trashed ones) are not reported
+        db.all(`SELECT playlist_images.playlist_id, playlist_images.image_id
+      FROM playlist_images
+      JOIN images ON images.id = playlist_images.image_id AND images.deleted_at IS NULL
+      WHERE playlist_images.playlist_id IN (${ids.map(() => '?').join(',')})
+      ORDER BY playlist_images.position, playlist_images.rowid`, ids, (err, links) => {
+            if (err) return callback(err);
+            const playlists = rows.map(row => ({
+                id: row.id,
+                name: row.name,
+                color: row.color,
+                hidden: !!row.is_hidden,
+                dateCreated: row.dateCreated,
+                smart: !!parseStoredRules(row.rules),
+                rules: parseStoredRules(row.rules),
+                transition: parseStoredTransition(row.transition),
+                imageIds: links.filter(link => link.playlist_id === row.id).map(link => link.image_id)
+            }));
+            // Resolve smart playlists one after another
+            const smartPlaylists = playlists.filter(playlist => playlist.smart);
+            const resolveNext = (index) => {
+                if (index >= smartPlaylists.length) return callback(null, playlists);
+                const playlist = smartPlaylists[index];
+                resolveSmartPlaylistIds(playlist.rules, (err, imageIds) => {
+                    if (err) return callback(err);
+                    playlist.imageIds = imageIds;
+                    resolveNext(index + 1);
+                });
+            };
+            resolveNext(0);
+        });
+    });
+}
+
+// ---------------------
+// GET ALL PLAYLISTS
+// ---------------------
+app.get('/api/playlists', (req, res) => {
+    loadPlaylists(null, (err, playlists) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ message: 'Error fetching playlists.' });
+        }
+        res.json(playlists);
+    });
+});
+
+// ---------------------
+// GET A SINGLE PLAYLIST
+// ---------------------
+app.get('/api/playlists/:id', (req, res) => {
+    loadPlaylists(req.params.id, (err, playlists) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ message: 'Error fetching playlist.' });
+        }
+        if (playlists.length === 0) return res.status(404).json({ message: 'Playlist not found.' });
+        res.json(playlists[0]);
+    });
+});
+
+// ---------------------
+// PREVIEW SMART PLAYLIST RULES
+// ---------------------
+// Expects JSON: { rules } - returns how many images the rules match right now ({ count }),
+// or a 400 explaining what is wrong with them.
+app.post('/api/playlists/preview', (req, res) => {
+    const { rules, error } = normalizePlaylistRules(req.body.rules);
+    if (error) return res.status(400).json({ message: error });
+    resolveSmartPlaylistIds(rules, (err, imageIds) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ message: 'Error evaluating smart playlist rules.' });
+        }
+        res.json({ count: imageIds.length });
+    });
+});
+
+// ---------------------
+// CREATE A NEW PLAYLIST
+// ---------------------
+// Expects JSON: { name, color, is_hidden, rules?, transition? } - rules make it a smart playlist (see normalizePlaylistRules);
+// transition overrides the channel's transition while it plays (see server/transitions.js)
+app.post('/api/playlists', (req, res) => {
+    const { name, color, is_hidden } = req.body;
+    if (!name || !name.trim()) {
+        return res.status(400).json({ message: 'Playlist name is required.' });
+    }
+    let rulesJson = null;
+    if (req.body.rules !== undefined && req.body.rules !== null) {
+        const { rules, error } = normalizePlaylistRules(req.body.rules);
+        if (error) return res.status(400).json({ message: error });
+        rulesJson = JSON.stringify(rules);
+    }
+    let transitionJson = null;
+    if (req.body.transition !== undefined && req.body.transition !== null) {
+        const { transition, error } = normalizeTransition(req.body.transition);
+        if (error) return res.status(400).json({ message: error });
+        transitionJson = transition ? JSON.stringify(transition) : null;
+    }
+    db.run('INSERT INTO playlists (name, color, is_hidden, dateCreated, rules, transition) VALUES (?, ?, ?, ?, ?, ?)', [name.trim(), color || '#FF4081', is_hidden ? 1 : 0, Date.now(), rulesJson, transitionJson], function(err) {
+        if (err) {
+            console.error(err);
+            if (err.code === 'SQLITE_CONSTRAINT') {
+                return res.status(409).json({ message: `Playlist "${name}" already exists.` });
+            }
+            return res.status(500).json({ message: 'Error creating playlist.' });
+        }
+        loadPlaylists(this.lastID, (err, playlists) => {
+            if (err) {
+                console.error(err);
+                return res.status(500).json({ message: 'Error fetching playlist.' });
+            }
+            res.json(playlists[0]);
+        });
+    });
+});
+
+// ---------------------
+// UPDATE A PLAYLIST (name, color, hidden flag, smart rules and/or transition)
+// ---------------------
+// rules: an object updates the smart playlist rules, null turns it back into a static playlist.
+// transition: { type?, duration?, easing? } overrides the channel's transition while it plays; null removes it.
+app.put('/api/playlists/:id', (req, res) => {
+    const playlistId = req.params.id;
+    const { name, color, is_hidden } = req.body;
+    const sets = [];
+    const params = [];
+    if (name !== undefined) {
+        if (!name || !name.trim()) {
+            return res.status(400).json({ message: 'Playlist name cannot be empty.' });
+        }
+        sets.push('name = ?');
+        params.push(name.trim());
+    }
+    if (color !== undefined) {
+        sets.push('color = ?');
+        params.push(color);
+    }
+    if (is_hidden !== undefined) {
+        sets.push('is_hidden = ?');
+        params.push(is_hidden ? 1 : 0);
+    }
+    if (req.body.rules !== undefined) {
+        let rulesJson = null;
+        if (req.body.rules !== null) {
+            const { rules, error } = normalizePlaylistRules(req.body.rules);
+            if (error) return res.status(400).json({ message: error });
+            rulesJson = JSON.stringify(rules);
+        }
+        sets.push('rules = ?');
+        params.push(rulesJson);
+    }
+    if (req.body.transition !== undefined) {
+        let transitionJson = null;
+        if (req.body.transition !== null) {
+            const { transition, error } = normalizeTransition(req.body.transition);
+            if (error) return res.status(400).json({ message: error });
+            transitionJson = transition ? JSON.stringify(transition) : null;
+        }
+        sets.push('transition = ?');
+        params.push(transitionJson);
+    }
+    if (sets.length === 0) {
+        return res.status(400).json({ message: 'Nothing to update.' });
+    }
+    db.get('SELECT * FROM playlists WHERE id = ?', [playlistId], (err, playlist) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ message: 'Error updating playlist.' });
+        }
+        if (!playlist) return res.status(404).json({ message: 'Playlist not found.' });
+        recordOperation({
+            description: name !== undefined && name.trim() !== playlist.name
+                ? `Renamed playlist "${playlist.name}" to "${name.trim()}"`
+                : `Edited playlist "${playlist.name}"`,
+            statements: [{ sql: `UPDATE playlists SET ${sets.join(', ')} WHERE id = ?`, params: [...params, playlistId] }],
+            undo: [{
+                sql: 'UPDATE playlists SET name = ?, color = ?, is_hidden = ?, rules = ?, transition = ? WHERE id = ?',
+                params: [playlist.name, playlist.color, playlist.is_hidden, playlist.rules, playlist.transition, playlistId]
+            }]
+        }, (err, operation) => {
+            if (err) {
+                console.error(err);
+                if (err.code === 'SQLITE_CONSTRAINT') {
+                    return res.status(409).json({ message: `Playlist "${name}" already exists.` });
+                }
+                return res.status(500).json({ message: 'Error updating playlist.' });
+            }
+            loadPlaylists(playlistId, (err, playlists) => {
+                if (err) {
+                    console.error(err);
+                    return res.status(500).json({ message: 'Error fetching playlist.' });
+                }
+                res.json({ ...playlists[0], operation });
+            });
+        });
+    });
+});
+
+// ---------------------
+// DELETE A PLAYLIST (and remove its associations)
+// ---------------------
+app.delete('/api/playlists/:id', (req, res) => {
+    const playlistId = req.params.id;
+    db.get('SELECT * FROM playlists WHERE id = ?', [playlistId], (err, playlist) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ message: 'Error deleting playlist.' });
+        }
+        if (!playlist) return res.status(404).json({ message: 'Playlist not found.' });
+        db.all('SELECT * FROM playlist_images WHERE playlist_id = ?', [playlistId], (err, items) => {
+            if (err) {
+                console.error(err);
+                return res.status(500).json({ message: 'Error removing playlist associations.' });
+            }
+            recordOperation({
+                description: `Deleted playlist "${playlist.name}"`,
+                statements: [
+                    { sql: 'DELETE FROM playlist_images WHERE playlist_id = ?', params: [playlistId] },
+                    { sql: 'DELETE FROM playlists WHERE id = ?', params: [playlistId] }
+                ],
+                undo: [...insertRowsSql('playlists', [playlist]), ...insertRowsSql('playlist_images', items, 'OR IGNORE')]
+            }, (err, operation) => {
+                if (err) {
+                    console.error(err);
+                    return res.status(500).json({ message: 'Error deleting playlist.' });
+                }
+                res.json({ message: 'Playlist deleted successfully.', operation });
+            });
+        });
+    });
+});
+
+// ---------------------
+// ADD IMAGES TO A PLAYLIST
+// ---------------------
+// Expects JSON: { imageIds: [1, 2, 3, ...] }
+app.post('/api/playlists/:id/images', (req, res) => {
+    const playlistId = req.params.id;
+    const { imageIds } = req.body;
+    if (!Array.isArray(imageIds) || imageIds.length === 0) {
+        return res.status(400).json({ message: 'No image ids provided.' });
+    }
+    db.get('SELECT id, name, rules FROM playlists WHERE id = ?', [playlistId], (err, row) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ message: 'Error looking up playlist.' });
+        }
+        if (!row) return res.status(404).json({ message: 'Playlist not found.' });
+        if (row.rules) {
+            return res.status(400).json({ message: 'Smart playlists pick their images from their rules; edit the rules instead.' });
+        }
+        db.all('SELECT image_id FROM playlist_images WHERE playlist_id = ?', [playlistId], (err, items) => {
+            if (err) {
+                console.error(err);
+                return res.status(500).json({ message: 'Error adding images to playlist.' });
+            }
+            const existingIds = new Set(items.map(item => item.image_id));
+            const newIds = [...new Set(imageIds.map(Number))].filter(imageId => !existingIds.has(imageId));
+            // New images are appended to the end of the playlist
+            recordOperation({
+                description: `Added ${newIds.length} image(s) to playlist "${row.name}"`,
+                statements: newIds.map(imageId => ({
+                    sql: `INSERT OR IGNORE INTO playlist_images (playlist_id, image_id, position)
+      VALUES (?, ?, (SELECT COALESCE(MAX(position), -1) + 1 FROM playlist_images WHERE playlist_id = ?))`,
+                    params: [playlistId, imageId, playlistId]
+                })),
+                undo: [{
+                    sql: `DELETE FROM playlist_images WHERE playlist_id = ? AND image_id IN (${newIds.map(() => '?').join(',')})`,
+                    params: [playlistId, ...newIds]
+                }]
+            }, (err, operation) => {
+                if (err) {
+                    console.error(err);
+                    return res.status(500).json({ message: 'Error adding images to playlist.' });
+                }
+                res.json({ message: `${imageIds.length} image(s) added to playlist.`, operation });
+            });
+        });
+    });
+});
+
+// ---------------------
+// REORDER THE IMAGES OF A PLAYLIST
+// ---------------------
+// Expects JSON: { imageIds: [3, 1, 2, ...] } in the new order.
+// Playlist images missing from the list keep their relative order after the listed ones.
+app.put('/api/playlists/:id/order', (req, res) => {
+    const playlistId = req.params.id;
+    const { imageIds } = req.body;
+    if (!Array.isArray(imageIds)) {
+        return res.status(400).json({ message: 'imageIds must be an array.' });
+    }
+    db.get('SELECT id, name FROM playlists WHERE id = ?', [playlistId], (err, playlist) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ message: 'Error looking up playlist.' });
+        }
+        if (!playlist) return res.status(404).json({ message: 'Playlist not found.' });
+        db.all('SELECT image_id, position FROM playlist_images WHERE playlist_id = ? ORDER BY position, rowid', [playlistId], (err, rows) => {
+            if (err) {
+                console.error(err);
+                return res.status(500).json({ message: 'Error looking up playlist images.' });
+            }
+            const currentIds = rows.map(row => row.image_id);
+            // An empty playlist has nothing to reorder, so there is no change to journal
+            if (currentIds.length === 0) {
+                return res.json({ message: 'Playlist reordered.', imageIds: [] });
+            }
+            const requestedIds = imageIds.map(Number).filter(id => currentIds.includes(id));
+            const newOrder = [...new Set(requestedIds), ...currentIds.filter(id => !requestedIds.includes(id))];
+            const setPosition = (position, imageId) => ({
+                sql: 'UPDATE playlist_images SET position = ? WHERE playlist_id = ? AND image_id = ?',
+                params: [position, playlistId, imageId]
+            });
+
+            recordOperation({
+                description: `Reordered playlist "${playlist.name}"`,
+                statements: newOrder.map((imageId, index) => setPosition(index, imageId)),
+                undo: rows.map(row => setPosition(row.position, row.image_id))
+            }, (err, operation) => {
+                if (err) {
+                    console.error(err);
+                    return res.status(500).json({ message: 'Error reordering playlist.' });
+                }
+                res.json({ message: 'Playlist reordered.', imageIds: newOrder, operation });
+            });
+        });
+    });
+});
+
+// ---------------------
+// REMOVE AN IMAGE FROM A PLAYLIST
+// ---------------------
+app.delete('/api/playlists/:id/images/:imageId', (req, res) => {
+    const { id, imageId } = req.params;
+    db.get(`SELECT playlist_images.*, playlists.name AS playlistName FROM playlist_images
+      JOIN playlists ON playlists.id = playlist_images.playlist_id
+      WHERE playlist_id = ? AND image_id = ?`, [id, imageId], (err, item) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ message: 'Error removing image from playlist.' });
+        }
+        if (!item) return res.status(404).json({ message: 'Image is not in this playlist.' });
+        const { playlistName, ...row } = item;
+        recordOperation({
+            description: `Removed an image from playlist "${playlistName}"`,
+            statements: [{ sql: 'DELETE FROM playlist_images WHERE playlist_id = ? AND image_id = ?', params: [id, imageId] }],
+            undo: insertRowsSql('playlist_images', [row], 'OR IGNORE')
+        }, (err, operation) => {
+            if (err) {
+                console.error(err);
+                return res.status(500).json({ message: 'Error removing image from playlist.' });
+            }
+            res.json({ message: 'Image removed from playlist.', operation });
+        });
+    });
+});
+
+// ---------------------
+// SLIDESHOW ENGINE
+// ---------------------
+// The server owns the playback queue, order, timer and pause state; displays render what it emits.
+// Each named display channel (e.g. a player-facing TV and a GM preview) has its own engine and settings,
+// and its displays share a socket.io room, so commands for one channel never reach the others.
+const DEFAULT_CHANNEL = 'main';
+const channels = new Map(); // channel name -> slideshow engine
+// Channels something was played on or configured for; their engines stay when nobody watches them.
+// Other engines only exist while a socket is in their room (see releaseChannel).
+const configuredChannels = new Set([DEFAULT_CHANNEL]);
+
+// Helper: channel names are short lowercase slugs so they are safe in URLs and room names
+function normalizeChannelName(value) {
+    const name = String(value ?? '').trim().toLowerCase();
+    return /^[a-z0-9_-]{1,32}$/.test(name) ? name : null;
+}
+
+function channelRoom(name) {
+    return `channel:${name}`;
+}
+
+// Helper: get a channel's engine, creating it (playing every image) the first time it is used
+function getChannel(name = DEFAULT_CHANNEL) {
+    if (channels.has(name)) return channels.get(name);
+    const engine = createSlideshowEngine({
+        channel: name,
+        emit: (event, payload) => io.to(channelRoom(name)).emit(event, payload)
+    });
+    channels.set(name, engine);
+    loadSlideshowImages({}, (err, images) => {
+        if (err) return console.error(`Error loading images for channel "${name}":`, err);
+        if (channels.get(name) !== engine) return; // Released while loading
+        engine.load(images, { type: 'all', details: null, label: 'All images' });
+        console.log(`Slideshow channel "${name}" started with ${images.length} images.`);
+    });
+    return engine;
+}
+
+// Helper: the engine a request targets ({ channel } in the body or query; defaults to the main channel).
+// Sends a 400 and returns null for an invalid name. Requests play or configure something, so the channel is kept.
+function getRequestChannel(req, res) {
+    const requested = req.body?.channel ?? req.query.channel;
+    if (requested === undefined || requested === null || requested === '') {
+        return getChannel(DEFAULT_CHANNEL);
+    }
+    const name = normalizeChannelName(requested);
+    if (!name) {
+        res.status(400).json({ message: 'Invalid channel name. Use up to 32 letters, numbers, "-" or "_".' });
+        return null;
+    }
+    configuredChannels.add(name);
+    return getChannel(name);
+}
+
+// Helper: drop a channel's engine once no socket is in its room, unless it was configured. Every page can
+// name a channel (?channel=...), so engines that were only looked at would otherwise pile up.
+function releaseChannel(name) {
+    if (!channels.has(name) || configuredChannels.has(name)) return;
+    if (io.sockets.adapter.rooms.has(channelRoom(name))) return;
+    channels.get(name).stop();
+    channels.delete(name);
+}
+
+// Helper: resolve images for the slideshow (all matching, not paginated) using the GET /api/images filters.
+// Playlists keep their saved positions; everything else is ordered by title.
+function loadSlideshowImages(filterOptions, callback) {
+    const filter = buildImageFilter(filterOptions);
+    let orderBy = 'images.title COLLATE NOCASE, images.id';
+    const params = [...filter.params];
+    if (filterOptions.playlistId) {
+        orderBy = '(SELECT position FROM playlist_images WHERE playlist_images.image_id = images.id AND playlist_images.playlist_id = ?), images.id';
+        params.push(filterOptions.playlistId);
+    }
+    db.all(`SELECT images.* FROM images WHERE ${filter.where} ORDER BY ${orderBy}`, params, (err, rows) => {
+        if (err) return callback(err);
+        formatImageRows(rows, callback);
+    });
+}
+
+// ---------------------
+// Endpoint to Update Slideshow Settings or Play Specific Image
+// ---------------------
+// Every action applies to one channel ({ channel } in the body, default 'main').
+app.post('/api/updateSlideshow', (req, res) => {
+    const slideshow = getRequestChannel(req, res);
+    if (!slideshow) return;
+    const { action, speed, order, showTextOverlay, kenBurns, id, imageUrl, title, description, images } = req.body;
+    if (action === 'updateSettings') {
+        let transition;
+        if (req.body.transition !== undefined && req.body.transition !== null) {
+            const normalized = normalizeTransition(req.body.transition);
+            if (normalized.error) return res.status(400).json({ message: normalized.error });
+            transition = normalized.transition;
+        }
+        // curtainImageId picks the image shown by the 'curtain' command (null goes back to black)
+        const { curtainImageId } = req.body;
+        return resolveCurtainImage(curtainImageId, (err, curtainImage) => {
+            if (err) {
+                console.error(err);
+                return res.status(500).json({ message: 'Error loading the curtain image.' });
+            }
+            if (curtainImageId !== undefined && curtainImageId !== null && !curtainImage) {
+                return res.status(404).json({ message: 'Curtain image not found.' });
+            }
+            const state = slideshow.updateSettings({ speed, order, showTextOverlay, kenBurns, transition, curtainImage });
+            // Broadcast the channel's new settings to its displays
+            io.to(channelRoom(state.channel)).emit('settingsUpdate', {
+                channel: state.channel,
+                speed: state.speed,
+                order: state.order,
+                showTextOverlay: state.showTextOverlay,
+                kenBurns: state.kenBurns,
+                transition: state.transition,
+                curtainImage: state.curtainImage,
+                nextSlideIn: state.nextSlideIn
+            });
+            res.json({ message: `Slideshow settings updated for channel "${state.channel}".`, state });
+        });
+    } else if (action === 'play') {
+        // Show one specific image on the channel's displays (and pause)
+        const fallback = { id, url: imageUrl, title, description: description || '' };
+        if (!id) {
+            return res.json({ message: 'Slideshow updated.', state: slideshow.showImage(fallback) });
+        }
+        return loadSlideshowImages({ ids: [id], includeHidden: true }, (err, found) => {
+            if (err) console.error(err);
+            const image = (found && found[0]) || fallback;
+            res.json({ message: `Now showing "${image.title}".`, state: slideshow.showImage(image) });
+        });
+    } else if (action === 'playSelect') {
+        // Play the selected images, in the order they were selected
+        const ids = (Array.isArray(images) ? images : []).map(img => parseInt(img.id, 10)).filter(imgId => !isNaN(imgId));
+        if (ids.length === 0) {
+            return res.status(400).json({ message: 'No images provided.' });
+        }
+        slideshow.updateSettings({ speed, order });
+        return loadSlideshowImages({ ids, includeHidden: true }, (err, found) => {
+            if (err) {
+                console.error(err);
+                return res.status(500).json({ message: 'Error loading images for the slideshow.' });
+            }
+            found.sort((a, b) => ids.indexOf(a.id) - ids.indexOf(b.id));
+            const state = slideshow.load(found, { type: 'selection', details: ids, label: `${found.length} selected image(s)` });
+            res.json({ message: `Playing ${found.length} selected image(s).`, state });
+        });
+    }
+    res.status(400).json({ message: 'Unknown slideshow action.' });
+});
+
+// Helper: the image for a curtainImageId setting (undefined when the setting wasn't sent, null to clear it
+// or when there is no such image)
+function resolveCurtainImage(curtainImageId, callback) {
+    if (curtainImageId === undefined) return callback(null, undefined);
+    const id = parseInt(curtainImageId, 10);
+    if (curtainImageId === null || isNaN(id)) return callback(null, null);
+    loadSlideshowImages({ ids: [id], includeHidden: true }, (err, found) => {
+        if (err) return callback(err);
+        callback(null, found[0] || null);
+    });
+}
+
+// ---------------------
+// PLAY IMAGES WITH THE SELECTED TAGS
+// ---------------------
+// Expects JSON: { tags: ['name', ...], channel? } - images with at least one of the tags; no tags plays everything.
+// Images tagged Hidden are never included.
+app.post('/api/playTags', (req, res) => {
+    const slideshow = getRequestChannel(req, res);
+    if (!slideshow) return;
+    const tags = (Array.isArray(req.body.tags) ? req.body.tags : [])
+        .map(tag => String(tag).trim())
+        .filter(Boolean);
+    loadSlideshowImages({ anyTags: tags }, (err, images) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ message: 'Error loading images for the slideshow.' });
+        }
+        const label = tags.length > 0 ? `Tags: ${tags.join(', ')}` : 'All images';
+        if (images.length === 0) {
+            return res.status(404).json({ message: `No playable images found for ${label}.` });
+        }
+        const state = slideshow.load(images, { type: tags.length > 0 ? 'tags' : 'all', details: tags, label });
+        res.json({ message: `Playing ${images.length} image(s) from ${label}.`, state });
+    });
+});
+
+// ---------------------
+// PLAY IMAGES MATCHING A TAG QUERY
+// ---------------------
+// Expects JSON: { query: 'forest AND NOT (night OR "dark forest")', channel? } - see server/tagQuery.js.
+// A malformed query gives a 400 with { message, position }. Images tagged Hidden are never included.
+app.post('/api/playQuery', (req, res) => {
+    const slideshow = getRequestChannel(req, res);
+    if (!slideshow) return;
+    const tagQuery = parseRequestTagQuery(req.body.query, res);
+    if (tagQuery === null) return;
+    if (tagQuery === undefined) {
+        return res.status(400).json({ message: 'A tag query is required.' });
+    }
+    const query = String(req.body.query).trim();
+    loadSlideshowImages({ tagQuery }, (err, images) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ message: 'Error loading images for the slideshow.' });
+        }
+        const label = `Query: ${query}`;
+        if (images.length === 0) {
+            return res.status(404).json({ message: `No playable images match ${query}.` });
+        }
+        const state = slideshow.load(images, { type: 'query', details: query, label });
+        res.json({ message: `Playing ${images.length} image(s) matching ${query}.`, state });
+    });
+});
+
+// ---------------------
+// PLAY A PLAYLIST
+// ---------------------
+// Expects JSON: { playlistId, channel? } - plays the playlist in its saved order (Hidden images excluded).
+// Smart playlists are resolved now, so images added since the playlist was saved are included.
+app.post('/api/playPlaylist', (req, res) => {
+    const slideshow = getRequestChannel(req, res);
+    if (!slideshow) return;
+    const playlistId = parseInt(req.body.playlistId, 10);
+    if (isNaN(playlistId)) {
+        return res.status(400).json({ message: 'playlistId is required.' });
+    }
+    db.get('SELECT id, name, rules, transition FROM playlists WHERE id = ?', [playlistId], (err, playlist) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ message: 'Error looking up playlist.' });
+        }
+        if (!playlist) return res.status(404).json({ message: 'Playlist not found.' });
+
+        const rules = parseStoredRules(playlist.rules);
+        let filterOptions = { playlistId };
+        if (rules) {
+            try {
+                filterOptions = smartPlaylistFilterOptions(rules);
+            } catch (err) {
+                console.error(err);
+                return res.status(400).json({ message: `The rules of smart playlist "${playlist.name}" are invalid: ${err.message}` });
+            }
+        }
+        loadSlideshowImages(filterOptions, (err, images) => {
+            if (err) {
+                console.error(err);
+                return res.status(500).json({ message: 'Error loading images for the slideshow.' });
+            }
+            const label = `${rules ? 'Smart playlist' : 'Playlist'}: ${playlist.name}`;
+            if (images.length === 0) {
+                return res.status(404).json({ message: `No playable images in playlist "${playlist.name}".` });
+            }
+            const source = { type: 'playlist', details: playlistId, label, transition: parseStoredTransition(playlist.transition) };
+            const state = slideshow.load(images, source);
+            res.json({ message: `Playing ${images.length} image(s) from ${label}.`, state });
+        });
+    });
+});
+
+// ---------------------
+// CONTROL THE RUNNING SLIDESHOW
+// ---------------------
+// Expects JSON: { action, channel? } - action is 'next', 'prev', 'pause', 'resume', 'togglePause', a curtain
+// ('blackout', 'fadeToBlack' or 'curtain', each lifted by sending it again, or 'lift') or 'freeze', 'unfreeze', 'toggleFreeze'.
+app.post('/api/slideshowControl', (req, res) => {
+    const slideshow = getRequestChannel(req, res);
+    if (!slideshow) return;
+    const { action } = req.body;
+    const state = slideshow.control(action);
+    if (!state) {
+        return res.status(400).json({ message: `Unknown slideshow action: ${action}` });
+    }
+    const position = state.index >= 0 ? `${state.index + 1} of ${state.total}` : 'shown directly';
+    const status = state.image
+        ? `${state.isPlaying ? 'Playing' : 'Paused on'} "${state.image.title}" (${position}, ${state.source.label || state.source.type})`
+        : 'Nothing is playing.';
+    const covers = [state.curtain && `curtain down (${state.curtain})`, state.frozen && 'displays frozen'].filter(Boolean);
+    res.json({ message: covers.length > 0 ? `${status} - ${covers.join(', ')}` : status, state });
+});
+
+// ---------------------
+// DISPLAY CHANNELS
+// ---------------------
+// Lists the channels that have displays or were configured since the server started, with what each is playing.
+app.get('/api/channels', (req, res) => {
+    const list = Array.from(channels.values()).map(engine => {
+        const state = engine.getState();
+        return {
+            name: state.channel,
+            isPlaying: state.isPlaying,
+            speed: state.speed,
+            order: state.order,
+            showTextOverlay: state.showTextOverlay,
+            kenBurns: state.kenBurns,
+            transition: state.transition,
+            curtain: state.curtain,
+            frozen: state.frozen,
+            source: state.source
+        };
+    });
+    res.json(list);
+});
+
+// ---------------------
+// FOG OF WAR
+// ---------------------
+// Displays show images with fog of war on under an opaque mask; the GM reveals parts of it from the manage page.
+// Drawing streams live over the socket ('fogOperation') to the channels showing the image; turning fog on/off
+// and resetting it go through the endpoints below, which send the image's whole fog to every socket ('fogState').
+// See server/fogOfWar.js.
+db.serialize(() => {
+    db.run(`CREATE TABLE IF NOT EXISTS fog_masks (
+    image_id INTEGER PRIMARY KEY,
+    enabled INTEGER DEFAULT 0,
+    updated_at INTEGER,
+    FOREIGN KEY (image_id) REFERENCES images(id)
+  )`);
+    db.run(`CREATE TABLE IF NOT EXISTS fog_operations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    image_id INTEGER,
+    operation TEXT,
+    FOREIGN KEY (image_id) REFERENCES images(id)
+  )`);
+    db.run('CREATE INDEX IF NOT EXISTS idx_fog_operations_image ON fog_operations (image_id)');
+});
+
+const fogStore = createFogStore({ db });
+
+// Helper: the image a fog request is for (sends a 404 and calls back with null if there is none)
+function getFogImage(req, res, callback) {
+    db.get('SELECT id, title FROM images WHERE id = ? AND deleted_at IS NULL', [req.params.id], (err, image) => {
+        if (err) {
+            console.error(err);
+            res.status(500).json({ message: 'Database error.' });
+            return callback(null);
+        }
+        if (!image) {
+            res.status(404).json({ message: 'Image not found.' });
+            return callback(null);
+        }
+        callback(image);
+    });
+}
+
+// Helper: answer a fog request with the image's fog and send it to every display and manage page
+function sendFogState(res, imageId, message) {
+    fogStore.load(imageId, (err, fog) => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ message: 'Error loading the fog of war.' });
+        }
+        io.emit('fogState', fog);
+        res.json({ message, fog });
+    });
+}
+
+// Returns { imageId, enabled, operations } - operations in drawing order (see normalizeFogOperation)
+app.get('/api/images/:id/fog', (req, res) => {
+    getFogImage(req, res, (image) => {
+        if (!image) return;
+        fogStore.load(image.id, (err, fog) => {
+            if (err) {
+                console.error(err);
+                return res.status(500).json({ message: 'Error loading the fog of war.' });
+            }
+            res.json(fog);
+        });
+    });
+});
+
+// Expects JSON: { enabled } - turns fog of war on or off for the image (what was revealed is kept either way)
+app.put('/api/images/:id/fog', (req, res) => {
+    if (typeof req.body.enabled !== 'boolean') {
+        return res.status(400).json({ message: 'enabled must be true or false.' });
+    }
+    getFogImage(req, res, (image) => {
+        if (!image) return;
+        fogStore.setEnabled(image.id, req.body.enabled, (err) => {
+            if (err) {
+                console.error(err);
+                return res.status(500).json({ message: 'Error updating the fog of war.' });
+            }
+            sendFogState(res, image.id, `Fog of war ${req.body.enabled ? 'on' : 'off'} for "${image.title}".`);
+        });
+    });
+});
+
+// Covers the whole image with fog again
+app.post('/api/images/:id/fog/reset', (req, res) => {
+    getFogImage(req, res, (image) => {
+        if (!image) return;
+        fogStore.reset(image.id, (err) => {
+            if (err) {
+                console.error(err);
+                return res.status(500).json({ message: 'Error resetting the fog of war.' });
+            }
+            sendFogState(res, image.id, `Fog reset for "${image.title}".`);
+        });
+    });
+});
+
+// ---------------------
+// Start the Server with Socket.io
+// ---------------------
+const server = app.listen(PORT, () => {
     console.log(`Server is running at http://localhost:${PORT}`);
 });
 
-const io = require('socket.io')(server);
\ No newline at end of file
+const io = require('socket.io')(server);
+
+// Helper: the status last reported by each display on a channel (sockets that never reported, such as
+// the manage page, are not displays and are not counted)
+function getDisplayStatus(name) {
+    const room = io.sockets.adapter.rooms.get(channelRoom(name)) || new Set();
+    const displays = [];
+    room.forEach(socketId => {
+        const member = io.sockets.sockets.get(socketId);
+        if (member && member.data.display) displays.push(member.data.display);
+    });
+    return { channel: name, displayCount: displays.length, displays };
+}
+
+function broadcastDisplayStatus(name) {
+    io.to(channelRoom(name)).emit('displayStatus', getDisplayStatus(name));
+}
+
+// Sockets join a channel from the handshake query (index.html?channel=tv) and can switch with 'joinChannel'.
+// The current slide is sent as they join, so late joiners match the other displays on that channel.
+function joinChannel(socket, value) {
+    const name = normalizeChannelName(value) || DEFAULT_CHANNEL;
+    const previous = socket.data.channel;
+    if (previous && previous !== name) {
+        socket.leave(channelRoom(previous));
+        if (socket.data.display) broadcastDisplayStatus(previous);
+        releaseChannel(previous);
+    }
+    socket.data.channel = name;
+    socket.join(channelRoom(name));
+    socket.emit('slideshowState', getChannel(name).getState());
+    if (socket.data.display) {
+        broadcastDisplayStatus(name);
+    } else {
+        socket.emit('displayStatus', getDisplayStatus(name));
+    }
+}
+
+// Helper: keep only the fields a display status report is expected to have
+function sanitizeDisplayStatus(socket, status) {
+    const image = status.image && typeof status.image === 'object' ? status.image : null;
+    const toInt = value => (Number.isInteger(value) ? value : null);
+    return {
+        id: socket.id,
+        image: image ? {
+            id: toInt(image.id),
+            title: String(image.title ?? ''),
+            thumbnailUrl: String(image.thumbnailUrl ?? '')
+        } : null,
+        index: toInt(status.index),
+        total: toInt(status.total),
+        sourceType: String(status.sourceType ?? 'none'),
+        isPlaying: !!status.isPlaying,
+        reportedAt: Date.now()
+    };
+}
+
+io.on('connection', (socket) => {
+    joinChannel(socket, socket.handshake.query.channel);
+    socket.on('joinChannel', (payload) => {
+        const { channel } = payload || {};
+        joinChannel(socket, channel);
+    });
+    socket.on('requestSlideshowState', () => {
+        socket.emit('slideshowState', getChannel(socket.data.channel).getState());
+    });
+    // Navigation from a display (arrow keys, swipe, hover areas) controls that display's channel; the manage
+    // page's curtain controls name the channel they target. Only channels that exist can be controlled.
+    socket.on('slideshowControl', (payload) => {
+        const { action, channel } = payload || {};
+        if (typeof action !== 'string') return;
+        const name = (channel !== undefined && normalizeChannelName(channel)) || socket.data.channel;
+        const engine = channels.get(name);
+        if (engine && engine.control(action)) configuredChannels.add(name);
+    });
+    // The manage page zooms the displays into part of the current image:
+    // { imageId, viewport: { x, y, width, height } relative to the image, or null to fit it again, channel? }
+    socket.on('setViewport', (payload) => {
+        const { imageId, viewport, channel } = payload || {};
+        const name = (channel !== undefined && normalizeChannelName(channel)) || socket.data.channel;
+        const engine = channels.get(name);
+        if (engine) engine.setViewport(imageId, viewport === undefined ? null : viewport);
+    });
+    // The GM draws on an image's fog: { imageId, operation } (see server/fogOfWar.js). Each operation is saved
+    // and passed on straight away to the channels showing the image, so their displays reveal the map while
+    // the GM is still drawing. Operations for images that are gone or in the trash are dropped.
+    socket.on('fogOperation', (payload) => {
+        const { imageId, operation } = payload || {};
+        const id = parseInt(imageId, 10);
+        const cleaned = normalizeFogOperation(operation);
+        if (isNaN(id) || !cleaned) return;
+        db.get('SELECT id FROM images WHERE id = ? AND deleted_at IS NULL', [id], (err, image) => {
+            if (err) return console.error('Error looking up a fog image:', err);
+            if (!image) return;
+            fogStore.append(id, cleaned, (err) => {
+                if (err) return console.error('Error saving a fog operation:', err);
+                const rooms = [...channels]
+                    .filter(([, engine]) => engine.getState().image?.id === id)
+                    .map(([name]) => channelRoom(name));
+                if (rooms.length > 0) socket.to(rooms).emit('fogOperation', { imageId: id, operation: cleaned });
+            });
+        });
+    });
+    // Displays report what they are actually showing; the manage page shows it in its now playing panel
+    socket.on('displayStatus', (status = {}) => {
+        socket.data.display = sanitizeDisplayStatus(socket, status || {});
+        broadcastDisplayStatus(socket.data.channel);
+    });
+    socket.on('disconnect', () => {
+        if (socket.data.display) broadcastDisplayStatus(socket.data.channel);
+        releaseChannel(socket.data.channel);
+    });
+});
+
+// Start the default channel by playing every (non-hidden) image
+getChannel(DEFAULT_CHANNEL);
@@ -0,0 +1,117 @@
+// server/fogOfWar.js
+// Fog of war for battle maps: displays show an image under an opaque mask and the GM reveals (or covers up again)
+// parts of it from the manage page. A mask is kept as the list of brush strokes and polygons drawn on the image,
+// in order, so it replays the same at any screen size and the next session resumes where the last one ended.
+
+const FOG_TOOLS = ['brush', 'polygon'];
+const FOG_MODES = ['reveal', 'hide'];
+const MAX_POINTS = 500; // Per operation; the manage page sends long strokes in pieces
+const MIN_BRUSH_RADIUS = 0.002; // Relative to the image width
+const MAX_BRUSH_RADIUS = 0.5;
+
+/**
+ * Checks one drawing operation from the manage page and keeps only its known parts.
+ * @param {object} value - { tool: 'brush'|'polygon', mode: 'reveal'|'hide', points: [[x, y], ...], radius? }
+ *   with points relative to the image (0..1 from the top-left corner) and the brush radius relative to its width.
+ * @returns {object|null} The cleaned operation, or null if it is malformed.
+ */
+function normalizeFogOperation(value) {
+    if (!value || typeof value !== 'object') return null;
+    if (!FOG_TOOLS.includes(value.tool) || !FOG_MODES.includes(value.mode)) return null;
+    if (!Array.isArray(value.points) || value.points.length === 0 || value.points.length > MAX_POINTS) return null;
+    const clamp = number => Math.round(Math.min(1, Math.max(0, number)) * 10000) / 10000;
+    const points = [];
+    for (const point of value.points) {
+        if (!Array.isArray(point) || point.length !== 2) return null;
+        const [x, y] = point.map(Number);
+        if (!Number.isFinite(x) || !Number.isFinite(y)) return null;
+        points.push([clamp(x), clamp(y)]);
+    }
+    const operation = { tool: value.tool, mode: value.mode, points };
+    if (value.tool === 'polygon') {
+        return points.length >= 3 ? operation : null;
+    }
+    const radius = Number(value.radius);
+    if (!Number.isFinite(radius)) return null;
+    operation.radius = Math.round(Math.min(MAX_BRUSH_RADIUS, Math.max(MIN_BRUSH_RADIUS, radius)) * 10000) / 10000;
+    return operation;
+}
+
+/**
+ * Creates the fog store on top of the fog_masks (one row per image with fog of war on) and
+ * fog_operations (the drawing operations of each image, in order) tables.
+ * @param {object} options
+ * @param {object} options.db - The open sqlite3 database.
+ * @returns {object} The store API: load, append, setEnabled and reset.
+ */
+function createFogStore({ db }) {
+    const appendQueue = []; // Inserts run one at a time, so operations keep the order they were drawn in
+
+    /**
+     * Loads an image's fog.
+     * @param {number} imageId - The image.
+     * @param {function(Error|null, object): void} callback - Called with { imageId, enabled, operations }.
+     */
+    function load(imageId, callback) {
+        db.get('SELECT enabled FROM fog_masks WHERE image_id = ?', [imageId], (err, mask) => {
+            if (err) return callback(err);
+            db.all('SELECT operation FROM fog_operations WHERE image_id = ? ORDER BY id', [imageId], (err, rows) => {
+                if (err) return callback(err);
+                const operations = [];
+                rows.forEach(row => {
+                    try {
+                        operations.push(JSON.parse(row.operation));
+                    } catch (parseErr) {
+                        console.error('Skipping unreadable fog operation:', row.operation);
+                    }
+                });
+                callback(null, { imageId, enabled: !!(mask && mask.enabled), operations });
+            });
+        });
+    }
+
+    /**
+     * Adds a drawing operation to an image's fog.
+     * @param {number} imageId - The image.
+     * @param {object} operation - A normalized operation (see normalizeFogOperation).
+     * @param {function(Error|null): void} callback
+     */
+    function append(imageId, operation, callback) {
+        appendQueue.push({ imageId, operation, callback });
+        if (appendQueue.length === 1) insertNext();
+    }
+
+    function insertNext() {
+        const { imageId, operation, callback } = appendQueue[0];
+        db.run('INSERT INTO fog_operations (image_id, operation) VALUES (?, ?)', [imageId, JSON.stringify(operation)], (err) => {
+            appendQueue.shift();
+            callback(err || null);
+            if (appendQueue.length > 0) insertNext();
+        });
+    }
+
+    /**
+     * Turns fog of war on or off for an image. Turning it off keeps what was revealed for next time.
+     * @param {number} imageId - The image.
+     * @param {boolean} enabled - Whether displays cover the image with fog.
+     * @param {function(Error|null): void} callback
+     */
+    function setEnabled(imageId, enabled, callback) {
+        db.run(`INSERT INTO fog_masks (image_id, enabled, updated_at) VALUES (?, ?, ?)
+      ON CONFLICT(image_id) DO UPDATE SET enabled = excluded.enabled, updated_at = excluded.updated_at`,
+        [imageId, enabled ? 1 : 0, Date.now()], (err) => callback(err || null));
+    }
+
+    /**
+     * Covers the whole image with fog again (forgets every operation).
+     * @param {number} imageId - The image.
+     * @param {function(Error|null): void} callback
+     */
+    function reset(imageId, callback) {
+        db.run('DELETE FROM fog_operations WHERE image_id = ?', [imageId], (err) => callback(err || null));
+    }
+
+    return { load, append, setEnabled, reset };
+}
+
+module.exports = { normalizeFogOperation, createFogStore };
@@ -0,0 +1,99 @@
+// server/imageHash.js
+// Perceptual hashes for spotting near-duplicate images: the same picture re-saved, resized, recompressed or
+// lightly edited gets a hash that differs in only a few bits, unlike a file checksum.
+// Used by the upload endpoints (to flag a new image that is already in the library) and the duplicates view.
+
+const sharp = require('sharp');
+
+// Hashes at most this many bits apart count as the same picture
+const DEFAULT_MAX_DISTANCE = 6;
+
+/**
+ * Computes the difference hash (dHash) of an image: it is shrunk to 9x8 grey pixels and every bit says whether
+ * a pixel is brighter than its right-hand neighbour.
+ * @param {string} filePath - The image file.
+ * @param {function(Error|null, string): void} callback - Called with the 64-bit hash as 16 hex digits.
+ */
+function computeImageHash(filePath, callback) {
+    sharp(filePath)
+        .flatten({ background: '#ffffff' }) // Transparent areas hash as white rather than black
+        .greyscale()
+        .resize(9, 8, { fit: 'fill' })
+        .raw()
+        .toBuffer((err, data, info) => {
+            if (err) return callback(err);
+            const pixel = (x, y) => data[(y * info.width + x) * info.channels];
+            let bits = '';
+            for (let y = 0; y < 8; y++) {
+                for (let x = 0; x < 8; x++) {
+                    bits += pixel(x, y) > pixel(x + 1, y) ? '1' : '0';
+                }
+            }
+            const hex = [0, 32].map(start => parseInt(bits.slice(start, start + 32), 2).toString(16).padStart(8, '0')).join('');
+            callback(null, hex);
+        });
+}
+
+function countBits(value) {
+    let count = 0;
+    for (let rest = value >>> 0; rest; rest &= rest - 1) count++;
+    return count;
+}
+
+/**
+ * Counts the bits two hashes differ in (0 for identical pictures, around 32 for unrelated ones).
+ * @param {string} a - Hash from computeImageHash.
+ * @param {string} b - Hash from computeImageHash.
+ * @returns {number} The Hamming distance.
+ */
+function hashDistance(a, b) {
+    return countBits(parseInt(a.slice(0, 8), 16) ^ parseInt(b.slice(0, 8), 16)) +
+        countBits(parseInt(a.slice(8), 16) ^ parseInt(b.slice(8), 16));
+}
+
+/**
+ * Finds the images whose hash is close to the given one.
+ * @param {string} hash - The hash to compare with.
+ * @param {object[]} images - Candidates, each with a `phash`.
+ * @param {number} [maxDistance] - Largest distance that counts as similar.
+ * @returns {object[]} The similar images with their `distance`, closest first.
+ */
+function findSimilarImages(hash, images, maxDistance = DEFAULT_MAX_DISTANCE) {
+    return images
+        .filter(image => image.phash)
+        .map(image => ({ ...image, distance: hashDistance(hash, image.phash) }))
+        .filter(image => image.distance <= maxDistance)
+        .sort((a, b) => a.distance - b.distance);
+}
+
+/**
+ * Groups images that look alike. Similarity is chained: if A is close to B and B to C, all three form a group.
+ * @param {object[]} images - Images, each with an `id` and a `phash`.
+ * @param {number} [maxDistance] - Largest distance that counts as similar.
+ * @returns {object[][]} Groups of two or more images, in the order the images were given.
+ */
+function groupSimilarImages(images, maxDistance = DEFAULT_MAX_DISTANCE) {
+    const hashed = images.filter(image => image.phash);
+    const parent = hashed.map((image, index) => index);
+    const root = (index) => {
+        while (parent[index] !== index) {
+            parent[index] = parent[parent[index]];
+            index = parent[index];
+        }
+        return index;
+    };
+    for (let i = 0; i < hashed.length; i++) {
+        for (let j = i + 1; j < hashed.length; j++) {
+            if (hashDistance(hashed[i].phash, hashed[j].phash) <= maxDistance) parent[root(j)] = root(i);
+        }
+    }
+    const groups = new Map();
+    hashed.forEach((image, index) => {
+        const key = root(index);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(image);
+    });
+    return [...groups.values()].filter(group => group.length > 1);
+}
+
+module.exports = { computeImageHash, hashDistance, findSimilarImages, groupSimilarImages, DEFAULT_MAX_DISTANCE };
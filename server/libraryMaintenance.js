@@ -0,0 +1,251 @@
+// server/libraryMaintenance.js
+// Finds and repairs what interrupted or older deletes left behind: association rows pointing at images, tags or
+// playlists that no longer exist, thumbnails without an image, and files on disk that no image row refers to.
+// Used by the maintenance endpoints in server.js and by scripts/repair-library.js.
+
+const fs = require('fs');
+const path = require('path');
+
+// Rows that refer to something that is gone. `count` finds them, `fix` removes (or detaches) them.
+// `needs` lists the tables (and `table.column`s) a check reads; a database the server hasn't migrated yet may lack
+// them, and then there is nothing to check.
+const ROW_CHECKS = [
+    {
+        name: 'image_tags',
+        needs: ['image_tags', 'images', 'tags'],
+        count: 'SELECT COUNT(*) AS count FROM image_tags WHERE image_id NOT IN (SELECT id FROM images) OR tag_id NOT IN (SELECT id FROM tags)',
+        fix: 'DELETE FROM image_tags WHERE image_id NOT IN (SELECT id FROM images) OR tag_id NOT IN (SELECT id FROM tags)'
+    },
+    {
+        name: 'image_fields',
+        needs: ['image_fields', 'images'],
+        count: 'SELECT COUNT(*) AS count FROM image_fields WHERE image_id NOT IN (SELECT id FROM images)',
+        fix: 'DELETE FROM image_fields WHERE image_id NOT IN (SELECT id FROM images)'
+    },
+    {
+        name: 'playlist_images',
+        needs: ['playlist_images', 'images', 'playlists'],
+        count: 'SELECT COUNT(*) AS count FROM playlist_images WHERE image_id NOT IN (SELECT id FROM images) OR playlist_id NOT IN (SELECT id FROM playlists)',
+        fix: 'DELETE FROM playlist_images WHERE image_id NOT IN (SELECT id FROM images) OR playlist_id NOT IN (SELECT id FROM playlists)'
+    },
+    {
+        name: 'fog_masks',
+        needs: ['fog_masks', 'images'],
+        count: 'SELECT COUNT(*) AS count FROM fog_masks WHERE image_id NOT IN (SELECT id FROM images)',
+        fix: 'DELETE FROM fog_masks WHERE image_id NOT IN (SELECT id FROM images)'
+    },
+    {
+        name: 'fog_operations',
+        needs: ['fog_operations', 'images'],
+        count: 'SELECT COUNT(*) AS count FROM fog_operations WHERE image_id NOT IN (SELECT id FROM images)',
+        fix: 'DELETE FROM fog_operations WHERE image_id NOT IN (SELECT id FROM images)'
+    },
+    {
+        // Child tags of a deleted parent become top-level tags
+        name: 'tag parents',
+        needs: ['tags.parent_id'],
+        count: 'SELECT COUNT(*) AS count FROM tags WHERE parent_id IS NOT NULL AND parent_id NOT IN (SELECT id FROM tags)',
+        fix: 'UPDATE tags SET parent_id = NULL WHERE parent_id IS NOT NULL AND parent_id NOT IN (SELECT id FROM tags)'
+    }
+];
+
+/**
+ * Reads which tables the database has and their columns.
+ * @param {object} db - An open sqlite3 database.
+ * @param {function(Error|null, Map<string, Set<string>>): void} callback - Called with table name -> column names.
+ */
+function readSchema(db, callback) {
+    db.all("SELECT name FROM sqlite_master WHERE type = 'table'", (err, tables) => {
+        if (err) return callback(err);
+        const schema = new Map();
+        let pending = tables.length;
+        let failed = null;
+        if (pending === 0) return callback(null, schema);
+        tables.forEach(({ name }) => {
+            db.all(`PRAGMA table_info("${name.replace(/"/g, '""')}")`, (err, columns) => {
+                if (err && !failed) failed = err;
+                schema.set(name, new Set((columns || []).map(column => column.name)));
+                if (--pending === 0) callback(failed, schema);
+            });
+        });
+    });
+}
+
+/**
+ * Whether the database has a table, or a `table.column`.
+ * @param {Map<string, Set<string>>} schema - See readSchema.
+ * @param {string} name - A table name or `table.column`.
+ * @returns {boolean}
+ */
+function hasSchema(schema, name) {
+    const [table, column] = name.split('.');
+    return schema.has(table) && (!column || schema.get(table).has(column));
+}
+
+/**
+ * Lists the plain files in a folder (an empty list if the folder doesn't exist).
+ * @param {string} folder - Absolute folder path.
+ * @param {function(Error|null, string[]): void} callback
+ */
+function listFiles(folder, callback) {
+    fs.readdir(folder, { withFileTypes: true }, (err, entries) => {
+        if (err) return callback(err.code === 'ENOENT' ? null : err, []);
+        callback(null, entries.filter(entry => entry.isFile() && !entry.name.startsWith('.')).map(entry => entry.name));
+    });
+}
+
+/**
+ * Decides what to do with every image file and thumbnail, based on the image row it belongs to:
+ * library images belong in the library folders, trashed ones in the trash folders. Files of images that are
+ * elsewhere move to where they belong; thumbnails (and trashed files) without an image are deleted, and library
+ * files without one are moved aside to the untracked folder rather than deleted (unless they are importable).
+ * @param {object} folders - See runLibraryMaintenance.
+ * @param {Map<string, boolean>} rowsByFilename - filename -> whether the image is trashed.
+ * @param {RegExp|null} importable - Library files without an image that the library scanner imports (left alone).
+ * @param {function(Error|null, object[]): void} callback - Called with [{ from, to, problem }] (to is null to delete).
+ */
+function planFileRepairs(folders, rowsByFilename, importable, callback) {
+    const kinds = [
+        { library: folders.images, trash: folders.trashImages, untracked: folders.untracked, label: 'file' },
+        { library: folders.thumbnails, trash: folders.trashThumbnails, untracked: null, label: 'thumbnail' }
+    ];
+    const plan = [];
+    const locations = kinds.flatMap(kind => [
+        { kind, folder: kind.library, isTrash: false },
+        { kind, folder: kind.trash, isTrash: true }
+    ]);
+    let pending = locations.length;
+    let failed = null;
+    const listed = new Map(); // folder -> Set of filenames
+
+    locations.forEach(location => {
+        listFiles(location.folder, (err, files) => {
+            if (err && !failed) failed = err;
+            listed.set(location.folder, new Set(files));
+            if (--pending > 0) return;
+            if (failed) return callback(failed);
+
+            locations.forEach(({ kind, folder, isTrash }) => {
+                listed.get(folder).forEach(filename => {
+                    const from = path.join(folder, filename);
+                    if (!rowsByFilename.has(filename)) {
+                        if (!isTrash && kind.untracked && importable && importable.test(filename)) return;
+                        const to = !isTrash && kind.untracked ? path.join(kind.untracked, filename) : null;
+                        plan.push({ from, to, problem: `${kind.label} with no image` });
+                        return;
+                    }
+                    const belongsInTrash = rowsByFilename.get(filename);
+                    if (belongsInTrash === isTrash) return;
+                    const target = belongsInTrash ? kind.trash : kind.library;
+                    // If a copy is already where it belongs, this one is a leftover
+                    const to = listed.get(target).has(filename) ? null : path.join(target, filename);
+                    plan.push({ from, to, problem: belongsInTrash ? `${kind.label} of a trashed image` : `${kind.label} of a restored image` });
+                });
+            });
+            callback(null, plan);
+        });
+    });
+}
+
+/**
+ * Runs the planned file moves and deletions. Failures are reported per file rather than stopping the run.
+ * @param {object[]} plan - From planFileRepairs.
+ * @param {function(object[]): void} callback - Called with the plan entries, each with `error` if it failed.
+ */
+function applyFileRepairs(plan, callback) {
+    let pending = plan.length;
+    if (pending === 0) return callback(plan);
+    plan.forEach(entry => {
+        const done = (err) => {
+            if (err) entry.error = err.message;
+            if (--pending === 0) callback(plan);
+        };
+        if (!entry.to) return fs.unlink(entry.from, done);
+        fs.mkdir(path.dirname(entry.to), { recursive: true }, (err) => {
+            if (err) return done(err);
+            fs.rename(entry.from, entry.to, done);
+        });
+    });
+}
+
+/**
+ * Counts the orphaned rows per check and, unless dryRun, removes them in one transaction.
+ * @param {object} db - An open sqlite3 database.
+ * @param {Map<string, Set<string>>} schema - See readSchema; checks whose tables are missing are skipped.
+ * @param {boolean} dryRun - Only count.
+ * @param {function|null} runTransaction - Runs statements ({ sql }) in a transaction (see options.runTransaction).
+ * @param {function(Error|null, object): void} callback - Called with { [check name]: row count }.
+ */
+function repairRows(db, schema, dryRun, runTransaction, callback) {
+    const counts = Object.fromEntries(ROW_CHECKS.map(check => [check.name, 0]));
+    const checks = ROW_CHECKS.filter(check => check.needs.every(name => hasSchema(schema, name)));
+    let pending = checks.length;
+    let failed = null;
+    if (pending === 0) return callback(null, counts);
+    checks.forEach(check => {
+        db.get(check.count, (err, row) => {
+            if (err && !failed) failed = err;
+            if (row) counts[check.name] = row.count;
+            if (--pending > 0) return;
+            if (failed) return callback(failed);
+            const fixes = checks.filter(item => counts[item.name] > 0).map(item => item.fix);
+            if (dryRun || fixes.length === 0) return callback(null, counts);
+            if (runTransaction) {
+                return runTransaction(fixes.map(sql => ({ sql })), (err) => callback(err || null, counts));
+            }
+            db.exec(`BEGIN; ${fixes.map(fix => `${fix};`).join(' ')} COMMIT;`, (err) => {
+                if (!err) return callback(null, counts);
+                db.exec('ROLLBACK', () => callback(err));
+            });
+        });
+    });
+}
+
+/**
+ * Checks the library for orphaned rows and files and, unless dryRun, repairs them.
+ * @param {object} options
+ * @param {object} options.db - An open sqlite3 database.
+ * @param {object} options.folders - Absolute paths: { images, thumbnails, trashImages, trashThumbnails, untracked }.
+ * @param {string} options.root - Folder that file paths in the report are relative to.
+ * @param {boolean} [options.dryRun=false] - Report what would change without changing anything.
+ * @param {RegExp} [options.importable] - Untracked library files matching it are left for the library scanner.
+ * @param {function} [options.runTransaction] - The server's transaction runner ((statements, callback)), so the
+ *   repair doesn't open a transaction while another one is in progress; without it the rows are fixed with db.exec.
+ * @param {function(Error|null, object): void} callback - Called with the report:
+ *   { dryRun, rows: { [check name]: count }, files: [{ path, problem, action, error? }], changed }.
+ */
+function runLibraryMaintenance({ db, folders, root, dryRun = false, importable = null, runTransaction = null }, callback) {
+    readSchema(db, (err, schema) => {
+        if (err) return callback(err);
+        if (!schema.has('images')) return callback(new Error('The database has no images table.'));
+        // Before the trash existed every image was in the library
+        const sql = hasSchema(schema, 'images.deleted_at')
+            ? 'SELECT filename, deleted_at FROM images'
+            : 'SELECT filename, NULL AS deleted_at FROM images';
+        db.all(sql, (err, images) => {
+            if (err) return callback(err);
+            const rowsByFilename = new Map(images.map(image => [image.filename, image.deleted_at !== null]));
+            repairRows(db, schema, dryRun, runTransaction, (err, rows) => {
+                if (err) return callback(err);
+                planFileRepairs(folders, rowsByFilename, importable, (err, plan) => {
+                    if (err) return callback(err);
+                    const finish = (entries) => {
+                        const files = entries.map(entry => ({
+                            path: path.relative(root, entry.from),
+                            problem: entry.problem,
+                            action: entry.to ? `moved to ${path.relative(root, entry.to)}` : 'deleted',
+                            ...(entry.error ? { error: entry.error } : {})
+                        }));
+                        const changed = Object.values(rows).reduce((sum, count) => sum + count, 0) +
+                            files.filter(file => !file.error).length;
+                        callback(null, { dryRun, rows, files, changed });
+                    };
+                    if (dryRun) return finish(plan);
+                    applyFileRepairs(plan, finish);
+                });
+            });
+        });
+    });
+}
+
+module.exports = { runLibraryMaintenance };
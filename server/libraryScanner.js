@@ -0,0 +1,185 @@
+// server/libraryScanner.js
+// Keeps the images table in step with public/images: imports image files that were copied into the folder
+// directly (only /upload used to add rows), creates missing thumbnails and flags rows whose file is gone.
+// Scans run at startup, on demand and, optionally, whenever the folder changes.
+
+const fs = require('fs');
+const path = require('path');
+
+// Files the scanner imports (sharp can read them and make a thumbnail)
+const IMAGE_FILE_PATTERN = /\.(jpe?g|png|gif|webp|avif|tiff?)$/i;
+// Files changed more recently than this are still being copied (or uploaded) and are picked up by a later scan
+const SETTLE_MS = 5000;
+// Folder changes within this window start a single scan
+const WATCH_DEBOUNCE_MS = 1000;
+
+/**
+ * Creates a library scanner.
+ * @param {object} options
+ * @param {object} options.db - The open sqlite3 database.
+ * @param {string} options.imageFolder - Folder with the library's image files (public/images).
+ * @param {string} options.thumbFolder - Folder with their thumbnails (public/thumbnails).
+ * @param {function(string): string} options.sanitizeFilename - Cleans a file name the way /upload does.
+ * @param {function(string, string, function(Error|null): void): void} options.createThumbnail - Writes the
+ *   thumbnail of an image file (source path, target path, callback).
+ * @param {function(Error|null, object): void} [options.onScan] - Called after the scans the scanner starts
+ *   itself (folder changes, and files that were still being copied).
+ * @returns {object} The scanner API: scan, watch and getLastReport.
+ */
+function createLibraryScanner({ db, imageFolder, thumbFolder, sanitizeFilename, createThumbnail, onScan = () => {} }) {
+    let lastReport = null;
+    let scanning = false;
+    let waiting = []; // Callbacks for the next scan
+    let retryTimer = null;
+
+    function listFiles(folder, callback) {
+        fs.readdir(folder, { withFileTypes: true }, (err, entries) => {
+            if (err) return callback(err.code === 'ENOENT' ? null : err, []);
+            callback(null, entries.filter(entry => entry.isFile() && !entry.name.startsWith('.')).map(entry => entry.name));
+        });
+    }
+
+    /**
+     * Imports one untracked file: renames it to its sanitized name (when that is free), makes its thumbnail
+     * and inserts its row. Files sharp can't read are reported as errors and left alone.
+     */
+    function importFile(filename, taken, report, callback) {
+        const sanitized = sanitizeFilename(filename);
+        const target = sanitized && sanitized !== filename && !taken.has(sanitized) ? sanitized : filename;
+        const rename = (done) => (target === filename ? done(null) : fs.rename(path.join(imageFolder, filename), path.join(imageFolder, target), done));
+        rename((err) => {
+            if (err) {
+                report.errors.push({ filename, message: err.message });
+                return callback();
+            }
+            taken.add(target);
+            createThumbnail(path.join(imageFolder, target), path.join(thumbFolder, target), (err) => {
+                if (err) {
+                    report.errors.push({ filename: target, message: `Not a readable image: ${err.message}` });
+                    return callback();
+                }
+                const title = path.basename(target, path.extname(target));
+                db.run('INSERT INTO images (filename, title, tags, dateAdded) VALUES (?, ?, ?, ?)', [target, title, 'All', Date.now()], function(err) {
+                    if (err) report.errors.push({ filename: target, message: err.message });
+                    else report.imported.push({ id: this.lastID, filename: target, title });
+                    callback();
+                });
+            });
+        });
+    }
+
+    // Runs the steps one file at a time, so a large drop doesn't start every thumbnail at once
+    function runInSequence(items, step, callback) {
+        const next = (index) => {
+            if (index >= items.length) return callback();
+            step(items[index], () => next(index + 1));
+        };
+        next(0);
+    }
+
+    function runScan(callback) {
+        db.all('SELECT id, filename, title, deleted_at FROM images', (err, rows) => {
+            if (err) return callback(err);
+            listFiles(imageFolder, (err, files) => {
+                if (err) return callback(err);
+                listFiles(thumbFolder, (err, thumbnails) => {
+                    if (err) return callback(err);
+                    const onDisk = new Set(files);
+                    const thumbSet = new Set(thumbnails);
+                    const taken = new Set([...files, ...rows.map(row => row.filename)]);
+                    const tracked = new Set(rows.map(row => row.filename));
+                    const libraryRows = rows.filter(row => row.deleted_at === null);
+                    const report = {
+                        scannedAt: Date.now(),
+                        imported: [],
+                        missing: libraryRows.filter(row => !onDisk.has(row.filename))
+                            .map(row => ({ id: row.id, filename: row.filename, title: row.title })),
+                        thumbnailsCreated: [],
+                        pending: [],
+                        errors: []
+                    };
+                    const untracked = files.filter(file => !tracked.has(file) && IMAGE_FILE_PATTERN.test(file));
+                    const settledBefore = Date.now() - SETTLE_MS;
+
+                    runInSequence(untracked, (filename, done) => {
+                        fs.stat(path.join(imageFolder, filename), (err, stats) => {
+                            if (err) {
+                                report.errors.push({ filename, message: err.message });
+                                return done();
+                            }
+                            if (stats.mtimeMs > settledBefore) {
+                                report.pending.push(filename);
+                                return done();
+                            }
+                            importFile(filename, taken, report, done);
+                        });
+                    }, () => {
+                        const withoutThumbnail = libraryRows.filter(row => onDisk.has(row.filename) && !thumbSet.has(row.filename));
+                        runInSequence(withoutThumbnail, (row, done) => {
+                            createThumbnail(path.join(imageFolder, row.filename), path.join(thumbFolder, row.filename), (err) => {
+                                if (err) report.errors.push({ filename: row.filename, message: `Thumbnail failed: ${err.message}` });
+                                else report.thumbnailsCreated.push(row.filename);
+                                done();
+                            });
+                        }, () => callback(null, report));
+                    });
+                });
+            });
+        });
+    }
+
+    function runNext() {
+        const callbacks = waiting;
+        waiting = [];
+        scanning = true;
+        runScan((err, report) => {
+            scanning = false;
+            if (!err) {
+                lastReport = report;
+                // Files that were still being written are imported once they have settled
+                if (report.pending.length > 0 && !retryTimer) {
+                    retryTimer = setTimeout(() => {
+                        retryTimer = null;
+                        scan(onScan);
+                    }, SETTLE_MS);
+                    retryTimer.unref();
+                }
+            }
+            callbacks.forEach(callback => callback(err, report));
+            if (waiting.length > 0) runNext();
+        });
+    }
+
+    /**
+     * Scans the library. Scans never overlap: a scan requested while one is running starts after it.
+     * @param {function(Error|null, object): void} [callback] - Called with the report:
+     *   { scannedAt, imported: [{ id, filename, title }], missing: [{ id, filename, title }],
+     *     thumbnailsCreated: [filename], pending: [filename], errors: [{ filename, message }] }.
+     */
+    function scan(callback = () => {}) {
+        waiting.push(callback);
+        if (!scanning) runNext();
+    }
+
+    /**
+     * Scans whenever files in the image folder change.
+     * @returns {fs.FSWatcher} The watcher.
+     */
+    function watch() {
+        let debounceTimer = null;
+        const watcher = fs.watch(imageFolder, () => {
+            clearTimeout(debounceTimer);
+            debounceTimer = setTimeout(() => scan(onScan), WATCH_DEBOUNCE_MS);
+        });
+        watcher.on('error', (err) => console.error('Error watching the image folder:', err));
+        return watcher;
+    }
+
+    return {
+        scan,
+        watch,
+        getLastReport: () => lastReport
+    };
+}
+
+module.exports = { createLibraryScanner, IMAGE_FILE_PATTERN };
@@ -0,0 +1,447 @@
+// server/slideshowEngine.js
+// Authoritative slideshow playback: queue, current position, random order, timer and pause state.
+// Displays only render what the engine emits, so every screen on the same channel shows the same slide.
+
+const { DEFAULT_TRANSITION } = require('./transitions');
+
+const DEFAULT_SPEED = 3; // Seconds per slide
+const DEFAULT_ORDER = 'random';
+// Playback orders: 'random' shuffles the queue, the others play it as loaded (sorted by title, or by group)
+const ORDERS = ['random', 'alphabetical', 'groups'];
+const MIN_VIEWPORT_SIZE = 0.02; // Smallest zoom region, as a share of the image's width/height
+
+// What a lowered curtain shows: 'black' at once, 'fade' to black, or the channel's curtain 'image'
+const CURTAINS = ['black', 'fade', 'image'];
+
+// Control actions that lower a curtain (sending the one that is down again lifts it)
+const CURTAIN_ACTIONS = { blackout: 'black', fadeToBlack: 'fade', curtain: 'image' };
+
+/**
+ * Shuffles an array in place (Fisher-Yates).
+ * @param {Array} array - The array to shuffle.
+ * @returns {Array} The same array, shuffled.
+ */
+function shuffle(array) {
+    for (let i = array.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [array[i], array[j]] = [array[j], array[i]];
+    }
+    return array;
+}
+
+/**
+ * Checks a zoom region of an image and keeps it inside the image.
+ * @param {object} value - { x, y, width, height }, relative to the image (0..1 from the top-left corner).
+ * @returns {object|null} The cleaned region, or null if it is malformed.
+ */
+function normalizeViewport(value) {
+    if (!value || typeof value !== 'object') return null;
+    const [x, y, width, height] = [value.x, value.y, value.width, value.height].map(Number);
+    if (![x, y, width, height].every(Number.isFinite) || width <= 0 || height <= 0) return null;
+    const round = number => Math.round(number * 10000) / 10000;
+    const clampedWidth = Math.min(1, Math.max(MIN_VIEWPORT_SIZE, width));
+    const clampedHeight = Math.min(1, Math.max(MIN_VIEWPORT_SIZE, height));
+    return {
+        x: round(Math.min(1 - clampedWidth, Math.max(0, x))),
+        y: round(Math.min(1 - clampedHeight, Math.max(0, y))),
+        width: round(clampedWidth),
+        height: round(clampedHeight)
+    };
+}
+
+/**
+ * Creates a slideshow engine.
+ * @param {object} options
+ * @param {function(string, object): void} options.emit - Broadcasts an event to the channel's displays.
+ * @param {string} [options.channel] - Name of the display channel this engine drives.
+ * @param {number} [options.speed] - Seconds per slide.
+ * @param {string} [options.order] - 'random', 'alphabetical' or 'groups'.
+ * @param {boolean} [options.showTextOverlay] - Whether displays show the title/description overlay.
+ * @param {boolean} [options.kenBurns] - Whether displays slowly pan and zoom across each image.
+ * @param {object} [options.transition] - How displays change slides ({ type, duration, easing }, see server/transitions.js).
+ * @param {object|null} [options.curtainImage] - Image displays show while the curtain is down ({ id, title, url, ... }).
+ * @returns {object} The engine API.
+ */
+function createSlideshowEngine({ emit, channel = 'main', speed = DEFAULT_SPEED, order = DEFAULT_ORDER, showTextOverlay = true, kenBurns = false, transition = DEFAULT_TRANSITION, curtainImage = null }) {
+    let queue = []; // Image objects in their loaded (sequential) order
+    let sequence = []; // Indices into queue, in playback order
+    let position = -1; // Current position in sequence
+    let detachedImage = null; // Image shown directly that is not part of the queue
+    let source = { type: 'none', details: null };
+    let isPlaying = false;
+    let timer = null;
+    let slideStartedAt = null;
+    let viewport = null; // Region of the current image the displays are zoomed into (null shows all of it)
+    let curtain = null; // Curtain covering the displays (one of CURTAINS), null when they show the slideshow
+    let frozen = false; // Displays keep showing what they show now, while the engine carries on
+    let removedImages = new Map(); // Images taken out of the queue by removeImages (id -> image), until the next load
+
+    // --- Sequence helpers ---
+
+    function buildSequence(firstIndex = -1) {
+        const indices = queue.map((_, i) => i);
+        if (order !== 'random') return indices;
+        shuffle(indices);
+        // Keep the requested image first so changing order doesn't jump away from it
+        if (firstIndex >= 0) {
+            indices.splice(indices.indexOf(firstIndex), 1);
+            indices.unshift(firstIndex);
+        }
+        return indices;
+    }
+
+    function currentImage() {
+        if (detachedImage) return detachedImage;
+        return position >= 0 && position < sequence.length ? queue[sequence[position]] : null;
+    }
+
+    function peekNextImage() {
+        if (sequence.length === 0) return null;
+        if (detachedImage) return queue[sequence[Math.max(position, 0)]] || null;
+        // A random cycle that wraps gets reshuffled, so the next image isn't known yet
+        if (position + 1 >= sequence.length && order === 'random' && sequence.length > 1) return null;
+        return queue[sequence[(position + 1) % sequence.length]];
+    }
+
+    // --- Timer ---
+
+    function stopTimer() {
+        if (timer) {
+            clearTimeout(timer);
+            timer = null;
+        }
+    }
+
+    function startTimer() {
+        stopTimer();
+        slideStartedAt = Date.now();
+        if (isPlaying && queue.length > 1 && speed > 0) {
+            timer = setTimeout(() => advance('next'), speed * 1000);
+        }
+    }
+
+    // --- State ---
+
+    /**
+     * Returns a snapshot of what is playing, as sent to displays.
+     * nextSlideIn is the milliseconds left on the slide timer (null when it isn't running), so clients
+     * can count down without depending on their clock matching the server's.
+     * The channel's transition can be overridden by source.transition (a playlist's) and image.transition.
+     * viewport is the zoomed-in region of the current image ({ x, y, width, height }) or null.
+     * curtain is what covers the displays ('black', 'fade', 'image' or null); frozen displays ignore slide changes.
+     * @returns {object} { channel, image, nextImage, index, total, isPlaying, speed, order, showTextOverlay, kenBurns, transition, viewport, curtain, curtainImage, frozen, source, slideStartedAt, nextSlideIn }
+     */
+    function getState() {
+        return {
+            channel: channel,
+            image: currentImage(),
+            nextImage: peekNextImage(),
+            index: detachedImage ? -1 : position,
+            total: queue.length,
+            isPlaying: isPlaying,
+            speed: speed,
+            order: order,
+            showTextOverlay: showTextOverlay,
+            kenBurns: kenBurns,
+            transition: transition,
+            viewport: viewport,
+            curtain: curtain,
+            curtainImage: curtainImage,
+            frozen: frozen,
+            source: source,
+            slideStartedAt: slideStartedAt,
+            nextSlideIn: timer ? Math.max(0, slideStartedAt + speed * 1000 - Date.now()) : null
+        };
+    }
+
+    function broadcast(event, extra = {}) {
+        const state = getState();
+        emit(event, { ...extra, ...state });
+        return state;
+    }
+
+    // --- Playback ---
+
+    function advance(direction) {
+        if (queue.length === 0) return broadcast('slideAction', { action: direction });
+
+        if (detachedImage) {
+            // Leave the directly shown image and continue from where the queue was
+            detachedImage = null;
+            if (position < 0) position = 0;
+        } else if (direction === 'next') {
+            position++;
+            if (position >= sequence.length) {
+                // New cycle; reshuffle in random mode without repeating the last image straight away
+                const lastIndex = sequence[sequence.length - 1];
+                sequence = buildSequence();
+                if (order === 'random' && sequence.length > 1 && sequence[0] === lastIndex) {
+                    sequence.push(sequence.shift());
+                }
+                position = 0;
+            }
+        } else {
+            position = position <= 0 ? sequence.length - 1 : position - 1;
+        }
+
+        viewport = null;
+        startTimer();
+        return broadcast('slideAction', { action: direction });
+    }
+
+    /**
+     * Replaces the queue and starts playing it.
+     * @param {Array<object>} images - Image objects ({ id, title, description, url, ... }) in sequential order.
+     * @param {object} [newSource] - What the images were resolved from ({ type, details, label, transition? }).
+     * @param {object} [options]
+     * @param {number} [options.startImageId] - Image to start with (defaults to the first in playback order).
+     * @param {boolean} [options.autoplay=true] - Start the timer straight away.
+     * @returns {object} The new state.
+     */
+    function load(images, newSource = { type: 'selection', details: null }, { startImageId = null, autoplay = true } = {}) {
+        stopTimer();
+        queue = Array.isArray(images) ? images.filter(img => img && img.url) : [];
+        source = newSource;
+        detachedImage = null;
+        const startIndex = startImageId !== null ? queue.findIndex(img => img.id === startImageId) : -1;
+        sequence = buildSequence(startIndex);
+        position = queue.length > 0 ? Math.max(sequence.indexOf(startIndex), 0) : -1;
+        isPlaying = autoplay && queue.length > 0;
+        viewport = null;
+        removedImages = new Map();
+        startTimer();
+        return broadcast('playSelect');
+    }
+
+    /**
+     * Takes images out of the queue (e.g. because they were moved to the trash). If one of them is showing,
+     * the displays move on to the next remaining image.
+     * @param {Array<number>} ids - The images to remove.
+     * @param {object} [options]
+     * @param {boolean} [options.restorable=true] - Remember the images so restoreImages can put them back.
+     * @returns {object|null} The new state, or null if none of the images was in use.
+     */
+    function removeImages(ids, { restorable = true } = {}) {
+        const removed = new Set(ids);
+        if (!restorable) removed.forEach(id => removedImages.delete(id));
+        const current = currentImage();
+        const currentRemoved = !!current && removed.has(current.id);
+        const curtainImageRemoved = !!curtainImage && removed.has(curtainImage.id);
+        if (!queue.some(img => removed.has(img.id)) && !currentRemoved && !curtainImageRemoved) return null;
+
+        // Old queue index -> new queue index (-1 for removed images)
+        const newIndices = [];
+        const kept = [];
+        queue.forEach((img, i) => {
+            if (removed.has(img.id)) {
+                if (restorable) removedImages.set(img.id, img);
+                newIndices.push(-1);
+            } else {
+                newIndices.push(kept.length);
+                kept.push(img);
+            }
+        });
+        // The current slot goes to the next remaining image in playback order
+        const keptBefore = sequence.slice(0, Math.max(position, 0)).filter(index => newIndices[index] !== -1).length;
+        queue = kept;
+        sequence = sequence.map(index => newIndices[index]).filter(index => index !== -1);
+        position = sequence.length === 0 ? -1 : (position < 0 ? position : keptBefore % sequence.length);
+        if (detachedImage && removed.has(detachedImage.id)) {
+            detachedImage = null;
+            if (position < 0 && sequence.length > 0) position = 0;
+        }
+        if (curtainImageRemoved) curtainImage = null;
+
+        if (currentRemoved) {
+            viewport = null;
+            if (queue.length === 0) isPlaying = false;
+            startTimer();
+        }
+        return broadcast('slideAction', { action: 'remove' });
+    }
+
+    /**
+     * Puts images taken out by removeImages back at the end of the queue (e.g. when they are restored from the
+     * trash). Images this engine didn't remove are ignored.
+     * @param {Array<number>} ids - The images to restore.
+     * @returns {object|null} The new state, or null if none of the images came from this queue.
+     */
+    function restoreImages(ids) {
+        const restored = ids.filter(id => removedImages.has(id) && !queue.some(img => img.id === id));
+        if (restored.length === 0) return null;
+        const wasEmpty = queue.length === 0;
+        restored.forEach(id => {
+            sequence.push(queue.length);
+            queue.push(removedImages.get(id));
+            removedImages.delete(id);
+        });
+        if (wasEmpty) {
+            // Nothing was showing; start again from the first image
+            sequence = buildSequence();
+            position = detachedImage ? -1 : 0;
+            viewport = null;
+            startTimer();
+        }
+        return broadcast('slideAction', { action: 'restore' });
+    }
+
+    /**
+     * Shows a specific image and pauses. If the image is in the queue, playback continues from it;
+     * otherwise it is shown once and the queue resumes where it was.
+     * @param {object} image - The image object to show.
+     * @returns {object} The new state.
+     */
+    function showImage(image) {
+        const previous = currentImage();
+        const queueIndex = queue.findIndex(img => img.id === image.id);
+        if (queueIndex !== -1) {
+            detachedImage = null;
+            position = sequence.indexOf(queueIndex);
+        } else {
+            detachedImage = image;
+        }
+        if (!previous || previous.id !== image.id) viewport = null;
+        isPlaying = false;
+        startTimer();
+        return broadcast('slideAction', { action: 'show' });
+    }
+
+    /**
+     * Zooms the displays into a region of the current image (kept until the image changes).
+     * @param {number|null} imageId - The image the region was chosen on; ignored if another image is showing by now.
+     * @param {object|null} region - { x, y, width, height } relative to the image, or null to show all of it.
+     * @returns {object|null} The new state, or null if the request was ignored.
+     */
+    function setViewport(imageId, region) {
+        const image = currentImage();
+        if (!image || (imageId !== null && imageId !== undefined && image.id !== imageId)) return null;
+        const next = region === null ? null : normalizeViewport(region);
+        if (region !== null && !next) return null;
+        viewport = next;
+        return broadcast('slideAction', { action: 'viewport' });
+    }
+
+    function pause() {
+        isPlaying = false;
+        stopTimer();
+        return broadcast('slideAction', { action: 'pause' });
+    }
+
+    /**
+     * Stops playback for good (the engine is about to be dropped). Nothing is broadcast.
+     */
+    function stop() {
+        isPlaying = false;
+        stopTimer();
+    }
+
+    function resume() {
+        if (queue.length === 0) return getState();
+        isPlaying = true;
+        startTimer();
+        return broadcast('slideAction', { action: 'resume' });
+    }
+
+    /**
+     * Lowers a curtain over the displays, or lifts it. Works while frozen, so the screen can always be hidden.
+     * @param {string|null} type - One of CURTAINS, or null to lift the curtain.
+     * @returns {object|null} The new state, or null for an unknown curtain.
+     */
+    function setCurtain(type) {
+        if (type !== null && !CURTAINS.includes(type)) return null;
+        curtain = type;
+        return broadcast('slideAction', { action: 'curtain' });
+    }
+
+    /**
+     * Freezes the displays on what they show now, or lets them follow the engine again.
+     * @param {boolean} value - Whether the displays are frozen.
+     * @returns {object} The new state.
+     */
+    function setFrozen(value) {
+        frozen = !!value;
+        return broadcast('slideAction', { action: 'freeze' });
+    }
+
+    /**
+     * Runs a control action.
+     * @param {string} action - 'next', 'prev', 'pause', 'resume', 'togglePause', a curtain ('blackout',
+     *   'fadeToBlack', 'curtain' - each lifts itself when sent again - or 'lift'), 'freeze', 'unfreeze' or 'toggleFreeze'.
+     * @returns {object|null} The new state, or null for an unknown action.
+     */
+    function control(action) {
+        if (Object.prototype.hasOwnProperty.call(CURTAIN_ACTIONS, action)) {
+            return setCurtain(curtain === CURTAIN_ACTIONS[action] ? null : CURTAIN_ACTIONS[action]);
+        }
+        switch (action) {
+            case 'next':
+            case 'prev':
+                return advance(action);
+            case 'pause':
+                return pause();
+            case 'resume':
+                return resume();
+            case 'togglePause':
+                return isPlaying ? pause() : resume();
+            case 'lift':
+                return setCurtain(null);
+            case 'freeze':
+            case 'unfreeze':
+                return setFrozen(action === 'freeze');
+            case 'toggleFreeze':
+                return setFrozen(!frozen);
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Applies new playback settings. A new order is rebuilt around the current image.
+     * @param {object} settings - { speed, order, showTextOverlay, kenBurns, transition, curtainImage } (any may be omitted).
+     *   transition is a validated setting (normalizeTransition); the parts it includes replace the current ones.
+     *   curtainImage is an image object, or null to go back to a black curtain.
+     *   An order that isn't one of ORDERS is ignored, like a speed that isn't a positive number.
+     * @returns {object} The new state.
+     */
+    function updateSettings(settings = {}) {
+        const newSpeed = parseFloat(settings.speed);
+        if (!isNaN(newSpeed) && newSpeed > 0) {
+            speed = newSpeed;
+        }
+        if (ORDERS.includes(settings.order) && settings.order !== order) {
+            order = settings.order;
+            const queueIndex = position >= 0 ? sequence[position] : -1;
+            sequence = buildSequence(queueIndex);
+            position = queueIndex >= 0 ? sequence.indexOf(queueIndex) : (queue.length > 0 ? 0 : -1);
+        }
+        if (typeof settings.showTextOverlay === 'boolean') {
+            showTextOverlay = settings.showTextOverlay;
+        }
+        if (typeof settings.kenBurns === 'boolean') {
+            kenBurns = settings.kenBurns;
+        }
+        if (settings.transition) {
+            transition = { ...transition, ...settings.transition };
+        }
+        if (settings.curtainImage !== undefined) {
+            curtainImage = settings.curtainImage;
+        }
+        // Restart the countdown so the new speed applies immediately
+        if (isPlaying) startTimer();
+        return getState();
+    }
+
+    return {
+        load,
+        removeImages,
+        restoreImages,
+        showImage,
+        control,
+        updateSettings,
+        setViewport,
+        stop,
+        getState
+    };
+}
+
+module.exports = { createSlideshowEngine };
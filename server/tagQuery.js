@@ -0,0 +1,194 @@
+// server/tagQuery.js
+// Boolean tag expressions such as `forest AND NOT (night OR "dark forest")`.
+// Queries are parsed into a small tree and compiled to an SQL condition on `images`.
+//
+// Grammar (keywords are case-insensitive; double-quote tag names that contain spaces or parentheses,
+// or that are keywords themselves; apostrophes are part of the name, as in Dragon's Lair):
+//   expression := term ( OR term )*
+//   term       := factor ( [AND] factor )*      (two tags side by side mean AND)
+//   factor     := NOT factor | "(" expression ")" | tag
+
+const KEYWORDS = ['AND', 'OR', 'NOT'];
+const MAX_DEPTH = 32; // Nested parentheses and NOTs allowed, so a hostile query can't exhaust the stack
+
+/**
+ * A query that could not be parsed. `position` is the 0-based character offset of the problem.
+ */
+class TagQueryError extends Error {
+    constructor(message, position) {
+        super(message);
+        this.name = 'TagQueryError';
+        this.position = position;
+    }
+}
+
+/**
+ * Splits a query into tokens: { type: 'and' | 'or' | 'not' | 'open' | 'close' | 'tag', value, position }.
+ * @param {string} text - The query text.
+ * @returns {Array<object>} The tokens.
+ */
+function tokenize(text) {
+    const tokens = [];
+    let i = 0;
+    while (i < text.length) {
+        const ch = text[i];
+        if (/\s/.test(ch)) {
+            i++;
+        } else if (ch === '(' || ch === ')') {
+            tokens.push({ type: ch === '(' ? 'open' : 'close', value: ch, position: i });
+            i++;
+        } else if (ch === '"') {
+            const end = text.indexOf('"', i + 1);
+            if (end === -1) {
+                throw new TagQueryError(`Missing closing " for the tag name starting at position ${i + 1}.`, i);
+            }
+            const name = text.slice(i + 1, end).trim();
+            if (!name) {
+                throw new TagQueryError(`Empty tag name in quotes at position ${i + 1}.`, i);
+            }
+            tokens.push({ type: 'tag', value: name, position: i });
+            i = end + 1;
+        } else {
+            const start = i;
+            while (i < text.length && !/[\s()"]/.test(text[i])) i++;
+            const word = text.slice(start, i);
+            const keyword = word.toUpperCase();
+            tokens.push(KEYWORDS.includes(keyword)
+                ? { type: keyword.toLowerCase(), value: word, position: start }
+                : { type: 'tag', value: word, position: start });
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Parses a tag query.
+ * Nodes: { type: 'tag', name } | { type: 'not', operand } | { type: 'and' | 'or', operands: [...] }.
+ * @param {string} text - The query text.
+ * @returns {object} The root node.
+ * @throws {TagQueryError} If the query is empty, malformed or nested deeper than MAX_DEPTH.
+ */
+function parseTagQuery(text) {
+    const source = String(text ?? '');
+    const tokens = tokenize(source);
+    if (tokens.length === 0) {
+        throw new TagQueryError('The query is empty.', 0);
+    }
+    let index = 0;
+    let depth = 0;
+
+    const peek = () => tokens[index];
+    const describe = token => token ? `"${token.value}" at position ${token.position + 1}` : 'the end of the query';
+
+    function expectOperand(after) {
+        const token = peek();
+        if (!token || token.type === 'close' || token.type === 'and' || token.type === 'or') {
+            throw new TagQueryError(`Expected a tag after "${after.value}", found ${describe(token)}.`,
+                token ? token.position : source.length);
+        }
+    }
+
+    function parseExpression() {
+        const operands = [parseTerm()];
+        while (peek() && peek().type === 'or') {
+            const operator = tokens[index++];
+            expectOperand(operator);
+            operands.push(parseTerm());
+        }
+        return operands.length === 1 ? operands[0] : { type: 'or', operands };
+    }
+
+    function parseTerm() {
+        const operands = [parseFactor()];
+        while (peek() && peek().type !== 'or' && peek().type !== 'close') {
+            if (peek().type === 'and') {
+                const operator = tokens[index++];
+                expectOperand(operator);
+            }
+            operands.push(parseFactor());
+        }
+        return operands.length === 1 ? operands[0] : { type: 'and', operands };
+    }
+
+    // Parses a NOT or parenthesised operand one level deeper
+    function parseNested(token, parse) {
+        if (++depth > MAX_DEPTH) {
+            throw new TagQueryError(`The query nests more than ${MAX_DEPTH} levels deep at position ${token.position + 1}.`,
+                token.position);
+        }
+        const node = parse();
+        depth--;
+        return node;
+    }
+
+    function parseFactor() {
+        const token = peek();
+        if (!token) {
+            throw new TagQueryError('The query ends too early: expected a tag.', source.length);
+        }
+        if (token.type === 'not') {
+            index++;
+            expectOperand(token);
+            return { type: 'not', operand: parseNested(token, parseFactor) };
+        }
+        if (token.type === 'open') {
+            index++;
+            if (peek() && peek().type === 'close') {
+                throw new TagQueryError(`Empty parentheses at position ${token.position + 1}.`, token.position);
+            }
+            const node = parseNested(token, parseExpression);
+            if (!peek() || peek().type !== 'close') {
+                throw new TagQueryError(`Missing ")" for the "(" at position ${token.position + 1}.`, token.position);
+            }
+            index++;
+            return node;
+        }
+        if (token.type === 'tag') {
+            index++;
+            return { type: 'tag', name: token.value };
+        }
+        throw new TagQueryError(`Expected a tag, found ${describe(token)}.`, token.position);
+    }
+
+    const root = parseExpression();
+    if (index < tokens.length) {
+        const token = peek();
+        const message = token.type === 'close'
+            ? `Unexpected ")" at position ${token.position + 1}.`
+            : `Unexpected ${describe(token)}.`;
+        throw new TagQueryError(message, token.position);
+    }
+    return root;
+}
+
+/**
+ * Compiles a parsed query into an SQL condition.
+ * @param {object} node - A node returned by parseTagQuery.
+ * @param {function(string): {sql: string, params: Array}} tagCondition - SQL matching images that have the named tag.
+ * @returns {{sql: string, params: Array}} The condition and its parameters.
+ */
+function compileTagQuery(node, tagCondition) {
+    if (node.type === 'tag') return tagCondition(node.name);
+    if (node.type === 'not') {
+        const operand = compileTagQuery(node.operand, tagCondition);
+        return { sql: `NOT (${operand.sql})`, params: operand.params };
+    }
+    const parts = node.operands.map(operand => compileTagQuery(operand, tagCondition));
+    return {
+        sql: parts.map(part => `(${part.sql})`).join(node.type === 'and' ? ' AND ' : ' OR '),
+        params: parts.flatMap(part => part.params)
+    };
+}
+
+/**
+ * Lists the distinct tag names used in a parsed query (in order of appearance).
+ * @param {object} node - A node returned by parseTagQuery.
+ * @returns {string[]} The tag names.
+ */
+function getTagQueryNames(node) {
+    if (node.type === 'tag') return [node.name];
+    const children = node.type === 'not' ? [node.operand] : node.operands;
+    return [...new Set(children.flatMap(getTagQueryNames))];
+}
+
+module.exports = { TagQueryError, parseTagQuery, compileTagQuery, getTagQueryNames };
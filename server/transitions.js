@@ -0,0 +1,67 @@
+// server/transitions.js
+// The transitions displays can play between slides, and validation of transition settings.
+// A channel has a full setting ({ type, duration, easing }); playlists and images can override any part of it.
+// The animations themselves live in public/transitions.js, which must know every type listed here.
+
+const TRANSITION_TYPES = ['cut', 'crossfade', 'fadeThroughBlack', 'slide', 'wipe', 'zoom', 'dissolve'];
+const TRANSITION_EASINGS = ['linear', 'ease', 'ease-in', 'ease-out', 'ease-in-out'];
+const MAX_TRANSITION_DURATION = 10; // Seconds
+
+// What displays used before transitions were configurable
+const DEFAULT_TRANSITION = { type: 'crossfade', duration: 0.7, easing: 'ease-in-out' };
+
+/**
+ * Checks a transition setting and keeps only its known parts.
+ * @param {object} value - { type?, duration?, easing? } (duration in seconds).
+ * @returns {{ transition: object|null, error: string|null }} The cleaned setting (null when it sets nothing),
+ *   or an error message describing the first invalid part.
+ */
+function normalizeTransition(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return { transition: null, error: 'transition must be an object with type, duration and/or easing.' };
+    }
+    const transition = {};
+    if (value.type !== undefined && value.type !== null && value.type !== '') {
+        if (!TRANSITION_TYPES.includes(value.type)) {
+            return { transition: null, error: `Unknown transition "${value.type}". Use one of: ${TRANSITION_TYPES.join(', ')}.` };
+        }
+        transition.type = value.type;
+    }
+    if (value.duration !== undefined && value.duration !== null && value.duration !== '') {
+        const duration = Number(value.duration);
+        if (!Number.isFinite(duration) || duration < 0 || duration > MAX_TRANSITION_DURATION) {
+            return { transition: null, error: `Transition duration must be between 0 and ${MAX_TRANSITION_DURATION} seconds.` };
+        }
+        transition.duration = Math.round(duration * 100) / 100;
+    }
+    if (value.easing !== undefined && value.easing !== null && value.easing !== '') {
+        if (!TRANSITION_EASINGS.includes(value.easing)) {
+            return { transition: null, error: `Unknown easing "${value.easing}". Use one of: ${TRANSITION_EASINGS.join(', ')}.` };
+        }
+        transition.easing = value.easing;
+    }
+    return { transition: Object.keys(transition).length > 0 ? transition : null, error: null };
+}
+
+/**
+ * Reads a transition override stored as JSON (playlists.transition, images.transition).
+ * @param {string|null} value - The stored JSON.
+ * @returns {object|null} The override, or null when unset or unreadable.
+ */
+function parseStoredTransition(value) {
+    if (!value) return null;
+    try {
+        return normalizeTransition(JSON.parse(value)).transition;
+    } catch (err) {
+        console.error('Invalid transition setting:', value);
+        return null;
+    }
+}
+
+module.exports = {
+    TRANSITION_TYPES,
+    TRANSITION_EASINGS,
+    DEFAULT_TRANSITION,
+    normalizeTransition,
+    parseStoredTransition
+};